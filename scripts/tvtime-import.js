@@ -16,11 +16,13 @@
 //
 // Notes:
 // - The script resolves show/episode IDs via the TVmaze API.
-// - Use --delay <ms> to throttle TVmaze requests (default 250ms).
+// - Use --delay <ms> to throttle TVmaze requests (default 250ms). Rate limits
+//   (429) and server errors are retried with backoff.
 // - The report lists unmatched shows/episodes for manual fixes.
 import fs from 'fs';
 import path from 'path';
 import readline from 'readline';
+import { createTvmazeClient } from '../server/tvmaze-client.js';
 
 const options = parseArgs(process.argv.slice(2));
 
@@ -39,10 +41,14 @@ const overridesPath = options.overrides;
 const useCache = !options['no-cache'];
 const delayMs = options.delay ? Number(options.delay) : 250;
 const verbose = Boolean(options.verbose);
+const tvmaze = createTvmazeClient({
+    userAgent: 'episodely-importer',
+    requestsPerSecond: delayMs > 0 ? 1000 / delayMs : 0,
+    burst: 1,
+});
 
 const shows = new Map();
 const episodeWatchCounts = { total: 0 };
-let lastRequestAt = 0;
 
 const showSources = [
     { file: 'followed_tv_show.csv', nameField: 'tv_show_name', dateField: 'created_at' },
@@ -86,7 +92,7 @@ for (const show of shows.values()) {
         report.countryConflicts.push({ name: show.name, baseName: show.baseName });
     }
 
-    const resolved = await resolveShow(show, overrides, cache, delayMs, verbose);
+    const resolved = await resolveShow(show, overrides, cache, verbose);
     if (!resolved) {
         report.unmatchedShows.push({
             name: show.name,
@@ -97,12 +103,7 @@ for (const show of shows.values()) {
         continue;
     }
 
-    const episodeMap = await getEpisodeMap(
-        resolved.id,
-        cache,
-        delayMs,
-        verbose
-    );
+    const episodeMap = await getEpisodeMap(resolved.id, cache, verbose);
     const watchedEpisodes = [];
     for (const [episodeKey, watchedAt] of show.watchedEpisodes.entries()) {
         const episodeId = episodeMap.get(episodeKey);
@@ -301,7 +302,7 @@ function normalizeDate(value) {
     return null;
 }
 
-async function resolveShow(show, overrides, cache, delay, logVerbose) {
+async function resolveShow(show, overrides, cache, logVerbose) {
     const override = lookupOverride(show, overrides);
     if (override) {
         return { id: override, name: show.name };
@@ -316,7 +317,7 @@ async function resolveShow(show, overrides, cache, delay, logVerbose) {
         return cache.shows[cacheKey];
     }
 
-    const results = await tvmazeSearch(show.baseName, delay);
+    const results = await tvmazeSearch(show.baseName);
     if (!results.length) {
         if (logVerbose) {
             console.log(`No TVmaze match for "${show.name}".`);
@@ -402,13 +403,13 @@ function pickBestCandidate(results, show) {
     return best;
 }
 
-async function getEpisodeMap(showId, cache, delay, logVerbose) {
+async function getEpisodeMap(showId, cache, logVerbose) {
     const cached = cache.episodes[String(showId)];
     if (cached) {
         return new Map(Object.entries(cached));
     }
 
-    const episodes = await tvmazeFetch(`/shows/${showId}/episodes`, delay);
+    const episodes = await tvmaze.get(`/shows/${showId}/episodes`);
     const map = new Map();
     for (const episode of episodes) {
         if (!episode || episode.season == null || episode.number == null) {
@@ -424,43 +425,13 @@ async function getEpisodeMap(showId, cache, delay, logVerbose) {
     return map;
 }
 
-async function tvmazeSearch(query, delay) {
-    const results = await tvmazeFetch(
-        `/search/shows?q=${encodeURIComponent(query)}`,
-        delay
+async function tvmazeSearch(query) {
+    const results = await tvmaze.get(
+        `/search/shows?q=${encodeURIComponent(query)}`
     );
     return Array.isArray(results) ? results : [];
 }
 
-async function tvmazeFetch(pathname, delay) {
-    await rateLimit(delay);
-    const response = await fetch(`https://api.tvmaze.com${pathname}`, {
-        headers: {
-            Accept: 'application/json',
-            'User-Agent': 'episodely-importer',
-        },
-    });
-
-    if (!response.ok) {
-        const text = await response.text();
-        throw new Error(`TVmaze error ${response.status}: ${text}`);
-    }
-
-    return response.json();
-}
-
-async function rateLimit(delay) {
-    if (!delay || Number.isNaN(delay)) {
-        return;
-    }
-    const now = Date.now();
-    const elapsed = now - lastRequestAt;
-    if (elapsed < delay) {
-        await new Promise((resolve) => setTimeout(resolve, delay - elapsed));
-    }
-    lastRequestAt = Date.now();
-}
-
 function loadCache(filePath) {
     try {
         const raw = fs.readFileSync(filePath, 'utf-8');
@@ -19,6 +19,12 @@ const db = new DatabaseSync(dbPath);
 db.exec('PRAGMA journal_mode = WAL;');
 db.exec('PRAGMA foreign_keys = ON;');
 
+const hadWatchEvents = Boolean(
+  db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?")
+    .get('watch_events')
+);
+
 db.exec(`
   CREATE TABLE IF NOT EXISTS users (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -85,9 +91,125 @@ db.exec(`
     FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE
   );
 
+  CREATE TABLE IF NOT EXISTS watch_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    profile_id INTEGER NOT NULL,
+    episode_id INTEGER NOT NULL,
+    pass INTEGER NOT NULL DEFAULT 0,
+    watched_at TEXT NOT NULL,
+    FOREIGN KEY (profile_id) REFERENCES profiles(id) ON DELETE CASCADE,
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS profile_episode_ratings (
+    profile_id INTEGER NOT NULL,
+    episode_id INTEGER NOT NULL,
+    rating INTEGER NOT NULL,
+    rated_at TEXT NOT NULL,
+    PRIMARY KEY (profile_id, episode_id),
+    FOREIGN KEY (profile_id) REFERENCES profiles(id) ON DELETE CASCADE,
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS notes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    profile_id INTEGER NOT NULL,
+    show_id INTEGER NOT NULL,
+    episode_id INTEGER,
+    body TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY (profile_id) REFERENCES profiles(id) ON DELETE CASCADE,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    profile_id INTEGER NOT NULL,
+    name TEXT NOT NULL COLLATE NOCASE,
+    is_collection INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    UNIQUE (profile_id, name),
+    FOREIGN KEY (profile_id) REFERENCES profiles(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS show_tags (
+    tag_id INTEGER NOT NULL,
+    show_id INTEGER NOT NULL,
+    PRIMARY KEY (tag_id, show_id),
+    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS action_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    profile_id INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    label TEXT NOT NULL,
+    snapshot TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (profile_id) REFERENCES profiles(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS show_trash (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    profile_id INTEGER NOT NULL,
+    show_id INTEGER NOT NULL,
+    snapshot TEXT NOT NULL,
+    deleted_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    FOREIGN KEY (profile_id) REFERENCES profiles(id) ON DELETE CASCADE,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS people (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    provider TEXT NOT NULL,
+    provider_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    image_medium TEXT,
+    image_original TEXT,
+    UNIQUE (provider, provider_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS show_credits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    show_id INTEGER NOT NULL,
+    person_id INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    character TEXT,
+    character_image TEXT,
+    job TEXT,
+    position INTEGER NOT NULL,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
+    FOREIGN KEY (person_id) REFERENCES people(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS show_sync_status (
+    show_id INTEGER PRIMARY KEY,
+    last_attempt_at TEXT,
+    last_success_at TEXT,
+    last_error TEXT,
+    last_error_at TEXT,
+    next_sync_at TEXT,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE
+  );
+
   CREATE INDEX IF NOT EXISTS idx_episodes_show_id ON episodes(show_id);
+  CREATE INDEX IF NOT EXISTS idx_show_credits_show_id
+    ON show_credits(show_id, kind, position);
+  CREATE INDEX IF NOT EXISTS idx_show_credits_person_id ON show_credits(person_id);
+  CREATE INDEX IF NOT EXISTS idx_show_trash_expires_at ON show_trash(expires_at);
+  CREATE INDEX IF NOT EXISTS idx_action_log_profile_id
+    ON action_log(profile_id, id);
+  CREATE INDEX IF NOT EXISTS idx_notes_profile_show ON notes(profile_id, show_id);
   CREATE INDEX IF NOT EXISTS idx_profile_episodes_profile_id
     ON profile_episodes(profile_id);
+  CREATE INDEX IF NOT EXISTS idx_profile_episodes_watched_at
+    ON profile_episodes(profile_id, watched_at);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_watch_events_pass
+    ON watch_events(profile_id, episode_id, pass);
 
   CREATE TABLE IF NOT EXISTS sessions (
     sid TEXT PRIMARY KEY,
@@ -106,6 +228,39 @@ if (!userColumns.includes('last_profile_id')) {
   db.exec('ALTER TABLE users ADD COLUMN last_profile_id INTEGER;');
 }
 
+const profileColumns = db
+  .prepare('PRAGMA table_info(profiles)')
+  .all()
+  .map((column) => column.name);
+
+if (!profileColumns.includes('include_specials')) {
+  db.exec(
+    'ALTER TABLE profiles ADD COLUMN include_specials INTEGER NOT NULL DEFAULT 0;'
+  );
+}
+
+// IANA timezone used for "today" in release checks (null uses the server
+// clock), plus how many hours after airing an episode counts as released.
+if (!profileColumns.includes('timezone')) {
+  db.exec('ALTER TABLE profiles ADD COLUMN timezone TEXT;');
+}
+
+if (!profileColumns.includes('release_delay_hours')) {
+  db.exec(
+    'ALTER TABLE profiles ADD COLUMN release_delay_hours INTEGER NOT NULL DEFAULT 0;'
+  );
+}
+
+// Secret for the subscribable calendar feed; null while the feed is disabled.
+if (!profileColumns.includes('calendar_token')) {
+  db.exec('ALTER TABLE profiles ADD COLUMN calendar_token TEXT;');
+}
+
+db.exec(`
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_profiles_calendar_token
+    ON profiles(calendar_token);
+`);
+
 const profileShowColumns = db
   .prepare('PRAGMA table_info(profile_shows)')
   .all()
@@ -115,6 +270,37 @@ if (!profileShowColumns.includes('status')) {
   db.exec('ALTER TABLE profile_shows ADD COLUMN status TEXT;');
 }
 
+if (!profileShowColumns.includes('rewatch_count')) {
+  db.exec(
+    'ALTER TABLE profile_shows ADD COLUMN rewatch_count INTEGER NOT NULL DEFAULT 0;'
+  );
+}
+
+if (!profileShowColumns.includes('rewatching')) {
+  db.exec(
+    'ALTER TABLE profile_shows ADD COLUMN rewatching INTEGER NOT NULL DEFAULT 0;'
+  );
+}
+
+if (!profileShowColumns.includes('include_specials')) {
+  db.exec('ALTER TABLE profile_shows ADD COLUMN include_specials INTEGER;');
+}
+
+if (!profileShowColumns.includes('rating')) {
+  db.exec('ALTER TABLE profile_shows ADD COLUMN rating INTEGER;');
+}
+
+// Pass 0 is the original viewing; seed it from profile_episodes the first
+// time the watch_events table is created.
+if (!hadWatchEvents) {
+  db.exec(`
+    INSERT OR IGNORE INTO watch_events (profile_id, episode_id, pass, watched_at)
+    SELECT profile_id, episode_id, 0, watched_at
+    FROM profile_episodes
+    WHERE watched_at IS NOT NULL;
+  `);
+}
+
 const showColumns = db
   .prepare('PRAGMA table_info(shows)')
   .all()
@@ -128,4 +314,45 @@ if (!showColumns.includes('company')) {
   db.exec('ALTER TABLE shows ADD COLUMN company TEXT;');
 }
 
+if (!showColumns.includes('provider')) {
+  db.exec("ALTER TABLE shows ADD COLUMN provider TEXT NOT NULL DEFAULT 'tvmaze';");
+}
+
+const episodeColumns = db
+  .prepare('PRAGMA table_info(episodes)')
+  .all()
+  .map((column) => column.name);
+
+// Episodes that vanished upstream but still carry watch history are kept and
+// flagged instead of deleted; they no longer count towards progress.
+if (!episodeColumns.includes('orphaned_at')) {
+  db.exec('ALTER TABLE episodes ADD COLUMN orphaned_at TEXT;');
+}
+
+// `airdate`/`airtime` are in the network's local zone; `airstamp` is the
+// same moment in UTC.
+if (!episodeColumns.includes('airstamp')) {
+  db.exec('ALTER TABLE episodes ADD COLUMN airstamp TEXT;');
+}
+
+// Genres and schedule days are stored as JSON arrays.
+const showDetailColumns = [
+  ['genres', 'TEXT'],
+  ['language', 'TEXT'],
+  ['network', 'TEXT'],
+  ['web_channel', 'TEXT'],
+  ['official_site', 'TEXT'],
+  ['schedule_days', 'TEXT'],
+  ['schedule_time', 'TEXT'],
+  ['average_runtime', 'INTEGER'],
+  ['provider_rating', 'REAL'],
+  ['timezone', 'TEXT'],
+];
+
+showDetailColumns.forEach(([name, type]) => {
+  if (!showColumns.includes(name)) {
+    db.exec(`ALTER TABLE shows ADD COLUMN ${name} ${type};`);
+  }
+});
+
 export default db;
@@ -0,0 +1,86 @@
+// Minimal RFC 5545 writer for the subscribable calendar feed.
+
+const PRODUCT_ID = '-//episodely//Episode calendar//EN';
+const MAX_LINE_OCTETS = 75;
+
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Long content lines are folded onto continuation lines that start with a
+// space, without splitting a multi-byte character.
+export function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+    return line;
+  }
+  const parts = [];
+  let current = '';
+  let limit = MAX_LINE_OCTETS;
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatDate(day) {
+  return day.replace(/-/g, '');
+}
+
+function addDay(day) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+// Events with a `start` Date are timed and last `durationMinutes`; events with
+// only a YYYY-MM-DD `day` become all-day entries.
+function buildEvent(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+  ];
+  if (event.start) {
+    const end = new Date(event.start.getTime() + event.durationMinutes * 60 * 1000);
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    lines.push(`DTEND:${formatDateTime(end)}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.day)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(addDay(event.day))}`);
+  }
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  return lines;
+}
+
+export function buildCalendar({ name, events, now = new Date() }) {
+  const stamp = formatDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap((event) => buildEvent(event, stamp)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
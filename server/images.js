@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+
+// Widths for the resized variants; `original` serves the downloaded file as is.
+export const IMAGE_SIZES = {
+  thumb: 185,
+  poster: 342,
+  large: 780,
+  original: null,
+};
+
+// Raster formats only: `original` is served as downloaded from the app's
+// origin, so a format that can carry script (SVG) must never be cached.
+const SOURCE_FORMATS = new Set(['jpeg', 'png', 'webp', 'gif', 'avif']);
+const downloadTimeoutMs = 10 * 1000;
+const inFlight = new Map();
+
+export function getImageKey(url) {
+  return crypto.createHash('sha256').update(url).digest('hex');
+}
+
+function findSourceFile(dir) {
+  try {
+    const source = fs.readdirSync(dir).find((file) => file.startsWith('source.'));
+    return source ? path.join(dir, source) : null;
+  } catch (error) {
+    if (error?.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Writes through a temp file so a crashed download never leaves a partial image.
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, data);
+  fs.renameSync(tempPath, filePath);
+}
+
+async function downloadSource(url, dir) {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'episodely' },
+    signal: AbortSignal.timeout(downloadTimeoutMs),
+  });
+  if (!response.ok) {
+    const error = new Error(`Image download failed with ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  const data = Buffer.from(await response.arrayBuffer());
+  const { format } = await sharp(data).metadata();
+  if (!SOURCE_FORMATS.has(format)) {
+    throw new Error(`Unsupported image format ${format}`);
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  const sourcePath = path.join(dir, `source.${format === 'jpeg' ? 'jpg' : format}`);
+  writeFileAtomic(sourcePath, data);
+  return sourcePath;
+}
+
+async function resolveCachedImage(root, url, size) {
+  const dir = path.join(root, getImageKey(url));
+  const sourcePath = findSourceFile(dir) || (await downloadSource(url, dir));
+  const width = IMAGE_SIZES[size];
+  if (!width) {
+    return sourcePath;
+  }
+
+  const variantPath = path.join(dir, `${size}.jpg`);
+  if (!fs.existsSync(variantPath)) {
+    const data = await sharp(sourcePath)
+      .resize({ width, withoutEnlargement: true })
+      .jpeg({ quality: 80, mozjpeg: true })
+      .toBuffer();
+    writeFileAtomic(variantPath, data);
+  }
+  return variantPath;
+}
+
+// Returns the cached file for `url` at `size`, downloading and resizing on
+// first use. Concurrent requests for the same variant share one download.
+export function getCachedImage(root, url, size) {
+  const key = `${getImageKey(url)}/${size}`;
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+  const promise = resolveCachedImage(root, url, size).finally(() => {
+    inFlight.delete(key);
+  });
+  inFlight.set(key, promise);
+  return promise;
+}
+
+// Removes cached images whose source URL is not in `keepUrls`.
+export function pruneImageCache(root, keepUrls) {
+  const keep = new Set(Array.from(keepUrls, (url) => getImageKey(url)));
+  let entries;
+  try {
+    entries = fs.readdirSync(root, { withFileTypes: true });
+  } catch (error) {
+    if (error?.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let removed = 0;
+  for (const entry of entries) {
+    if (!entry.isDirectory() || keep.has(entry.name)) continue;
+    fs.rmSync(path.join(root, entry.name), { recursive: true, force: true });
+    removed += 1;
+  }
+  return removed;
+}
@@ -6,8 +6,23 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import db from './db.js';
-import { fetchEpisodes, fetchShow, searchShows } from './tvmaze.js';
-import { isReleased, stripHtml } from './utils.js';
+import { buildCalendar } from './ical.js';
+import { IMAGE_SIZES, getCachedImage, pruneImageCache } from './images.js';
+import {
+  getDefaultProviderId,
+  getProvider,
+  listImageHosts,
+  listProviders,
+} from './providers/index.js';
+import { buildProfileStats, buildYearReport } from './stats.js';
+import {
+  getDayStart,
+  isReleased,
+  isSpecial,
+  isValidTimeZone,
+  toLocalDate,
+  toUtcTimestamp,
+} from './utils.js';
 import SqliteSessionStore from './session-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -22,10 +37,24 @@ const tvmazeSyncIntervalMs =
 const tvmazeSyncDelayMs =
   Number(process.env.TVMAZE_SYNC_DELAY_MS) || 500;
 const tvmazeSyncOnStartup = process.env.TVMAZE_SYNC_ON_STARTUP !== 'false';
+const tvmazeFullSyncMaxAgeMs =
+  Number(process.env.TVMAZE_FULL_SYNC_MAX_AGE_MS) || 7 * 24 * 60 * 60 * 1000;
 let tvmazeSyncInProgress = false;
 const exportBackupIntervalMs = 7 * 24 * 60 * 60 * 1000;
 const exportBackupRetentionMs = 52 * exportBackupIntervalMs;
 let exportBackupInProgress = false;
+const defaultTrashRetentionDays = 30;
+const trashRetentionDays =
+  Number(process.env.TRASH_RETENTION_DAYS) > 0
+    ? Number(process.env.TRASH_RETENTION_DAYS)
+    : defaultTrashRetentionDays;
+const trashPurgeIntervalMs = 60 * 60 * 1000;
+const imageCachePruneIntervalMs = 24 * 60 * 60 * 1000;
+const imageCacheMaxAgeSeconds = 365 * 24 * 60 * 60;
+const maxReleaseDelayHours = 72;
+const calendarFeedMaxDays = 365;
+const calendarFeedDefaultRuntime = 30;
+const CALENDAR_EVENT_TYPES = ['timed', 'all-day'];
 const isDevEnv = process.env.NODE_ENV !== 'production';
 const devSeedPath = isDevEnv ? process.env.DEV_SEED_PATH : null;
 const devAutologinEnabled = isDevEnv && process.env.DEV_AUTOLOGIN === 'true';
@@ -42,6 +71,20 @@ const sessionMaxAgeMs =
   60 *
   60 *
   1000;
+const PROFILE_STATUSES = ['stopped', 'paused', 'planned', 'favorite'];
+const SHOW_STATES = [
+  'watching',
+  'watch-next',
+  'queued',
+  'up-to-date',
+  'completed',
+  ...PROFILE_STATUSES,
+];
+const NOTE_MAX_LENGTH = 5000;
+const TAG_MAX_LENGTH = 40;
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_MAX_PAGE_SIZE = 200;
+const ACTION_LOG_LIMIT = 50;
 const CSRF_HEADER = 'x-csrf-token';
 const CSRF_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
 
@@ -158,6 +201,49 @@ function nowIso() {
   return new Date().toISOString();
 }
 
+function isValidWatchedAtOption(value) {
+  if (value === undefined || value === null) return true;
+  if (value === 'now' || value === 'airdate') return true;
+  if (typeof value !== 'string') return false;
+  const parsed = new Date(value);
+  return !Number.isNaN(parsed.getTime()) && parsed.getTime() <= Date.now();
+}
+
+function isValidDateParam(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return (
+    !Number.isNaN(parsed.getTime()) &&
+    parsed.toISOString().slice(0, 10) === value
+  );
+}
+
+function getNextDate(value) {
+  const next = new Date(`${value}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+function resolveWatchedAt(value, episode) {
+  if (value === 'airdate') {
+    const airedAt = episode?.airstamp
+      ? new Date(episode.airstamp)
+      : episode?.airdate
+        ? new Date(`${episode.airdate}T00:00:00Z`)
+        : null;
+    if (airedAt && !Number.isNaN(airedAt.getTime()) && airedAt <= new Date()) {
+      return airedAt.toISOString();
+    }
+    return nowIso();
+  }
+  if (value && value !== 'now') {
+    return new Date(value).toISOString();
+  }
+  return nowIso();
+}
+
 function getPremiereYear(premiered) {
   if (!premiered) return null;
   const [year] = String(premiered).split('-');
@@ -165,32 +251,136 @@ function getPremiereYear(premiered) {
   return Number.isNaN(numericYear) ? null : numericYear;
 }
 
-function getProducingCompany(show) {
-  return show?.network?.name || show?.webChannel?.name || null;
+function parseJsonList(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function serializeShowDetails(show) {
+  return {
+    genres: parseJsonList(show.genres),
+    language: show.language || null,
+    network: show.network || null,
+    webChannel: show.web_channel || null,
+    officialSite: show.official_site || null,
+    scheduleDays: parseJsonList(show.schedule_days),
+    scheduleTime: show.schedule_time || null,
+    averageRuntime: toNumber(show.average_runtime) ?? null,
+    providerRating: show.provider_rating ?? null,
+    timezone: show.timezone || null,
+  };
+}
+
+// Takes provider-normalized details ({ genres, language, network, webChannel,
+// officialSite, scheduleDays, scheduleTime, averageRuntime, rating, timezone }).
+function updateShowDetails(showId, details) {
+  db.prepare(
+    `UPDATE shows
+       SET genres = ?, language = ?, network = ?, web_channel = ?, official_site = ?,
+           schedule_days = ?, schedule_time = ?, average_runtime = ?, provider_rating = ?,
+           timezone = ?
+     WHERE id = ?`
+  ).run(
+    JSON.stringify(details.genres || []),
+    details.language ?? null,
+    details.network ?? null,
+    details.webChannel ?? null,
+    details.officialSite ?? null,
+    JSON.stringify(details.scheduleDays || []),
+    details.scheduleTime ?? null,
+    details.averageRuntime ?? null,
+    details.rating ?? null,
+    details.timezone ?? null,
+    showId
+  );
 }
 
 function buildProfileExport(profileId, exportedAt = nowIso()) {
   const shows = db
     .prepare(
-      `SELECT s.id, s.tvmaze_id, s.name, s.summary, s.status, s.premiered,
+      `SELECT s.id, s.tvmaze_id, s.provider, s.name, s.summary, s.status, s.premiered,
               s.ended, s.company, s.image_medium, s.image_original, s.imdb_id,
-              ps.created_at, ps.status AS profile_status
+              s.genres, s.language, s.network, s.web_channel, s.official_site,
+              s.schedule_days, s.schedule_time, s.average_runtime, s.provider_rating,
+              s.timezone, ps.created_at, ps.status AS profile_status, ps.rewatch_count,
+              ps.rewatching, ps.include_specials, ps.rating
        FROM shows s
        JOIN profile_shows ps ON ps.show_id = s.id
        WHERE ps.profile_id = ? AND (ps.status IS NULL OR ps.status != 'stopped')`
     )
     .all(profileId);
 
+  const rewatchRows = db
+    .prepare(
+      `SELECT episode_id, pass, watched_at
+       FROM watch_events
+       WHERE profile_id = ? AND pass > 0
+       ORDER BY pass ASC`
+    )
+    .all(profileId);
+  const rewatchesByEpisode = new Map();
+  rewatchRows.forEach((row) => {
+    if (!rewatchesByEpisode.has(row.episode_id)) {
+      rewatchesByEpisode.set(row.episode_id, []);
+    }
+    rewatchesByEpisode.get(row.episode_id).push({
+      pass: toNumber(row.pass),
+      watchedAt: row.watched_at,
+    });
+  });
+
   const episodeRows = db
     .prepare(
-      `SELECT e.*, pe.watched_at
+      `SELECT e.*, pe.watched_at, er.rating
        FROM episodes e
        JOIN profile_shows ps ON ps.show_id = e.show_id
        LEFT JOIN profile_episodes pe
          ON pe.episode_id = e.id AND pe.profile_id = ?
+       LEFT JOIN profile_episode_ratings er
+         ON er.episode_id = e.id AND er.profile_id = ?
        WHERE ps.profile_id = ?`
     )
-    .all(profileId, profileId);
+    .all(profileId, profileId, profileId);
+
+  const noteRows = db
+    .prepare(
+      `SELECT * FROM notes
+       WHERE profile_id = ?
+       ORDER BY created_at ASC, id ASC`
+    )
+    .all(profileId);
+  const notesByShow = new Map();
+  const notesByEpisode = new Map();
+  noteRows.forEach((note) => {
+    const key = note.episode_id ?? note.show_id;
+    const target = note.episode_id ? notesByEpisode : notesByShow;
+    if (!target.has(key)) {
+      target.set(key, []);
+    }
+    target.get(key).push({
+      body: note.body,
+      createdAt: note.created_at,
+      updatedAt: note.updated_at,
+    });
+  });
+
+  const tagsByShow = listTagsByShow(profileId);
+  const tags = db
+    .prepare(
+      `SELECT id, name, is_collection FROM tags
+       WHERE profile_id = ?
+       ORDER BY name COLLATE NOCASE ASC`
+    )
+    .all(profileId)
+    .map((tag) => ({
+      name: tag.name,
+      isCollection: Boolean(tag.is_collection),
+    }));
 
   const watchedByShow = new Map();
   const episodesByShow = new Map();
@@ -206,10 +396,14 @@ function buildProfileExport(profileId, exportedAt = nowIso()) {
       summary: episode.summary,
       airdate: episode.airdate,
       airtime: episode.airtime,
+      airstamp: episode.airstamp || null,
       runtime: episode.runtime,
       imageMedium: episode.image_medium,
       imageOriginal: episode.image_original,
       watchedAt: episode.watched_at || null,
+      rewatches: rewatchesByEpisode.get(episode.id) || [],
+      rating: toRating(episode.rating),
+      notes: notesByEpisode.get(episode.id) || [],
     });
 
     if (!watchedByShow.has(episode.show_id)) {
@@ -226,8 +420,10 @@ function buildProfileExport(profileId, exportedAt = nowIso()) {
   return {
     version: 2,
     exportedAt,
+    tags,
     shows: shows.map((show) => ({
       tvmazeId: show.tvmaze_id,
+      provider: show.provider,
       name: show.name,
       summary: show.summary,
       status: show.status,
@@ -237,8 +433,15 @@ function buildProfileExport(profileId, exportedAt = nowIso()) {
       imageMedium: show.image_medium,
       imageOriginal: show.image_original,
       imdbId: show.imdb_id,
+      ...serializeShowDetails(show),
       addedAt: show.created_at,
       profileStatus: show.profile_status || null,
+      rewatchCount: toNumber(show.rewatch_count) || 0,
+      rewatching: Boolean(show.rewatching),
+      includeSpecials: toSpecialsOverride(show.include_specials),
+      rating: toRating(show.rating),
+      notes: notesByShow.get(show.id) || [],
+      tags: (tagsByShow.get(show.id) || []).map((tag) => tag.name),
       episodes: episodesByShow.get(show.id) || [],
       watchedEpisodes: watchedByShow.get(show.id) || [],
     })),
@@ -250,6 +453,55 @@ function getExportRoot() {
   return path.join(path.dirname(dbPath), 'exports');
 }
 
+function getImageCacheRoot() {
+  const dbPath = resolveDbPath();
+  return path.join(path.dirname(dbPath), 'images');
+}
+
+// Only artwork from a provider's image hosts is proxied. URLs stored on shows
+// can come from user imports, so they don't count as known on their own.
+function isKnownImageUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return false;
+  }
+  return listImageHosts().has(parsed.host);
+}
+
+function pruneUnusedImages() {
+  // Trashed shows keep their artwork so a restore doesn't refetch it.
+  const rows = db
+    .prepare(
+      `WITH kept AS (
+         SELECT show_id FROM profile_shows
+         UNION
+         SELECT show_id FROM show_trash
+       )
+       SELECT s.image_medium, s.image_original, NULL AS character_image
+       FROM shows s
+       WHERE s.id IN kept
+       UNION ALL
+       SELECT e.image_medium, e.image_original, NULL
+       FROM episodes e
+       WHERE e.show_id IN kept
+       UNION ALL
+       SELECT p.image_medium, p.image_original, c.character_image
+       FROM show_credits c
+       JOIN people p ON p.id = c.person_id
+       WHERE c.show_id IN kept`
+    )
+    .all();
+  const keepUrls = rows
+    .flatMap((row) => [row.image_medium, row.image_original, row.character_image])
+    .filter(Boolean);
+  return pruneImageCache(getImageCacheRoot(), keepUrls);
+}
+
 function listJsonFiles(dir) {
   try {
     return fs.readdirSync(dir).filter((file) => file.endsWith('.json'));
@@ -338,11 +590,14 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// Transactions don't nest, so helpers that write several rows leave it to
+// their callers to wrap them together with the matching undo entry.
 function runTransaction(fn) {
   db.exec('BEGIN');
   try {
-    fn();
+    const result = fn();
     db.exec('COMMIT');
+    return result;
   } catch (error) {
     db.exec('ROLLBACK');
     throw error;
@@ -353,6 +608,510 @@ function toNumber(value) {
   return typeof value === 'bigint' ? Number(value) : value;
 }
 
+function getRewatchPass(row) {
+  return row?.rewatching ? toNumber(row.rewatch_count) || 0 : 0;
+}
+
+function isValidRating(value) {
+  return (
+    value === null || (Number.isInteger(value) && value >= 1 && value <= 10)
+  );
+}
+
+function toRating(value) {
+  const rating = toNumber(value);
+  return isValidRating(rating) ? rating : null;
+}
+
+function setEpisodeRating(profileId, episodeId, rating) {
+  if (rating === null) {
+    db.prepare(
+      'DELETE FROM profile_episode_ratings WHERE profile_id = ? AND episode_id = ?'
+    ).run(profileId, episodeId);
+    return;
+  }
+  db.prepare(
+    `INSERT INTO profile_episode_ratings (profile_id, episode_id, rating, rated_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(profile_id, episode_id)
+     DO UPDATE SET rating = excluded.rating, rated_at = excluded.rated_at`
+  ).run(profileId, episodeId, rating, nowIso());
+}
+
+function normalizeNoteBody(value) {
+  if (typeof value !== 'string') return null;
+  const body = value.trim();
+  if (!body || body.length > NOTE_MAX_LENGTH) return null;
+  return body;
+}
+
+function serializeNote(row) {
+  return {
+    id: toNumber(row.id),
+    episodeId: toNumber(row.episode_id) || null,
+    body: row.body,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function insertNote(
+  profileId,
+  { showId, episodeId = null, body, createdAt, updatedAt }
+) {
+  const created = createdAt || nowIso();
+  const result = db
+    .prepare(
+      `INSERT INTO notes (profile_id, show_id, episode_id, body, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .run(profileId, showId, episodeId, body, created, updatedAt || created);
+  return toNumber(result.lastInsertRowid);
+}
+
+function listNotesForShow(profileId, showId) {
+  return db
+    .prepare(
+      `SELECT * FROM notes
+       WHERE profile_id = ? AND show_id = ?
+       ORDER BY created_at ASC, id ASC`
+    )
+    .all(profileId, showId);
+}
+
+function findNoteTarget(kind, profileId, id) {
+  if (kind === 'show') {
+    const row = db
+      .prepare(
+        `SELECT ps.show_id
+         FROM profile_shows ps
+         WHERE ps.profile_id = ? AND ps.show_id = ?`
+      )
+      .get(profileId, id);
+    return row ? { showId: toNumber(row.show_id), episodeId: null } : null;
+  }
+  const row = db
+    .prepare(
+      `SELECT e.id, e.show_id
+       FROM episodes e
+       JOIN profile_shows ps ON ps.show_id = e.show_id
+       WHERE ps.profile_id = ? AND e.id = ?`
+    )
+    .get(profileId, id);
+  return row
+    ? { showId: toNumber(row.show_id), episodeId: toNumber(row.id) }
+    : null;
+}
+
+function findNote(profileId, target, noteId) {
+  return db
+    .prepare(
+      `SELECT * FROM notes
+       WHERE id = ? AND profile_id = ? AND show_id = ?
+         AND episode_id IS ?`
+    )
+    .get(noteId, profileId, target.showId, target.episodeId);
+}
+
+// Case-insensitive substring match; returns the earliest matching note of
+// each show. SQLite's lower() only folds ASCII letters.
+function searchNotes(profileId, query) {
+  return db
+    .prepare(
+      `SELECT show_id, body, MIN(created_at) AS created_at FROM notes
+       WHERE profile_id = ? AND instr(lower(body), ?) > 0
+       GROUP BY show_id`
+    )
+    .all(profileId, query.toLowerCase())
+    .map((row) => ({ showId: toNumber(row.show_id), body: row.body }));
+}
+
+function normalizeTagName(value) {
+  if (typeof value !== 'string') return null;
+  const name = value.trim().replace(/\s+/g, ' ');
+  if (!name || name.length > TAG_MAX_LENGTH) return null;
+  return name;
+}
+
+function serializeTag(row) {
+  return {
+    id: toNumber(row.id),
+    name: row.name,
+    isCollection: Boolean(row.is_collection),
+  };
+}
+
+function listTagsByShow(profileId) {
+  const rows = db
+    .prepare(
+      `SELECT st.show_id, t.id, t.name, t.is_collection
+       FROM show_tags st
+       JOIN tags t ON t.id = st.tag_id
+       WHERE t.profile_id = ?
+       ORDER BY t.name COLLATE NOCASE ASC`
+    )
+    .all(profileId);
+  const tagsByShow = new Map();
+  rows.forEach((row) => {
+    if (!tagsByShow.has(row.show_id)) {
+      tagsByShow.set(row.show_id, []);
+    }
+    tagsByShow.get(row.show_id).push(serializeTag(row));
+  });
+  return tagsByShow;
+}
+
+function findOrCreateTag(profileId, name, isCollection = false) {
+  const existing = db
+    .prepare('SELECT id FROM tags WHERE profile_id = ? AND name = ?')
+    .get(profileId, name);
+  if (existing) return toNumber(existing.id);
+  const result = db
+    .prepare(
+      `INSERT INTO tags (profile_id, name, is_collection, created_at)
+       VALUES (?, ?, ?, ?)`
+    )
+    .run(profileId, name, isCollection ? 1 : 0, nowIso());
+  return toNumber(result.lastInsertRowid);
+}
+
+function getTrackedEpisodes(show, episodes) {
+  if (show?.include_specials) return episodes;
+  return episodes.filter((episode) => !isSpecial(episode));
+}
+
+function toSpecialsOverride(value) {
+  return value === null || value === undefined ? null : Boolean(value);
+}
+
+function getEpisodeWatchedAt(show, episode) {
+  return show?.rewatching ? episode.rewatch_watched_at : episode.watched_at;
+}
+
+function recordEpisodeWatch(profileId, episodeId, watchedAt, pass = 0) {
+  if (pass === 0) {
+    db.prepare(
+      `INSERT INTO profile_episodes (profile_id, episode_id, watched_at)
+       VALUES (?, ?, ?)
+       ON CONFLICT(profile_id, episode_id)
+       DO UPDATE SET watched_at = excluded.watched_at`
+    ).run(profileId, episodeId, watchedAt);
+  }
+  db.prepare(
+    `INSERT INTO watch_events (profile_id, episode_id, pass, watched_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(profile_id, episode_id, pass)
+     DO UPDATE SET watched_at = excluded.watched_at`
+  ).run(profileId, episodeId, pass, watchedAt);
+}
+
+// Rows joined with profiles select `p.timezone AS profile_timezone` and
+// `p.release_delay_hours` so release checks follow the profile's preferences.
+function toReleaseOptions(row) {
+  return {
+    timeZone: row?.profile_timezone || null,
+    delayHours: toNumber(row?.release_delay_hours) || 0,
+  };
+}
+
+function getProfileReleaseOptions(profileId) {
+  return toReleaseOptions(
+    db
+      .prepare(
+        `SELECT timezone AS profile_timezone, release_delay_hours
+         FROM profiles WHERE id = ?`
+      )
+      .get(profileId)
+  );
+}
+
+function setEpisodesWatched(
+  profileId,
+  episodes,
+  { watched, watchedAt, includeUnreleased = false, pass = 0 }
+) {
+  const release = getProfileReleaseOptions(profileId);
+  const targets =
+    watched && !includeUnreleased
+      ? episodes.filter((episode) =>
+          isReleased(episode.airdate, episode.airstamp, release)
+        )
+      : episodes;
+  targets.forEach((episode) => {
+    if (watched) {
+      recordEpisodeWatch(
+        profileId,
+        episode.id,
+        resolveWatchedAt(watchedAt, episode),
+        pass
+      );
+    } else {
+      clearEpisodeWatch(profileId, episode.id, pass);
+    }
+  });
+  return targets.map((episode) => episode.id);
+}
+
+function clearEpisodeWatch(profileId, episodeId, pass = 0) {
+  if (pass === 0) {
+    db.prepare(
+      'DELETE FROM profile_episodes WHERE profile_id = ? AND episode_id = ?'
+    ).run(profileId, episodeId);
+  }
+  db.prepare(
+    'DELETE FROM watch_events WHERE profile_id = ? AND episode_id = ? AND pass = ?'
+  ).run(profileId, episodeId, pass);
+}
+
+function captureWatchState(profileId, episodeIds) {
+  const ids = JSON.stringify(episodeIds);
+  return {
+    episodeIds,
+    profileEpisodes: db
+      .prepare(
+        `SELECT episode_id, watched_at FROM profile_episodes
+         WHERE profile_id = ? AND episode_id IN (SELECT value FROM json_each(?))`
+      )
+      .all(profileId, ids),
+    watchEvents: db
+      .prepare(
+        `SELECT episode_id, pass, watched_at FROM watch_events
+         WHERE profile_id = ? AND episode_id IN (SELECT value FROM json_each(?))`
+      )
+      .all(profileId, ids),
+  };
+}
+
+// Episodes can be deleted by a sync and shows removed after a snapshot was
+// taken, so only ids that still belong to a tracked show are restored.
+function listRestorableEpisodeIds(profileId, episodeIds) {
+  return new Set(
+    db
+      .prepare(
+        `SELECT e.id FROM episodes e
+         JOIN profile_shows ps ON ps.show_id = e.show_id AND ps.profile_id = ?
+         WHERE e.id IN (SELECT value FROM json_each(?))`
+      )
+      .all(profileId, JSON.stringify(episodeIds))
+      .map((row) => toNumber(row.id))
+  );
+}
+
+function restoreWatchState(profileId, snapshot) {
+  const restorable = listRestorableEpisodeIds(profileId, snapshot.episodeIds);
+  const ids = JSON.stringify(Array.from(restorable));
+  db.prepare(
+    `DELETE FROM profile_episodes
+     WHERE profile_id = ? AND episode_id IN (SELECT value FROM json_each(?))`
+  ).run(profileId, ids);
+  db.prepare(
+    `DELETE FROM watch_events
+     WHERE profile_id = ? AND episode_id IN (SELECT value FROM json_each(?))`
+  ).run(profileId, ids);
+  const insertProfileEpisode = db.prepare(
+    `INSERT INTO profile_episodes (profile_id, episode_id, watched_at)
+     VALUES (?, ?, ?)`
+  );
+  snapshot.profileEpisodes
+    .filter((row) => restorable.has(row.episode_id))
+    .forEach((row) => {
+      insertProfileEpisode.run(profileId, row.episode_id, row.watched_at);
+    });
+  const insertWatchEvent = db.prepare(
+    `INSERT INTO watch_events (profile_id, episode_id, pass, watched_at)
+     VALUES (?, ?, ?, ?)`
+  );
+  snapshot.watchEvents
+    .filter((row) => restorable.has(row.episode_id))
+    .forEach((row) => {
+      insertWatchEvent.run(profileId, row.episode_id, row.pass, row.watched_at);
+    });
+}
+
+function getTrackedShowName(profileId, showId) {
+  return db
+    .prepare(
+      `SELECT s.name
+       FROM profile_shows ps
+       JOIN shows s ON s.id = ps.show_id
+       WHERE ps.profile_id = ? AND ps.show_id = ?`
+    )
+    .get(profileId, showId);
+}
+
+function captureShowSettings(profileId, showId) {
+  const row = db
+    .prepare(
+      `SELECT status, rewatch_count, rewatching FROM profile_shows
+       WHERE profile_id = ? AND show_id = ?`
+    )
+    .get(profileId, showId);
+  return {
+    showId,
+    status: row.status,
+    rewatchCount: row.rewatch_count,
+    rewatching: row.rewatching,
+  };
+}
+
+function restoreShowSettings(profileId, snapshot) {
+  db.prepare(
+    `UPDATE profile_shows
+       SET status = ?, rewatch_count = ?, rewatching = ?
+     WHERE profile_id = ? AND show_id = ?`
+  ).run(
+    snapshot.status,
+    snapshot.rewatchCount,
+    snapshot.rewatching,
+    profileId,
+    snapshot.showId
+  );
+}
+
+// Everything DELETE /api/shows/:id removes for the profile, so the show
+// comes back exactly as it was.
+function captureTrackedShow(profileId, showId) {
+  const episodeIds = db
+    .prepare('SELECT id FROM episodes WHERE show_id = ?')
+    .all(showId)
+    .map((row) => row.id);
+  return {
+    showId,
+    profileShow: db
+      .prepare('SELECT * FROM profile_shows WHERE profile_id = ? AND show_id = ?')
+      .get(profileId, showId),
+    watch: captureWatchState(profileId, episodeIds),
+    ratings: db
+      .prepare(
+        `SELECT episode_id, rating, rated_at FROM profile_episode_ratings
+         WHERE profile_id = ? AND episode_id IN (SELECT value FROM json_each(?))`
+      )
+      .all(profileId, JSON.stringify(episodeIds)),
+    notes: db
+      .prepare('SELECT * FROM notes WHERE profile_id = ? AND show_id = ?')
+      .all(profileId, showId),
+    tagIds: db
+      .prepare(
+        `SELECT st.tag_id FROM show_tags st
+         JOIN tags t ON t.id = st.tag_id
+         WHERE t.profile_id = ? AND st.show_id = ?`
+      )
+      .all(profileId, showId)
+      .map((row) => row.tag_id),
+  };
+}
+
+function insertRow(table, row) {
+  const columns = Object.keys(row);
+  db.prepare(
+    `INSERT OR REPLACE INTO ${table} (${columns.join(', ')})
+     VALUES (${columns.map(() => '?').join(', ')})`
+  ).run(...columns.map((column) => row[column]));
+}
+
+function restoreTrackedShow(profileId, snapshot) {
+  insertRow('profile_shows', snapshot.profileShow);
+  restoreWatchState(profileId, snapshot.watch);
+  const restorable = listRestorableEpisodeIds(profileId, snapshot.watch.episodeIds);
+  snapshot.ratings
+    .filter((row) => restorable.has(row.episode_id))
+    .forEach((row) => {
+      insertRow('profile_episode_ratings', { profile_id: profileId, ...row });
+    });
+  snapshot.notes
+    .filter((row) => !row.episode_id || restorable.has(row.episode_id))
+    .forEach((row) => insertRow('notes', row));
+  const insertShowTag = db.prepare(
+    `INSERT OR IGNORE INTO show_tags (tag_id, show_id)
+     SELECT id, ? FROM tags WHERE id = ? AND profile_id = ?`
+  );
+  snapshot.tagIds.forEach((tagId) => {
+    insertShowTag.run(snapshot.showId, tagId, profileId);
+  });
+}
+
+function restoreRemovedShow(profileId, snapshot) {
+  restoreTrackedShow(profileId, snapshot);
+  db.prepare('DELETE FROM show_trash WHERE profile_id = ? AND show_id = ?').run(
+    profileId,
+    snapshot.showId
+  );
+}
+
+const UNDO_HANDLERS = {
+  watch: restoreWatchState,
+  'show-settings': restoreShowSettings,
+  'remove-show': restoreRemovedShow,
+};
+
+// The undo entry for a removal holds the same snapshot as its trash entry, so
+// it has to go once the trash entry is restored.
+function discardRemovalUndo(profileId, showId) {
+  db.prepare(
+    `DELETE FROM action_log
+     WHERE profile_id = ? AND type = 'remove-show'
+       AND json_extract(snapshot, '$.showId') = ?`
+  ).run(profileId, showId);
+}
+
+// Once a show is gone for good, none of its undo entries may bring rows back:
+// settings and removals name the show, watch changes its episodes.
+function discardShowUndo(profileId, showId) {
+  db.prepare(
+    `DELETE FROM action_log
+     WHERE profile_id = ?
+       AND (json_extract(snapshot, '$.showId') = ?
+            OR EXISTS (
+              SELECT 1 FROM json_each(action_log.snapshot, '$.episodeIds') ids
+              JOIN episodes e ON e.id = ids.value
+              WHERE e.show_id = ?
+            ))`
+  ).run(profileId, showId, showId);
+}
+
+function deleteTrashEntries(entries) {
+  const deleteEntry = db.prepare('DELETE FROM show_trash WHERE id = ?');
+  runTransaction(() => {
+    entries.forEach((entry) => {
+      discardShowUndo(entry.profile_id, entry.show_id);
+      deleteEntry.run(entry.id);
+    });
+  });
+  return entries.length;
+}
+
+function purgeExpiredTrash(now = new Date()) {
+  return deleteTrashEntries(
+    db
+      .prepare(
+        'SELECT id, profile_id, show_id FROM show_trash WHERE expires_at <= ?'
+      )
+      .all(now.toISOString())
+  );
+}
+
+function formatEpisodeCode(episode) {
+  const season = String(episode.season ?? 0).padStart(2, '0');
+  const number = String(episode.number ?? 0).padStart(2, '0');
+  return `S${season}E${number}`;
+}
+
+function logAction(profileId, type, label, snapshot) {
+  const result = db
+    .prepare(
+      `INSERT INTO action_log (profile_id, type, label, snapshot, created_at)
+       VALUES (?, ?, ?, ?, ?)`
+    )
+    .run(profileId, type, label, JSON.stringify(snapshot), nowIso());
+  db.prepare(
+    `DELETE FROM action_log
+     WHERE profile_id = ? AND id NOT IN (
+       SELECT id FROM action_log WHERE profile_id = ? ORDER BY id DESC LIMIT ?
+     )`
+  ).run(profileId, profileId, ACTION_LOG_LIMIT);
+  return toNumber(result.lastInsertRowid);
+}
+
 function pickValue(obj, keys) {
   for (const key of keys) {
     if (obj && obj[key] !== undefined) return obj[key];
@@ -394,6 +1153,71 @@ function getWatchedEpisodesFromPayload(showPayload) {
   return watchedEpisodes;
 }
 
+function getRewatchesFromPayload(showPayload) {
+  const rewatches = [];
+  const episodes = Array.isArray(showPayload.episodes)
+    ? showPayload.episodes
+    : [];
+  episodes.forEach((episode) => {
+    const tvmazeEpisodeId = pickValue(episode, [
+      'tvmazeEpisodeId',
+      'tvmaze_id',
+    ]);
+    if (!tvmazeEpisodeId || !Array.isArray(episode.rewatches)) return;
+    episode.rewatches.forEach((rewatch) => {
+      const pass = Number(pickValue(rewatch, ['pass']));
+      const watchedAt = pickValue(rewatch, ['watchedAt', 'watched_at']);
+      if (!Number.isInteger(pass) || pass < 1 || !watchedAt) return;
+      rewatches.push({ tvmazeEpisodeId, pass, watchedAt });
+    });
+  });
+  return rewatches;
+}
+
+function getEpisodeRatingsFromPayload(showPayload) {
+  const episodes = Array.isArray(showPayload.episodes)
+    ? showPayload.episodes
+    : [];
+  return episodes
+    .map((episode) => ({
+      tvmazeEpisodeId: pickValue(episode, ['tvmazeEpisodeId', 'tvmaze_id']),
+      rating: toRating(pickValue(episode, ['rating'])),
+    }))
+    .filter((episode) => episode.tvmazeEpisodeId && episode.rating !== null);
+}
+
+function getNotesFromPayload(showPayload) {
+  const notes = [];
+  const pushNotes = (list, tvmazeEpisodeId = null) => {
+    if (!Array.isArray(list)) return;
+    list.forEach((note) => {
+      const body = normalizeNoteBody(pickValue(note, ['body']));
+      if (!body) return;
+      const createdAt = pickValue(note, ['createdAt', 'created_at']) || nowIso();
+      notes.push({
+        tvmazeEpisodeId,
+        body,
+        createdAt,
+        updatedAt: pickValue(note, ['updatedAt', 'updated_at']) || createdAt,
+      });
+    });
+  };
+  pushNotes(showPayload.notes);
+  const episodes = Array.isArray(showPayload.episodes)
+    ? showPayload.episodes
+    : [];
+  episodes.forEach((episode) => {
+    const tvmazeEpisodeId = pickValue(episode, [
+      'tvmazeEpisodeId',
+      'tvmaze_id',
+    ]);
+    if (tvmazeEpisodeId) {
+      pushNotes(episode.notes, tvmazeEpisodeId);
+    }
+  });
+  return notes;
+}
+
 function upsertShowWithPayload(showPayload) {
   const tvmazeId = pickValue(showPayload, ['tvmazeId', 'tvmaze_id']);
   if (!tvmazeId) {
@@ -404,6 +1228,7 @@ function upsertShowWithPayload(showPayload) {
     .get(tvmazeId);
   const showData = {
     tvmaze_id: tvmazeId,
+    provider: pickValue(showPayload, ['provider']) || 'tvmaze',
     name: pickValue(showPayload, ['name']) || `Show ${tvmazeId}`,
     summary: pickValue(showPayload, ['summary']),
     status: pickValue(showPayload, ['status']),
@@ -424,13 +1249,13 @@ function upsertShowWithPayload(showPayload) {
 
   const insertShow = db.prepare(
     `INSERT INTO shows
-      (tvmaze_id, name, summary, status, premiered, ended, company, image_medium, image_original, imdb_id, updated_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      (tvmaze_id, provider, name, summary, status, premiered, ended, company, image_medium, image_original, imdb_id, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
   );
   const updateShow = db.prepare(
     `UPDATE shows
-       SET name = ?, summary = ?, status = ?, premiered = ?, ended = ?, company = ?,
-           image_medium = ?, image_original = ?, imdb_id = ?, updated_at = ?
+       SET provider = ?, name = ?, summary = ?, status = ?, premiered = ?, ended = ?,
+           company = ?, image_medium = ?, image_original = ?, imdb_id = ?, updated_at = ?
      WHERE tvmaze_id = ?`
   );
 
@@ -439,6 +1264,7 @@ function upsertShowWithPayload(showPayload) {
   runTransaction(() => {
     if (showRow) {
       updateShow.run(
+        showData.provider,
         showData.name,
         showData.summary,
         showData.status,
@@ -454,6 +1280,7 @@ function upsertShowWithPayload(showPayload) {
     } else {
       const result = insertShow.run(
         showData.tvmaze_id,
+        showData.provider,
         showData.name,
         showData.summary,
         showData.status,
@@ -468,6 +1295,22 @@ function upsertShowWithPayload(showPayload) {
       showId = toNumber(result.lastInsertRowid);
     }
 
+    // Older exports and CSV rows carry no details; keep what is stored.
+    if (Array.isArray(showPayload.genres)) {
+      updateShowDetails(showId, {
+        genres: showPayload.genres,
+        language: pickValue(showPayload, ['language']),
+        network: pickValue(showPayload, ['network']),
+        webChannel: pickValue(showPayload, ['webChannel']),
+        officialSite: pickValue(showPayload, ['officialSite']),
+        scheduleDays: pickValue(showPayload, ['scheduleDays']),
+        scheduleTime: pickValue(showPayload, ['scheduleTime']),
+        averageRuntime: pickValue(showPayload, ['averageRuntime']),
+        rating: pickValue(showPayload, ['providerRating']),
+        timezone: pickValue(showPayload, ['timezone']),
+      });
+    }
+
     const episodes = Array.isArray(showPayload.episodes)
       ? showPayload.episodes
       : [];
@@ -477,13 +1320,15 @@ function upsertShowWithPayload(showPayload) {
       );
       const insertEpisode = db.prepare(
         `INSERT INTO episodes
-          (show_id, tvmaze_id, season, number, name, summary, airdate, airtime, runtime, image_medium, image_original)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+          (show_id, tvmaze_id, season, number, name, summary, airdate, airtime, airstamp,
+           runtime, image_medium, image_original)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
       );
       const updateEpisode = db.prepare(
         `UPDATE episodes
            SET show_id = ?, season = ?, number = ?, name = ?, summary = ?,
-               airdate = ?, airtime = ?, runtime = ?, image_medium = ?, image_original = ?
+               airdate = ?, airtime = ?, airstamp = ?, runtime = ?, image_medium = ?,
+               image_original = ?
          WHERE tvmaze_id = ?`
       );
 
@@ -501,6 +1346,7 @@ function upsertShowWithPayload(showPayload) {
           summary: pickValue(episode, ['summary']),
           airdate: pickValue(episode, ['airdate']),
           airtime: pickValue(episode, ['airtime']),
+          airstamp: toUtcTimestamp(pickValue(episode, ['airstamp'])),
           runtime: pickValue(episode, ['runtime']),
           image_medium: pickValue(episode, [
             'imageMedium',
@@ -521,6 +1367,7 @@ function upsertShowWithPayload(showPayload) {
             episodeData.summary,
             episodeData.airdate,
             episodeData.airtime,
+            episodeData.airstamp,
             episodeData.runtime,
             episodeData.image_medium,
             episodeData.image_original,
@@ -536,6 +1383,7 @@ function upsertShowWithPayload(showPayload) {
             episodeData.summary,
             episodeData.airdate,
             episodeData.airtime,
+            episodeData.airstamp,
             episodeData.runtime,
             episodeData.image_medium,
             episodeData.image_original
@@ -586,6 +1434,14 @@ async function importProfilePayload(profileId, payload) {
   if (!isValidImportPayload(payload)) {
     throw new Error('Invalid import file');
   }
+  const payloadTags = Array.isArray(payload.tags) ? payload.tags : [];
+  payloadTags.forEach((tag) => {
+    const name = normalizeTagName(tag?.name);
+    if (name) {
+      findOrCreateTag(profileId, name, Boolean(tag.isCollection));
+    }
+  });
+
   const imported = [];
   for (const show of payload.shows) {
     const tvmazeId = pickValue(show, ['tvmazeId', 'tvmaze_id']);
@@ -609,7 +1465,10 @@ async function importProfilePayload(profileId, payload) {
     if (hasPayloadData) {
       showId = upsertShowWithPayload(show).showId;
     } else {
-      const result = await upsertShowWithEpisodes(tvmazeId);
+      const result = await upsertShowWithEpisodes(
+        tvmazeId,
+        pickValue(show, ['provider']) || undefined
+      );
       showId = result.showId;
     }
     db.prepare(
@@ -617,12 +1476,36 @@ async function importProfilePayload(profileId, payload) {
     ).run(profileId, showId, show.addedAt || nowIso());
 
     const profileStatus = pickValue(show, ['profileStatus', 'profile_status']);
-    if (profileStatus !== null && profileStatus !== undefined) {
+    if (PROFILE_STATUSES.includes(profileStatus)) {
       db.prepare(
         'UPDATE profile_shows SET status = ? WHERE profile_id = ? AND show_id = ?'
       ).run(profileStatus, profileId, showId);
     }
 
+    const rewatchCount = pickValue(show, ['rewatchCount', 'rewatch_count']);
+    if (rewatchCount !== null) {
+      db.prepare(
+        `UPDATE profile_shows
+           SET rewatch_count = ?, rewatching = ?
+         WHERE profile_id = ? AND show_id = ?`
+      ).run(
+        Math.max(0, Number(rewatchCount) || 0),
+        pickValue(show, ['rewatching']) ? 1 : 0,
+        profileId,
+        showId
+      );
+    }
+
+    const includeSpecials = pickValue(show, [
+      'includeSpecials',
+      'include_specials',
+    ]);
+    if (includeSpecials !== null) {
+      db.prepare(
+        'UPDATE profile_shows SET include_specials = ? WHERE profile_id = ? AND show_id = ?'
+      ).run(includeSpecials ? 1 : 0, profileId, showId);
+    }
+
     const watchedEpisodes = getWatchedEpisodesFromPayload(show);
     watchedEpisodes.forEach((episode) => {
       const tvmazeEpisodeId = pickValue(episode, [
@@ -634,13 +1517,62 @@ async function importProfilePayload(profileId, payload) {
         .prepare('SELECT id FROM episodes WHERE tvmaze_id = ?')
         .get(tvmazeEpisodeId);
       if (row) {
-        db.prepare(
-          `INSERT INTO profile_episodes (profile_id, episode_id, watched_at)
-           VALUES (?, ?, ?)
-           ON CONFLICT(profile_id, episode_id)
-           DO UPDATE SET watched_at = excluded.watched_at`
-        ).run(profileId, row.id, episode.watchedAt || nowIso());
+        recordEpisodeWatch(profileId, row.id, episode.watchedAt || nowIso());
+      }
+    });
+
+    getRewatchesFromPayload(show).forEach((rewatch) => {
+      const row = db
+        .prepare('SELECT id FROM episodes WHERE tvmaze_id = ?')
+        .get(rewatch.tvmazeEpisodeId);
+      if (row) {
+        recordEpisodeWatch(profileId, row.id, rewatch.watchedAt, rewatch.pass);
+      }
+    });
+
+    const showRating = toRating(pickValue(show, ['rating']));
+    if (showRating !== null) {
+      db.prepare(
+        'UPDATE profile_shows SET rating = ? WHERE profile_id = ? AND show_id = ?'
+      ).run(showRating, profileId, showId);
+    }
+
+    getEpisodeRatingsFromPayload(show).forEach((episodeRating) => {
+      const row = db
+        .prepare('SELECT id FROM episodes WHERE tvmaze_id = ?')
+        .get(episodeRating.tvmazeEpisodeId);
+      if (row) {
+        setEpisodeRating(profileId, row.id, episodeRating.rating);
+      }
+    });
+
+    (Array.isArray(show.tags) ? show.tags : []).forEach((tagName) => {
+      const name = normalizeTagName(tagName);
+      if (!name) return;
+      const tagId = findOrCreateTag(profileId, name);
+      db.prepare(
+        'INSERT OR IGNORE INTO show_tags (tag_id, show_id) VALUES (?, ?)'
+      ).run(tagId, showId);
+    });
+
+    getNotesFromPayload(show).forEach((note) => {
+      let episodeId = null;
+      if (note.tvmazeEpisodeId) {
+        const row = db
+          .prepare('SELECT id FROM episodes WHERE show_id = ? AND tvmaze_id = ?')
+          .get(showId, note.tvmazeEpisodeId);
+        if (!row) return;
+        episodeId = toNumber(row.id);
       }
+      const existing = db
+        .prepare(
+          `SELECT id FROM notes
+           WHERE profile_id = ? AND show_id = ? AND episode_id IS ?
+             AND body = ? AND created_at = ?`
+        )
+        .get(profileId, showId, episodeId, note.body, note.createdAt);
+      if (existing) return;
+      insertNote(profileId, { showId, episodeId, ...note });
     });
 
     imported.push(tvmazeId);
@@ -678,12 +1610,15 @@ function getCsrfToken(req) {
   return req.session.csrfToken;
 }
 
-function computeShowState(show, showEpisodes) {
+function computeShowState(show, allEpisodes) {
+  const release = toReleaseOptions(show);
+  const showEpisodes = getTrackedEpisodes(show, allEpisodes);
+  const isWatched = (episode) => Boolean(getEpisodeWatchedAt(show, episode));
   const releasedEpisodes = showEpisodes.filter((episode) =>
-    isReleased(episode.airdate)
+    isReleased(episode.airdate, episode.airstamp, release)
   );
   const releasedUnwatched = releasedEpisodes.filter(
-    (episode) => !episode.watched_at
+    (episode) => !isWatched(episode)
   );
   const hasPartiallyWatchedSeason = (() => {
     const seasons = new Map();
@@ -695,54 +1630,55 @@ function computeShowState(show, showEpisodes) {
     });
     for (const seasonEpisodes of seasons.values()) {
       const seasonReleased = seasonEpisodes.filter((episode) =>
-        isReleased(episode.airdate)
+        isReleased(episode.airdate, episode.airstamp, release)
       );
       if (seasonReleased.length === 0) continue;
-      const watchedReleased = seasonReleased.filter(
-        (episode) => episode.watched_at
-      ).length;
+      const watchedReleased = seasonReleased.filter(isWatched).length;
       if (watchedReleased > 0 && watchedReleased < seasonReleased.length) {
         return true;
       }
     }
     return false;
   })();
-  const watchedCount = showEpisodes.filter(
-    (episode) => episode.watched_at
-  ).length;
+  const watchedCount = showEpisodes.filter(isWatched).length;
   const started = watchedCount > 0;
   const hasReleased = releasedEpisodes.length > 0;
   const hasFuture = showEpisodes.some(
-    (episode) => episode.airdate && !isReleased(episode.airdate)
+    (episode) =>
+      episode.airdate &&
+      !isReleased(episode.airdate, episode.airstamp, release)
   );
   const isEnded = (show.status || '').toLowerCase() === 'ended';
   const allReleasedWatched =
     hasReleased && releasedUnwatched.length === 0;
   const allEpisodesWatched =
     showEpisodes.length > 0 &&
-    showEpisodes.every((episode) => episode.watched_at);
+    showEpisodes.every(isWatched);
 
-  let state = 'queued';
-  if (show.profile_status === 'stopped') {
-    state = 'stopped';
-  } else if (hasPartiallyWatchedSeason) {
-    state = 'watching';
+  let progressState = 'queued';
+  if (hasPartiallyWatchedSeason) {
+    progressState = 'watching';
   } else if (started && releasedUnwatched.length > 0) {
-    state = 'watch-next';
+    progressState = 'watch-next';
   } else if (!started && hasReleased) {
-    state = 'queued';
+    progressState = 'queued';
   } else if (started && allReleasedWatched && !isEnded) {
-    state = 'up-to-date';
+    progressState = 'up-to-date';
   } else if (isEnded && allEpisodesWatched) {
-    state = 'completed';
+    progressState = 'completed';
   } else if (!hasReleased) {
-    state = 'queued';
+    progressState = 'queued';
   } else {
-    state = 'up-to-date';
+    progressState = 'up-to-date';
   }
 
+  const state = PROFILE_STATUSES.includes(show.profile_status)
+    ? show.profile_status
+    : progressState;
+
   return {
     state,
+    progressState,
     releasedEpisodes,
     releasedUnwatched,
     watchedCount,
@@ -767,21 +1703,304 @@ function ensureActiveProfile(req) {
   return req.session.profileId;
 }
 
-async function upsertShowWithEpisodes(tvmazeId) {
-  const show = await fetchShow(tvmazeId);
-  const episodes = await fetchEpisodes(tvmazeId);
+// Credits are nice to have: when they can't be fetched the show is still
+// stored and any credits from an earlier fetch are kept.
+async function fetchShowCredits(provider, tvmazeId) {
+  if (!provider.fetchCredits) {
+    return null;
+  }
+  try {
+    return await provider.fetchCredits(tvmazeId);
+  } catch (error) {
+    console.warn(`Failed to fetch credits for ${tvmazeId}: ${error.message}`);
+    return null;
+  }
+}
+
+function replaceShowCredits(showId, providerId, credits) {
+  const upsertPerson = db.prepare(
+    `INSERT INTO people (provider, provider_id, name, image_medium, image_original)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(provider, provider_id) DO UPDATE
+       SET name = excluded.name,
+           image_medium = COALESCE(excluded.image_medium, people.image_medium),
+           image_original = COALESCE(excluded.image_original, people.image_original)
+     RETURNING id`
+  );
+  const insertCredit = db.prepare(
+    `INSERT INTO show_credits
+      (show_id, person_id, kind, character, character_image, job, position)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  );
+  const addCredits = (kind, members) => {
+    members.forEach((member, index) => {
+      const person = upsertPerson.get(
+        providerId,
+        member.personId,
+        member.name,
+        member.imageMedium,
+        member.imageOriginal
+      );
+      insertCredit.run(
+        showId,
+        person.id,
+        kind,
+        member.character ?? null,
+        member.characterImage ?? null,
+        member.job ?? null,
+        index
+      );
+    });
+  };
+
+  db.prepare('DELETE FROM show_credits WHERE show_id = ?').run(showId);
+  addCredits('cast', credits.cast || []);
+  addCredits('crew', credits.crew || []);
+  db.prepare(
+    `DELETE FROM people
+     WHERE NOT EXISTS (SELECT 1 FROM show_credits c WHERE c.person_id = people.id)`
+  ).run();
+}
+
+function listShowCredits(showId) {
+  const rows = db
+    .prepare(
+      `SELECT c.kind, c.character, c.character_image, c.job,
+              p.id AS person_id, p.name, p.image_medium, p.image_original
+       FROM show_credits c
+       JOIN people p ON p.id = c.person_id
+       WHERE c.show_id = ?
+       ORDER BY c.kind ASC, c.position ASC`
+    )
+    .all(showId);
+
+  const toPerson = (row) => ({
+    personId: row.person_id,
+    name: row.name,
+    image: row.image_medium || row.image_original,
+  });
+  return {
+    cast: rows
+      .filter((row) => row.kind === 'cast')
+      .map((row) => ({
+        ...toPerson(row),
+        character: row.character,
+        characterImage: row.character_image,
+      })),
+    crew: rows
+      .filter((row) => row.kind === 'crew')
+      .map((row) => ({ ...toPerson(row), job: row.job })),
+  };
+}
+
+const EPISODE_HISTORY_TABLES = [
+  'profile_episodes',
+  'watch_events',
+  'profile_episode_ratings',
+  'notes',
+];
+
+// Trash entries and undo snapshots keep copies of history rows, so they
+// count as history too: deleting the episode would break their restore.
+const SNAPSHOT_TABLES = ['show_trash', 'action_log'];
+
+function hasEpisodeHistory(episodeId) {
+  return (
+    EPISODE_HISTORY_TABLES.some((table) =>
+      db.prepare(`SELECT 1 FROM ${table} WHERE episode_id = ? LIMIT 1`).get(episodeId)
+    ) ||
+    SNAPSHOT_TABLES.some((table) =>
+      db
+        .prepare(
+          `SELECT 1 FROM ${table} s, json_tree(s.snapshot) node
+           WHERE node.key = 'episode_id' AND node.atom = ?
+           LIMIT 1`
+        )
+        .get(episodeId)
+    )
+  );
+}
+
+// Renames `fromId` in snapshot rows; where the replacement already has a row
+// with the same key, that row wins, matching moveEpisodeHistory.
+function remapEpisodeRows(rows, fromId, toId, getKey) {
+  const taken = new Set(
+    rows.filter((row) => row.episode_id === toId).map(getKey)
+  );
+  return rows
+    .filter((row) => row.episode_id !== fromId || !taken.has(getKey(row)))
+    .map((row) => (row.episode_id === fromId ? { ...row, episode_id: toId } : row));
+}
+
+function remapWatchSnapshot(watch, fromId, toId) {
+  if (!watch?.episodeIds) return;
+  watch.episodeIds = Array.from(
+    new Set(watch.episodeIds.map((id) => (id === fromId ? toId : id)))
+  );
+  watch.profileEpisodes = remapEpisodeRows(
+    watch.profileEpisodes,
+    fromId,
+    toId,
+    () => ''
+  );
+  watch.watchEvents = remapEpisodeRows(
+    watch.watchEvents,
+    fromId,
+    toId,
+    (row) => row.pass
+  );
+}
+
+function remapSnapshotEpisode(snapshot, fromId, toId) {
+  remapWatchSnapshot(snapshot, fromId, toId);
+  remapWatchSnapshot(snapshot.watch, fromId, toId);
+  if (snapshot.ratings) {
+    snapshot.ratings = remapEpisodeRows(snapshot.ratings, fromId, toId, () => '');
+  }
+  if (snapshot.notes) {
+    snapshot.notes = remapEpisodeRows(snapshot.notes, fromId, toId, (row) => row.id);
+  }
+  return snapshot;
+}
+
+// Moves watches, ratings and notes onto the replacement episode, in the live
+// tables and in trash and undo snapshots. Where the replacement already has a
+// row for the same profile (and pass), it wins.
+function moveEpisodeHistory(fromId, toId) {
+  db.prepare(
+    `INSERT INTO profile_episodes (profile_id, episode_id, watched_at)
+     SELECT profile_id, ?, watched_at FROM profile_episodes
+     WHERE episode_id = ? AND watched_at IS NOT NULL
+     ON CONFLICT(profile_id, episode_id) DO UPDATE
+       SET watched_at = COALESCE(profile_episodes.watched_at, excluded.watched_at)`
+  ).run(toId, fromId);
+  db.prepare(
+    'UPDATE OR IGNORE watch_events SET episode_id = ? WHERE episode_id = ?'
+  ).run(toId, fromId);
+  db.prepare(
+    'UPDATE OR IGNORE profile_episode_ratings SET episode_id = ? WHERE episode_id = ?'
+  ).run(toId, fromId);
+  db.prepare('UPDATE notes SET episode_id = ? WHERE episode_id = ?').run(toId, fromId);
+  SNAPSHOT_TABLES.forEach((table) => {
+    const update = db.prepare(`UPDATE ${table} SET snapshot = ? WHERE id = ?`);
+    db.prepare(
+      `SELECT id, snapshot FROM ${table}
+       WHERE instr(snapshot, ?) > 0`
+    )
+      .all(String(fromId))
+      .forEach((row) => {
+        const snapshot = JSON.parse(row.snapshot);
+        update.run(
+          JSON.stringify(remapSnapshotEpisode(snapshot, fromId, toId)),
+          row.id
+        );
+      });
+  });
+}
+
+// Handles episodes the provider no longer lists: history moves to an episode
+// with the same season and number when there is one, episodes without history
+// are removed, and the rest are flagged as orphaned.
+function reconcileShowEpisodes(showId, showName, upstreamIds) {
+  const rows = db
+    .prepare(
+      'SELECT id, tvmaze_id, season, number, orphaned_at FROM episodes WHERE show_id = ?'
+    )
+    .all(showId);
+  const current = rows.filter((row) => upstreamIds.has(row.tvmaze_id));
+  const stale = rows.filter((row) => !upstreamIds.has(row.tvmaze_id));
+  const deleteEpisode = db.prepare('DELETE FROM episodes WHERE id = ?');
+  const orphanEpisode = db.prepare('UPDATE episodes SET orphaned_at = ? WHERE id = ?');
+
+  stale.forEach((episode) => {
+    const label = `${showName} ${formatEpisodeCode(episode)} (${episode.tvmaze_id})`;
+    const replacement =
+      episode.number === null
+        ? null
+        : current.find(
+            (row) => row.season === episode.season && row.number === episode.number
+          );
+
+    if (replacement) {
+      moveEpisodeHistory(episode.id, replacement.id);
+      deleteEpisode.run(episode.id);
+      console.log(
+        `Sync: replaced ${label} with ${replacement.tvmaze_id} and moved its history`
+      );
+    } else if (!hasEpisodeHistory(episode.id)) {
+      deleteEpisode.run(episode.id);
+      console.log(`Sync: removed ${label}, no longer listed upstream`);
+    } else if (!episode.orphaned_at) {
+      orphanEpisode.run(nowIso(), episode.id);
+      console.log(`Sync: orphaned ${label}, kept for its watch history`);
+    }
+  });
+}
+
+// Records the outcome of a metadata refresh. Shows seen for the first time
+// inherit the next scheduled run from the rest of the library.
+function recordShowSync(showId, error = null) {
+  const now = nowIso();
+  db.prepare(
+    `INSERT INTO show_sync_status
+      (show_id, last_attempt_at, last_success_at, last_error, last_error_at, next_sync_at)
+     VALUES (?, ?, ?, ?, ?, (SELECT MAX(next_sync_at) FROM show_sync_status))
+     ON CONFLICT(show_id) DO UPDATE SET
+       last_attempt_at = excluded.last_attempt_at,
+       last_success_at = COALESCE(excluded.last_success_at, show_sync_status.last_success_at),
+       last_error = COALESCE(excluded.last_error, show_sync_status.last_error),
+       last_error_at = COALESCE(excluded.last_error_at, show_sync_status.last_error_at)`
+  ).run(
+    showId,
+    now,
+    error ? null : now,
+    error ? error.message : null,
+    error ? now : null
+  );
+}
+
+function scheduleNextShowSync(nextSyncAt) {
+  db.prepare(
+    `INSERT INTO show_sync_status (show_id, next_sync_at)
+     SELECT id, ? FROM shows WHERE true
+     ON CONFLICT(show_id) DO UPDATE SET next_sync_at = excluded.next_sync_at`
+  ).run(nextSyncAt);
+}
+
+function getShowSyncStatus(showId) {
+  const row = db
+    .prepare('SELECT * FROM show_sync_status WHERE show_id = ?')
+    .get(showId);
+  const lastSuccessAt = row?.last_success_at || null;
+  const lastErrorAt = row?.last_error_at || null;
+  return {
+    lastAttemptAt: row?.last_attempt_at || null,
+    lastSuccessAt,
+    lastError: row?.last_error || null,
+    lastErrorAt,
+    failing: Boolean(lastErrorAt && (!lastSuccessAt || lastErrorAt > lastSuccessAt)),
+    nextSyncAt: row?.next_sync_at || null,
+  };
+}
+
+async function upsertShowWithEpisodes(tvmazeId, providerId = getDefaultProviderId()) {
+  const provider = getProvider(providerId);
+  const show = await provider.fetchShow(tvmazeId);
+  const episodes = await provider.fetchEpisodes(tvmazeId);
+  const credits = await fetchShowCredits(provider, tvmazeId);
 
   const showPayload = {
     tvmaze_id: show.id,
+    provider: provider.id,
     name: show.name,
-    summary: stripHtml(show.summary),
+    summary: show.summary,
     status: show.status,
     premiered: show.premiered,
     ended: show.ended,
-    company: getProducingCompany(show),
-    image_medium: show.image?.medium || null,
-    image_original: show.image?.original || null,
-    imdb_id: show.externals?.imdb || null,
+    company: show.company,
+    image_medium: show.imageMedium,
+    image_original: show.imageOriginal,
+    imdb_id: show.imdbId,
     updated_at: nowIso(),
   };
 
@@ -791,13 +2010,13 @@ async function upsertShowWithEpisodes(tvmazeId) {
 
   const insertShow = db.prepare(
     `INSERT INTO shows
-      (tvmaze_id, name, summary, status, premiered, ended, company, image_medium, image_original, imdb_id, updated_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      (tvmaze_id, provider, name, summary, status, premiered, ended, company, image_medium, image_original, imdb_id, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
   );
   const updateShow = db.prepare(
     `UPDATE shows
-       SET name = ?, summary = ?, status = ?, premiered = ?, ended = ?, company = ?,
-           image_medium = ?, image_original = ?, imdb_id = ?, updated_at = ?
+       SET provider = ?, name = ?, summary = ?, status = ?, premiered = ?, ended = ?,
+           company = ?, image_medium = ?, image_original = ?, imdb_id = ?, updated_at = ?
      WHERE tvmaze_id = ?`
   );
 
@@ -806,13 +2025,15 @@ async function upsertShowWithEpisodes(tvmazeId) {
   );
   const insertEpisode = db.prepare(
     `INSERT INTO episodes
-      (show_id, tvmaze_id, season, number, name, summary, airdate, airtime, runtime, image_medium, image_original)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      (show_id, tvmaze_id, season, number, name, summary, airdate, airtime, airstamp,
+       runtime, image_medium, image_original)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
   );
   const updateEpisode = db.prepare(
     `UPDATE episodes
        SET show_id = ?, season = ?, number = ?, name = ?, summary = ?,
-           airdate = ?, airtime = ?, runtime = ?, image_medium = ?, image_original = ?
+           airdate = ?, airtime = ?, airstamp = ?, runtime = ?, image_medium = ?,
+           image_original = ?, orphaned_at = NULL
      WHERE tvmaze_id = ?`
   );
 
@@ -821,6 +2042,7 @@ async function upsertShowWithEpisodes(tvmazeId) {
   runTransaction(() => {
     if (existingShow) {
       updateShow.run(
+        showPayload.provider,
         showPayload.name,
         showPayload.summary,
         showPayload.status,
@@ -836,6 +2058,7 @@ async function upsertShowWithEpisodes(tvmazeId) {
     } else {
       const result = insertShow.run(
         showPayload.tvmaze_id,
+        showPayload.provider,
         showPayload.name,
         showPayload.summary,
         showPayload.status,
@@ -849,6 +2072,7 @@ async function upsertShowWithEpisodes(tvmazeId) {
       );
       showId = toNumber(result.lastInsertRowid);
     }
+    updateShowDetails(showId, show);
 
     episodes.forEach((episode) => {
       const episodePayload = {
@@ -857,12 +2081,13 @@ async function upsertShowWithEpisodes(tvmazeId) {
         season: episode.season,
         number: episode.number,
         name: episode.name,
-        summary: stripHtml(episode.summary),
+        summary: episode.summary,
         airdate: episode.airdate,
         airtime: episode.airtime,
+        airstamp: episode.airstamp ?? null,
         runtime: episode.runtime,
-        image_medium: episode.image?.medium || null,
-        image_original: episode.image?.original || null,
+        image_medium: episode.imageMedium,
+        image_original: episode.imageOriginal,
       };
 
       if (selectEpisode.get(episodePayload.tvmaze_id)) {
@@ -874,6 +2099,7 @@ async function upsertShowWithEpisodes(tvmazeId) {
           episodePayload.summary,
           episodePayload.airdate,
           episodePayload.airtime,
+          episodePayload.airstamp,
           episodePayload.runtime,
           episodePayload.image_medium,
           episodePayload.image_original,
@@ -889,12 +2115,28 @@ async function upsertShowWithEpisodes(tvmazeId) {
           episodePayload.summary,
           episodePayload.airdate,
           episodePayload.airtime,
+          episodePayload.airstamp,
           episodePayload.runtime,
           episodePayload.image_medium,
           episodePayload.image_original
         );
       }
     });
+
+    // An empty list is more likely an upstream hiccup than a show that lost
+    // every episode, so it never triggers removals.
+    if (episodes.length > 0) {
+      reconcileShowEpisodes(
+        showId,
+        showPayload.name,
+        new Set(episodes.map((episode) => episode.id))
+      );
+    }
+
+    if (credits) {
+      replaceShowCredits(showId, provider.id, credits);
+    }
+    recordShowSync(showId);
   });
 
   return { showId, showPayload };
@@ -903,9 +2145,14 @@ async function upsertShowWithEpisodes(tvmazeId) {
 function listShowsForProfile(profileId) {
   const shows = db
     .prepare(
-      `SELECT s.*, ps.status AS profile_status
+      `SELECT s.*, ps.status AS profile_status, ps.rewatch_count, ps.rewatching,
+              ps.rating,
+              COALESCE(ps.include_specials, p.include_specials) AS include_specials,
+              ps.include_specials AS show_include_specials,
+              p.timezone AS profile_timezone, p.release_delay_hours
        FROM shows s
        JOIN profile_shows ps ON ps.show_id = s.id
+       JOIN profiles p ON p.id = ps.profile_id
        WHERE ps.profile_id = ?
        ORDER BY s.name ASC`
     )
@@ -913,12 +2160,15 @@ function listShowsForProfile(profileId) {
 
   const episodes = db
     .prepare(
-      `SELECT e.*, pe.watched_at
+      `SELECT e.*, pe.watched_at, we.watched_at AS rewatch_watched_at
        FROM episodes e
        JOIN profile_shows ps ON ps.show_id = e.show_id
        LEFT JOIN profile_episodes pe
          ON pe.episode_id = e.id AND pe.profile_id = ?
-       WHERE ps.profile_id = ?`
+       LEFT JOIN watch_events we
+         ON we.episode_id = e.id AND we.profile_id = ps.profile_id
+        AND ps.rewatching = 1 AND we.pass = ps.rewatch_count
+       WHERE ps.profile_id = ? AND e.orphaned_at IS NULL`
     )
     .all(profileId, profileId);
 
@@ -930,10 +2180,16 @@ function listShowsForProfile(profileId) {
     episodesByShow.get(episode.show_id).push(episode);
   });
 
+  const tagsByShow = listTagsByShow(profileId);
+
   return shows.map((show) => {
-    const showEpisodes = episodesByShow.get(show.id) || [];
+    const showEpisodes = getTrackedEpisodes(
+      show,
+      episodesByShow.get(show.id) || []
+    );
     const {
       state,
+      progressState,
       releasedEpisodes,
       releasedUnwatched,
       watchedCount,
@@ -943,8 +2199,13 @@ function listShowsForProfile(profileId) {
     const nextUnwatched = releasedUnwatched
       .slice()
       .sort((a, b) => (a.airdate || '').localeCompare(b.airdate || ''))[0];
+    const release = toReleaseOptions(show);
     const nextFuture = showEpisodes
-      .filter((episode) => episode.airdate && !isReleased(episode.airdate))
+      .filter(
+        (episode) =>
+          episode.airdate &&
+          !isReleased(episode.airdate, episode.airstamp, release)
+      )
       .sort((a, b) => (a.airdate || '').localeCompare(b.airdate || ''))[0];
 
     return {
@@ -958,8 +2219,15 @@ function listShowsForProfile(profileId) {
       company: show.company || null,
       ended: show.ended,
       image: show.image_original || show.image_medium,
+      ...serializeShowDetails(show),
       profileStatus: show.profile_status || null,
+      rewatchCount: toNumber(show.rewatch_count) || 0,
+      rewatching: Boolean(show.rewatching),
+      includeSpecials: Boolean(show.include_specials),
+      rating: toRating(show.rating),
+      tags: tagsByShow.get(show.id) || [],
       state,
+      progressState,
       stats: {
         totalEpisodes: showEpisodes.length,
         watchedEpisodes: watchedCount,
@@ -1089,11 +2357,96 @@ app.get('/api/auth/me', (req, res) => {
 app.get('/api/profiles', requireAuth, (req, res) => {
   const activeProfileId = ensureActiveProfile(req);
   const profiles = db
-    .prepare('SELECT id, name FROM profiles WHERE user_id = ? ORDER BY name')
-    .all(req.session.userId);
+    .prepare(
+      `SELECT id, name, include_specials, timezone, release_delay_hours
+       FROM profiles WHERE user_id = ? ORDER BY name`
+    )
+    .all(req.session.userId)
+    .map((profile) => ({
+      id: profile.id,
+      name: profile.name,
+      includeSpecials: Boolean(profile.include_specials),
+      timezone: profile.timezone || null,
+      releaseDelayHours: toNumber(profile.release_delay_hours) || 0,
+    }));
   res.json({ profiles, activeProfileId: activeProfileId || null });
 });
 
+// Settings are updated individually; omitted fields keep their current value.
+app.post('/api/profiles/settings', requireAuth, requireProfile, (req, res) => {
+  const body = req.body || {};
+  const updates = [];
+  if (body.includeSpecials !== undefined) {
+    if (typeof body.includeSpecials !== 'boolean') {
+      return res.status(400).json({ error: 'includeSpecials must be a boolean' });
+    }
+    updates.push(['include_specials', body.includeSpecials ? 1 : 0]);
+  }
+  if (body.timezone !== undefined) {
+    if (body.timezone !== null && !isValidTimeZone(body.timezone)) {
+      return res.status(400).json({ error: 'Unknown timezone' });
+    }
+    updates.push(['timezone', body.timezone]);
+  }
+  if (body.releaseDelayHours !== undefined) {
+    const hours = body.releaseDelayHours;
+    if (!Number.isInteger(hours) || hours < 0 || hours > maxReleaseDelayHours) {
+      return res.status(400).json({
+        error: `releaseDelayHours must be a whole number from 0 to ${maxReleaseDelayHours}`,
+      });
+    }
+    updates.push(['release_delay_hours', hours]);
+  }
+  if (updates.length === 0) {
+    return res.status(400).json({ error: 'No settings provided' });
+  }
+
+  db.prepare(
+    `UPDATE profiles SET ${updates.map(([column]) => `${column} = ?`).join(', ')}
+     WHERE id = ?`
+  ).run(...updates.map(([, value]) => value), req.session.profileId);
+  const profile = db
+    .prepare(
+      'SELECT include_specials, timezone, release_delay_hours FROM profiles WHERE id = ?'
+    )
+    .get(req.session.profileId);
+  return res.json({
+    ok: true,
+    includeSpecials: Boolean(profile.include_specials),
+    timezone: profile.timezone || null,
+    releaseDelayHours: toNumber(profile.release_delay_hours) || 0,
+  });
+});
+
+function getCalendarFeedPath(token) {
+  return token ? `/api/calendar/feed/${token}.ics` : null;
+}
+
+app.get('/api/profiles/calendar-feed', requireAuth, requireProfile, (req, res) => {
+  const profile = db
+    .prepare('SELECT calendar_token FROM profiles WHERE id = ?')
+    .get(req.session.profileId);
+  res.json({ path: getCalendarFeedPath(profile.calendar_token) });
+});
+
+// Issuing a new token revokes the previous one, so leaked feed URLs stop
+// working for every calendar app that subscribed to them.
+app.post('/api/profiles/calendar-feed', requireAuth, requireProfile, (req, res) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  db.prepare('UPDATE profiles SET calendar_token = ? WHERE id = ?').run(
+    token,
+    req.session.profileId
+  );
+  res.json({ path: getCalendarFeedPath(token) });
+});
+
+app.delete('/api/profiles/calendar-feed', requireAuth, requireProfile, (req, res) => {
+  db.prepare('UPDATE profiles SET calendar_token = NULL WHERE id = ?').run(
+    req.session.profileId
+  );
+  res.json({ path: null });
+});
+
 app.post('/api/profiles', requireAuth, (req, res) => {
   const { name } = req.body || {};
   if (!name) {
@@ -1188,94 +2541,334 @@ app.delete('/api/profiles/:id', requireAuth, (req, res) => {
   return res.json({ ok: true });
 });
 
-app.get('/api/tvmaze/search', requireAuth, async (req, res) => {
-  const query = req.query.q;
-  if (!query) {
-    return res.status(400).json({ error: 'Query required' });
-  }
-  const profileId = ensureActiveProfile(req);
-  const existingShows = profileId ? listShowsForProfile(profileId) : [];
-  const existingByTvmazeId = new Map(
-    existingShows.map((show) => [show.tvmazeId, show])
-  );
-  try {
-    const results = await searchShows(query);
-    const payload = results.map((item) => ({
-      existingState: existingByTvmazeId.get(item.show.id)?.state || null,
-      id: item.show.id,
-      name: item.show.name,
-      summary: stripHtml(item.show.summary),
-      status: item.show.status,
-      premiered: item.show.premiered,
-      ended: item.show.ended,
-      releaseYear: getPremiereYear(item.show.premiered),
-      company: getProducingCompany(item.show),
-      imdbId: item.show.externals?.imdb || null,
-      image: item.show.image?.medium || null,
+app.get('/api/tags', requireAuth, requireProfile, (req, res) => {
+  const tags = db
+    .prepare(
+      `SELECT t.id, t.name, t.is_collection, COUNT(st.show_id) AS show_count
+       FROM tags t
+       LEFT JOIN show_tags st ON st.tag_id = t.id
+       WHERE t.profile_id = ?
+       GROUP BY t.id
+       ORDER BY t.name COLLATE NOCASE ASC`
+    )
+    .all(req.session.profileId)
+    .map((tag) => ({
+      ...serializeTag(tag),
+      showCount: toNumber(tag.show_count) || 0,
     }));
-    return res.json({ results: payload });
-  } catch (error) {
-    return res.status(500).json({ error: error.message });
-  }
+  res.json({ tags });
 });
 
-app.post('/api/shows', requireAuth, requireProfile, async (req, res) => {
-  const { tvmazeId } = req.body || {};
-  if (!tvmazeId) {
-    return res.status(400).json({ error: 'tvmazeId required' });
+app.post('/api/tags', requireAuth, requireProfile, (req, res) => {
+  const name = normalizeTagName(req.body?.name);
+  if (!name) {
+    return res.status(400).json({ error: 'Tag name required' });
   }
-  try {
-    const { showId } = await upsertShowWithEpisodes(tvmazeId);
-    db.prepare(
-      'INSERT OR IGNORE INTO profile_shows (profile_id, show_id, created_at) VALUES (?, ?, ?)'
-    ).run(req.session.profileId, showId, nowIso());
-    return res.json({ ok: true, showId });
-  } catch (error) {
-    return res.status(500).json({ error: error.message });
+  const existing = db
+    .prepare('SELECT id FROM tags WHERE profile_id = ? AND name = ?')
+    .get(req.session.profileId, name);
+  if (existing) {
+    return res.status(409).json({ error: 'Tag already exists' });
   }
+  const tagId = findOrCreateTag(
+    req.session.profileId,
+    name,
+    Boolean(req.body?.isCollection)
+  );
+  const tag = db.prepare('SELECT * FROM tags WHERE id = ?').get(tagId);
+  res.json({ tag: serializeTag(tag) });
 });
 
-app.get('/api/shows', requireAuth, requireProfile, (req, res) => {
-  const shows = listShowsForProfile(req.session.profileId);
-
-  const categories = [
-    { id: 'watching', label: 'Watching', shows: [] },
-    { id: 'watch-next', label: 'Watch Next', shows: [] },
-    { id: 'queued', label: 'Not Started', shows: [] },
-    { id: 'up-to-date', label: 'Up To Date', shows: [] },
-    { id: 'completed', label: 'Finished', shows: [] },
-    { id: 'stopped', label: 'Stopped Watching', shows: [] },
-  ];
+app.put('/api/tags/:id', requireAuth, requireProfile, (req, res) => {
+  const tagId = Number(req.params.id);
+  const tag = db
+    .prepare('SELECT * FROM tags WHERE id = ? AND profile_id = ?')
+    .get(tagId, req.session.profileId);
+  if (!tag) {
+    return res.status(404).json({ error: 'Tag not found' });
+  }
 
-  const bucketMap = new Map(categories.map((category) => [category.id, category]));
+  const { name: rawName, isCollection } = req.body || {};
+  const name = rawName === undefined ? tag.name : normalizeTagName(rawName);
+  if (!name) {
+    return res.status(400).json({ error: 'Tag name required' });
+  }
+  if (isCollection !== undefined && typeof isCollection !== 'boolean') {
+    return res.status(400).json({ error: 'isCollection must be a boolean' });
+  }
+  const duplicate = db
+    .prepare('SELECT id FROM tags WHERE profile_id = ? AND name = ? AND id != ?')
+    .get(req.session.profileId, name, tagId);
+  if (duplicate) {
+    return res.status(409).json({ error: 'Tag already exists' });
+  }
 
-  shows.forEach((show) => {
-    if (show.state === 'stopped') {
-      bucketMap.get('stopped').shows.push(show);
-    } else if (show.state === 'watching') {
-      bucketMap.get('watching').shows.push(show);
-    } else if (show.state === 'watch-next') {
-      bucketMap.get('watch-next').shows.push(show);
-    } else if (show.state === 'queued') {
-      bucketMap.get('queued').shows.push(show);
-    } else if (show.state === 'up-to-date') {
-      bucketMap.get('up-to-date').shows.push(show);
-    } else {
-      bucketMap.get('completed').shows.push(show);
-    }
+  const nextIsCollection =
+    isCollection === undefined ? Boolean(tag.is_collection) : isCollection;
+  db.prepare('UPDATE tags SET name = ?, is_collection = ? WHERE id = ?').run(
+    name,
+    nextIsCollection ? 1 : 0,
+    tagId
+  );
+  return res.json({
+    tag: serializeTag({ ...tag, name, is_collection: nextIsCollection }),
   });
+});
 
-  res.json({ categories });
+app.delete('/api/tags/:id', requireAuth, requireProfile, (req, res) => {
+  const tagId = Number(req.params.id);
+  const tag = db
+    .prepare('SELECT id FROM tags WHERE id = ? AND profile_id = ?')
+    .get(tagId, req.session.profileId);
+  if (!tag) {
+    return res.status(404).json({ error: 'Tag not found' });
+  }
+  db.prepare('DELETE FROM tags WHERE id = ?').run(tagId);
+  return res.json({ ok: true });
 });
 
-app.get('/api/shows/:id', requireAuth, requireProfile, (req, res) => {
-  const showId = Number(req.params.id);
-  const show = db
+app.get('/api/trash', requireAuth, requireProfile, (req, res) => {
+  const rows = db
     .prepare(
-      `SELECT s.*, ps.status AS profile_status
-       FROM shows s
-       JOIN profile_shows ps ON ps.show_id = s.id
-       WHERE ps.profile_id = ? AND s.id = ?`
+      `SELECT t.id, t.show_id, t.snapshot, t.deleted_at, t.expires_at,
+              s.name, s.image_medium, s.image_original
+       FROM show_trash t
+       JOIN shows s ON s.id = t.show_id
+       WHERE t.profile_id = ? AND t.expires_at > ?
+       ORDER BY t.deleted_at DESC, t.id DESC`
+    )
+    .all(req.session.profileId, nowIso());
+  return res.json({
+    retentionDays: trashRetentionDays,
+    shows: rows.map((row) => {
+      const snapshot = JSON.parse(row.snapshot);
+      return {
+        id: row.id,
+        showId: row.show_id,
+        name: row.name,
+        image: row.image_medium || row.image_original,
+        watchedCount: snapshot.watch.profileEpisodes.length,
+        deletedAt: row.deleted_at,
+        expiresAt: row.expires_at,
+      };
+    }),
+  });
+});
+
+app.post('/api/trash/:id/restore', requireAuth, requireProfile, (req, res) => {
+  const entry = db
+    .prepare(
+      `SELECT id, show_id, snapshot FROM show_trash
+       WHERE id = ? AND profile_id = ? AND expires_at > ?`
+    )
+    .get(Number(req.params.id), req.session.profileId, nowIso());
+  if (!entry) {
+    return res.status(404).json({ error: 'Trash entry not found' });
+  }
+  const tracked = db
+    .prepare('SELECT 1 FROM profile_shows WHERE profile_id = ? AND show_id = ?')
+    .get(req.session.profileId, entry.show_id);
+  if (tracked) {
+    return res.status(409).json({ error: 'Show is already in your list' });
+  }
+
+  runTransaction(() => {
+    restoreRemovedShow(req.session.profileId, JSON.parse(entry.snapshot));
+    discardRemovalUndo(req.session.profileId, entry.show_id);
+  });
+
+  return res.json({ ok: true, showId: entry.show_id });
+});
+
+app.delete('/api/trash/:id', requireAuth, requireProfile, (req, res) => {
+  const entry = db
+    .prepare(
+      `SELECT id, profile_id, show_id FROM show_trash
+       WHERE id = ? AND profile_id = ?`
+    )
+    .get(Number(req.params.id), req.session.profileId);
+  if (!entry) {
+    return res.status(404).json({ error: 'Trash entry not found' });
+  }
+  deleteTrashEntries([entry]);
+  return res.json({ ok: true });
+});
+
+app.delete('/api/trash', requireAuth, requireProfile, (req, res) => {
+  deleteTrashEntries(
+    db
+      .prepare('SELECT id, profile_id, show_id FROM show_trash WHERE profile_id = ?')
+      .all(req.session.profileId)
+  );
+  return res.json({ ok: true });
+});
+
+app.get('/api/providers', requireAuth, (req, res) => {
+  res.json({ defaultProvider: getDefaultProviderId(), providers: listProviders() });
+});
+
+app.get('/api/images/:size', requireAuth, async (req, res) => {
+  const { size } = req.params;
+  if (!Object.hasOwn(IMAGE_SIZES, size)) {
+    return res.status(400).json({ error: 'Invalid image size' });
+  }
+  res.set('Content-Security-Policy', "default-src 'none'");
+  res.set('X-Content-Type-Options', 'nosniff');
+  const url = String(req.query.url || '');
+  if (!isKnownImageUrl(url)) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+
+  try {
+    const filePath = await getCachedImage(getImageCacheRoot(), url, size);
+    res.set(
+      'Cache-Control',
+      `private, max-age=${imageCacheMaxAgeSeconds}, immutable`
+    );
+    return res.sendFile(filePath);
+  } catch (error) {
+    console.warn(`Failed to cache image ${url}: ${error.message}`);
+    return res.status(502).json({ error: 'Image unavailable' });
+  }
+});
+
+app.get('/api/tvmaze/search', requireAuth, async (req, res) => {
+  const query = String(req.query.q || '').trim();
+  if (!query) {
+    return res.status(400).json({ error: 'Query required' });
+  }
+  let provider;
+  try {
+    provider = getProvider(req.query.provider || undefined);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const profileId = ensureActiveProfile(req);
+  const existingShows = profileId ? listShowsForProfile(profileId) : [];
+  const existingByTvmazeId = new Map(
+    existingShows.map((show) => [show.tvmazeId, show])
+  );
+  try {
+    let results;
+    if (/^tt\d+$/i.test(query)) {
+      const match = await provider.lookupByExternalId({ imdb: query.toLowerCase() });
+      results = match ? [match] : [];
+    } else {
+      results = await provider.search(query);
+    }
+    const payload = results.map((show) => ({
+      existingState: existingByTvmazeId.get(show.id)?.state || null,
+      id: show.id,
+      provider: provider.id,
+      name: show.name,
+      summary: show.summary,
+      status: show.status,
+      premiered: show.premiered,
+      ended: show.ended,
+      releaseYear: getPremiereYear(show.premiered),
+      company: show.company,
+      imdbId: show.imdbId,
+      image: show.imageMedium,
+    }));
+    return res.json({ results: payload });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/shows', requireAuth, requireProfile, async (req, res) => {
+  const { tvmazeId, provider } = req.body || {};
+  if (!tvmazeId) {
+    return res.status(400).json({ error: 'tvmazeId required' });
+  }
+  try {
+    getProvider(provider || undefined);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    const { showId } = await upsertShowWithEpisodes(tvmazeId, provider || undefined);
+    db.prepare(
+      'INSERT OR IGNORE INTO profile_shows (profile_id, show_id, created_at) VALUES (?, ?, ?)'
+    ).run(req.session.profileId, showId, nowIso());
+    return res.json({ ok: true, showId });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/shows', requireAuth, requireProfile, (req, res) => {
+  const shows = listShowsForProfile(req.session.profileId);
+
+  const categories = [
+    { id: 'favorite', label: 'Favorites', shows: [] },
+    { id: 'watching', label: 'Watching', shows: [] },
+    { id: 'watch-next', label: 'Watch Next', shows: [] },
+    { id: 'queued', label: 'Not Started', shows: [] },
+    { id: 'up-to-date', label: 'Up To Date', shows: [] },
+    { id: 'completed', label: 'Finished', shows: [] },
+    { id: 'planned', label: 'Plan to Watch', shows: [] },
+    { id: 'paused', label: 'On Hold', shows: [] },
+    { id: 'stopped', label: 'Stopped Watching', shows: [] },
+  ];
+
+  const bucketMap = new Map(categories.map((category) => [category.id, category]));
+
+  shows.forEach((show) => {
+    if (show.state === 'favorite') {
+      bucketMap.get('favorite').shows.push(show);
+    } else if (show.state === 'planned') {
+      bucketMap.get('planned').shows.push(show);
+    } else if (show.state === 'paused') {
+      bucketMap.get('paused').shows.push(show);
+    } else if (show.state === 'stopped') {
+      bucketMap.get('stopped').shows.push(show);
+    } else if (show.state === 'watching') {
+      bucketMap.get('watching').shows.push(show);
+    } else if (show.state === 'watch-next') {
+      bucketMap.get('watch-next').shows.push(show);
+    } else if (show.state === 'queued') {
+      bucketMap.get('queued').shows.push(show);
+    } else if (show.state === 'up-to-date') {
+      bucketMap.get('up-to-date').shows.push(show);
+    } else {
+      bucketMap.get('completed').shows.push(show);
+    }
+  });
+
+  const collections = db
+    .prepare(
+      `SELECT id, name, is_collection FROM tags
+       WHERE profile_id = ? AND is_collection = 1
+       ORDER BY name COLLATE NOCASE ASC`
+    )
+    .all(req.session.profileId)
+    .map((tag) => ({
+      id: `collection-${tag.id}`,
+      label: tag.name,
+      tagId: toNumber(tag.id),
+      collection: true,
+      shows: shows.filter((show) =>
+        show.tags.some((showTag) => showTag.id === toNumber(tag.id))
+      ),
+    }));
+
+  res.json({ categories: [...categories, ...collections] });
+});
+
+app.get('/api/shows/:id', requireAuth, requireProfile, (req, res) => {
+  const showId = Number(req.params.id);
+  const show = db
+    .prepare(
+      `SELECT s.*, ps.status AS profile_status, ps.rewatch_count, ps.rewatching,
+              ps.rating,
+              COALESCE(ps.include_specials, p.include_specials) AS include_specials,
+              ps.include_specials AS show_include_specials,
+              p.timezone AS profile_timezone, p.release_delay_hours
+       FROM shows s
+       JOIN profile_shows ps ON ps.show_id = s.id
+       JOIN profiles p ON p.id = ps.profile_id
+       WHERE ps.profile_id = ? AND s.id = ?`
     )
     .get(req.session.profileId, showId);
 
@@ -1285,31 +2878,79 @@ app.get('/api/shows/:id', requireAuth, requireProfile, (req, res) => {
 
   const episodes = db
     .prepare(
-      `SELECT e.*, pe.watched_at
+      `SELECT e.*, pe.watched_at, we.watched_at AS rewatch_watched_at,
+              er.rating,
+              (SELECT COUNT(*) FROM watch_events wc
+               WHERE wc.profile_id = ? AND wc.episode_id = e.id) AS watch_count
        FROM episodes e
        LEFT JOIN profile_episodes pe
          ON pe.episode_id = e.id AND pe.profile_id = ?
-       WHERE e.show_id = ?
+       LEFT JOIN watch_events we
+         ON we.episode_id = e.id AND we.profile_id = ? AND we.pass = ?
+       LEFT JOIN profile_episode_ratings er
+         ON er.episode_id = e.id AND er.profile_id = ?
+       WHERE e.show_id = ? AND e.orphaned_at IS NULL
        ORDER BY e.season ASC, e.number ASC`
     )
-    .all(req.session.profileId, showId);
+    .all(
+      req.session.profileId,
+      req.session.profileId,
+      req.session.profileId,
+      getRewatchPass(show),
+      req.session.profileId,
+      showId
+    );
 
+  const showNotes = [];
+  const notesByEpisode = new Map();
+  listNotesForShow(req.session.profileId, showId).forEach((row) => {
+    const note = serializeNote(row);
+    if (!note.episodeId) {
+      showNotes.push(note);
+      return;
+    }
+    if (!notesByEpisode.has(note.episodeId)) {
+      notesByEpisode.set(note.episodeId, []);
+    }
+    notesByEpisode.get(note.episodeId).push(note);
+  });
+
+  const release = toReleaseOptions(show);
   const seasonsMap = new Map();
   episodes.forEach((episode) => {
-    const seasonNumber = episode.season;
+    const special = isSpecial(episode);
+    const seasonNumber = special ? 0 : episode.season;
     if (!seasonsMap.has(seasonNumber)) {
       seasonsMap.set(seasonNumber, {
         season: seasonNumber,
+        special,
         episodes: [],
         watchedCount: 0,
         totalCount: 0,
+        releasedCount: 0,
+        releasedWatchedCount: 0,
+        ratingTotal: 0,
+        ratedCount: 0,
       });
     }
     const season = seasonsMap.get(seasonNumber);
+    const watchedAt = getEpisodeWatchedAt(show, episode);
+    const released = isReleased(episode.airdate, episode.airstamp, release);
+    const rating = toRating(episode.rating);
     season.totalCount += 1;
-    if (episode.watched_at) {
+    if (rating !== null) {
+      season.ratingTotal += rating;
+      season.ratedCount += 1;
+    }
+    if (watchedAt) {
       season.watchedCount += 1;
     }
+    if (released) {
+      season.releasedCount += 1;
+      if (watchedAt) {
+        season.releasedWatchedCount += 1;
+      }
+    }
     season.episodes.push({
       id: episode.id,
       tvmazeId: episode.tvmaze_id,
@@ -1319,20 +2960,34 @@ app.get('/api/shows/:id', requireAuth, requireProfile, (req, res) => {
       summary: episode.summary,
       airdate: episode.airdate,
       airtime: episode.airtime,
+      airstamp: episode.airstamp || null,
+      released,
       runtime: episode.runtime,
       image: episode.image_original || episode.image_medium,
-      watched: Boolean(episode.watched_at),
+      watched: Boolean(watchedAt),
+      watchedAt: watchedAt || null,
+      watchCount: toNumber(episode.watch_count) || 0,
+      rating,
+      notes: notesByEpisode.get(toNumber(episode.id)) || [],
     });
   });
 
   const seasons = Array.from(seasonsMap.values())
     .sort((a, b) => a.season - b.season)
-    .map((season) => ({
+    .map(({ releasedWatchedCount, ratingTotal, ratedCount, ...season }) => ({
       ...season,
-      watched: season.totalCount > 0 && season.watchedCount === season.totalCount,
+      averageRating: ratedCount
+        ? Math.round((ratingTotal / ratedCount) * 10) / 10
+        : null,
+      watched:
+        season.totalCount > 0 &&
+        (season.watchedCount === season.totalCount ||
+          (season.releasedCount > 0 &&
+            releasedWatchedCount === season.releasedCount)),
     }));
 
-  const { state } = computeShowState(show, episodes);
+  const { state, progressState } = computeShowState(show, episodes);
+  const { cast, crew } = listShowCredits(showId);
 
   return res.json({
     show: {
@@ -1346,21 +3001,152 @@ app.get('/api/shows/:id', requireAuth, requireProfile, (req, res) => {
       ended: show.ended,
       image: show.image_original || show.image_medium,
       imdbId: show.imdb_id || null,
+      timezone: show.timezone || null,
       profileStatus: show.profile_status || null,
+      rewatchCount: toNumber(show.rewatch_count) || 0,
+      rewatching: Boolean(show.rewatching),
+      includeSpecials: Boolean(show.include_specials),
+      specialsOverride: toSpecialsOverride(show.show_include_specials),
+      rating: toRating(show.rating),
+      tags: listTagsByShow(req.session.profileId).get(showId) || [],
       state,
+      progressState,
+      sync: getShowSyncStatus(showId),
     },
+    notes: showNotes,
     seasons,
+    cast,
+    crew,
+  });
+});
+
+function findLibraryShow(profileId, showId) {
+  return db
+    .prepare(
+      `SELECT s.id, s.tvmaze_id, s.provider, s.name
+       FROM shows s
+       JOIN profile_shows ps ON ps.show_id = s.id
+       WHERE ps.profile_id = ? AND s.id = ?`
+    )
+    .get(profileId, showId);
+}
+
+app.get('/api/shows/:id/sync', requireAuth, requireProfile, (req, res) => {
+  const showId = Number(req.params.id);
+  if (!findLibraryShow(req.session.profileId, showId)) {
+    return res.status(404).json({ error: 'Show not found' });
+  }
+  return res.json({ sync: getShowSyncStatus(showId) });
+});
+
+app.post('/api/shows/:id/refresh', requireAuth, requireProfile, async (req, res) => {
+  const showId = Number(req.params.id);
+  const show = findLibraryShow(req.session.profileId, showId);
+  if (!show) {
+    return res.status(404).json({ error: 'Show not found' });
+  }
+  try {
+    await upsertShowWithEpisodes(show.tvmaze_id, show.provider);
+  } catch (error) {
+    console.warn(`Refresh failed for ${show.name} (${show.tvmaze_id}): ${error.message}`);
+    recordShowSync(showId, error);
+    return res
+      .status(502)
+      .json({ error: `Refresh failed: ${error.message}`, sync: getShowSyncStatus(showId) });
+  }
+  return res.json({ ok: true, sync: getShowSyncStatus(showId) });
+});
+
+app.get('/api/people/:id', requireAuth, requireProfile, (req, res) => {
+  const personId = Number(req.params.id);
+  const person = db
+    .prepare('SELECT id, name, image_medium, image_original FROM people WHERE id = ?')
+    .get(personId);
+  if (!person) {
+    return res.status(404).json({ error: 'Person not found' });
+  }
+
+  const rows = db
+    .prepare(
+      `SELECT s.id, s.name, s.premiered, s.image_medium, s.image_original,
+              c.kind, c.character, c.job
+       FROM show_credits c
+       JOIN shows s ON s.id = c.show_id
+       JOIN profile_shows ps ON ps.show_id = s.id AND ps.profile_id = ?
+       WHERE c.person_id = ?
+       ORDER BY s.name ASC, c.kind ASC, c.position ASC`
+    )
+    .all(req.session.profileId, personId);
+
+  const showsById = new Map();
+  rows.forEach((row) => {
+    if (!showsById.has(row.id)) {
+      showsById.set(row.id, {
+        id: row.id,
+        name: row.name,
+        releaseYear: getPremiereYear(row.premiered),
+        image: row.image_medium || row.image_original,
+        characters: [],
+        jobs: [],
+      });
+    }
+    const show = showsById.get(row.id);
+    if (row.kind === 'cast' && row.character) {
+      show.characters.push(row.character);
+    }
+    if (row.kind === 'crew' && row.job) {
+      show.jobs.push(row.job);
+    }
+  });
+
+  return res.json({
+    person: {
+      id: person.id,
+      name: person.name,
+      image: person.image_medium || person.image_original,
+    },
+    shows: Array.from(showsById.values()),
   });
 });
 
 app.post('/api/shows/:id/status', requireAuth, requireProfile, (req, res) => {
   const showId = Number(req.params.id);
   const { status } = req.body || {};
-  const allowed = [null, 'stopped'];
+  const allowed = [null, ...PROFILE_STATUSES];
   if (!allowed.includes(status)) {
     return res.status(400).json({ error: 'Invalid status' });
   }
 
+  const updated = runTransaction(() => {
+    const row = getTrackedShowName(req.session.profileId, showId);
+    if (!row) return false;
+    logAction(
+      req.session.profileId,
+      'show-settings',
+      `Changed status of ${row.name}`,
+      captureShowSettings(req.session.profileId, showId)
+    );
+    db.prepare(
+      'UPDATE profile_shows SET status = ? WHERE profile_id = ? AND show_id = ?'
+    ).run(status, req.session.profileId, showId);
+    return true;
+  });
+
+  if (!updated) {
+    return res.status(404).json({ error: 'Show not found' });
+  }
+  return res.json({ ok: true });
+});
+
+app.post('/api/shows/:id/specials', requireAuth, requireProfile, (req, res) => {
+  const showId = Number(req.params.id);
+  const { includeSpecials } = req.body || {};
+  if (includeSpecials !== null && typeof includeSpecials !== 'boolean') {
+    return res
+      .status(400)
+      .json({ error: 'includeSpecials must be a boolean or null' });
+  }
+
   const row = db
     .prepare(
       `SELECT ps.show_id
@@ -1374,16 +3160,21 @@ app.post('/api/shows/:id/status', requireAuth, requireProfile, (req, res) => {
   }
 
   db.prepare(
-    'UPDATE profile_shows SET status = ? WHERE profile_id = ? AND show_id = ?'
-  ).run(status, req.session.profileId, showId);
+    'UPDATE profile_shows SET include_specials = ? WHERE profile_id = ? AND show_id = ?'
+  ).run(
+    includeSpecials === null ? null : includeSpecials ? 1 : 0,
+    req.session.profileId,
+    showId
+  );
 
-  return res.json({ ok: true });
+  return res.json({ ok: true, includeSpecials });
 });
 
-app.delete('/api/shows/:id', requireAuth, requireProfile, (req, res) => {
+app.put('/api/shows/:id/tags', requireAuth, requireProfile, (req, res) => {
   const showId = Number(req.params.id);
-  if (!showId) {
-    return res.status(400).json({ error: 'Show id required' });
+  const { tagIds } = req.body || {};
+  if (!Array.isArray(tagIds) || !tagIds.every(Number.isInteger)) {
+    return res.status(400).json({ error: 'tagIds must be an array of ids' });
   }
 
   const row = db
@@ -1394,55 +3185,492 @@ app.delete('/api/shows/:id', requireAuth, requireProfile, (req, res) => {
     )
     .get(req.session.profileId, showId);
 
-  if (!row) {
-    return res.status(404).json({ error: 'Show not found' });
-  }
+  if (!row) {
+    return res.status(404).json({ error: 'Show not found' });
+  }
+
+  const ownedTagIds = new Set(
+    db
+      .prepare('SELECT id FROM tags WHERE profile_id = ?')
+      .all(req.session.profileId)
+      .map((tag) => toNumber(tag.id))
+  );
+  if (!tagIds.every((tagId) => ownedTagIds.has(tagId))) {
+    return res.status(404).json({ error: 'Tag not found' });
+  }
+
+  runTransaction(() => {
+    db.prepare(
+      `DELETE FROM show_tags
+       WHERE show_id = ?
+         AND tag_id IN (SELECT id FROM tags WHERE profile_id = ?)`
+    ).run(showId, req.session.profileId);
+    const insertTag = db.prepare(
+      'INSERT OR IGNORE INTO show_tags (tag_id, show_id) VALUES (?, ?)'
+    );
+    tagIds.forEach((tagId) => insertTag.run(tagId, showId));
+  });
+
+  return res.json({
+    ok: true,
+    tags: listTagsByShow(req.session.profileId).get(showId) || [],
+  });
+});
+
+app.post('/api/shows/:id/rating', requireAuth, requireProfile, (req, res) => {
+  const showId = Number(req.params.id);
+  const { rating } = req.body || {};
+  if (!isValidRating(rating)) {
+    return res.status(400).json({ error: 'Rating must be 1-10 or null' });
+  }
+
+  const row = db
+    .prepare(
+      `SELECT ps.show_id
+       FROM profile_shows ps
+       WHERE ps.profile_id = ? AND ps.show_id = ?`
+    )
+    .get(req.session.profileId, showId);
+
+  if (!row) {
+    return res.status(404).json({ error: 'Show not found' });
+  }
+
+  db.prepare(
+    'UPDATE profile_shows SET rating = ? WHERE profile_id = ? AND show_id = ?'
+  ).run(rating, req.session.profileId, showId);
+
+  return res.json({ ok: true, rating });
+});
+
+app.post('/api/shows/:id/rewatch', requireAuth, requireProfile, (req, res) => {
+  const showId = Number(req.params.id);
+  const { rewatching } = req.body || {};
+  if (typeof rewatching !== 'boolean') {
+    return res.status(400).json({ error: 'rewatching must be a boolean' });
+  }
+
+  const row = db
+    .prepare(
+      `SELECT s.name, ps.rewatch_count, ps.rewatching
+       FROM profile_shows ps
+       JOIN shows s ON s.id = ps.show_id
+       WHERE ps.profile_id = ? AND ps.show_id = ?`
+    )
+    .get(req.session.profileId, showId);
+
+  if (!row) {
+    return res.status(404).json({ error: 'Show not found' });
+  }
+
+  let rewatchCount = toNumber(row.rewatch_count) || 0;
+  if (rewatching && !row.rewatching) {
+    rewatchCount += 1;
+  } else if (!rewatching && row.rewatching) {
+    const passEvents = db
+      .prepare(
+        `SELECT COUNT(*) AS count
+         FROM watch_events we
+         JOIN episodes e ON e.id = we.episode_id
+         WHERE we.profile_id = ? AND e.show_id = ? AND we.pass = ?`
+      )
+      .get(req.session.profileId, showId, rewatchCount);
+    if (!toNumber(passEvents?.count)) {
+      rewatchCount = Math.max(0, rewatchCount - 1);
+    }
+  }
+
+  runTransaction(() => {
+    logAction(
+      req.session.profileId,
+      'show-settings',
+      `${rewatching ? 'Started' : 'Stopped'} rewatching ${row.name}`,
+      captureShowSettings(req.session.profileId, showId)
+    );
+    db.prepare(
+      `UPDATE profile_shows
+         SET rewatch_count = ?, rewatching = ?
+       WHERE profile_id = ? AND show_id = ?`
+    ).run(rewatchCount, rewatching ? 1 : 0, req.session.profileId, showId);
+  });
+
+  return res.json({ ok: true, rewatchCount, rewatching });
+});
+
+app.delete('/api/shows/:id', requireAuth, requireProfile, (req, res) => {
+  const showId = Number(req.params.id);
+  if (!showId) {
+    return res.status(400).json({ error: 'Show id required' });
+  }
+
+  const deletedAt = new Date();
+  const expiresAt = new Date(
+    deletedAt.getTime() + trashRetentionDays * 24 * 60 * 60 * 1000
+  );
+  const removed = runTransaction(() => {
+    const row = getTrackedShowName(req.session.profileId, showId);
+    if (!row) return false;
+    const snapshot = captureTrackedShow(req.session.profileId, showId);
+    logAction(req.session.profileId, 'remove-show', `Removed ${row.name}`, snapshot);
+    db.prepare('DELETE FROM show_trash WHERE profile_id = ? AND show_id = ?').run(
+      req.session.profileId,
+      showId
+    );
+    db.prepare(
+      `INSERT INTO show_trash (profile_id, show_id, snapshot, deleted_at, expires_at)
+       VALUES (?, ?, ?, ?, ?)`
+    ).run(
+      req.session.profileId,
+      showId,
+      JSON.stringify(snapshot),
+      deletedAt.toISOString(),
+      expiresAt.toISOString()
+    );
+    db.prepare(
+      `DELETE FROM profile_episodes
+       WHERE profile_id = ?
+         AND episode_id IN (SELECT id FROM episodes WHERE show_id = ?)`
+    ).run(req.session.profileId, showId);
+    db.prepare(
+      `DELETE FROM watch_events
+       WHERE profile_id = ?
+         AND episode_id IN (SELECT id FROM episodes WHERE show_id = ?)`
+    ).run(req.session.profileId, showId);
+    db.prepare(
+      `DELETE FROM profile_episode_ratings
+       WHERE profile_id = ?
+         AND episode_id IN (SELECT id FROM episodes WHERE show_id = ?)`
+    ).run(req.session.profileId, showId);
+    db.prepare('DELETE FROM notes WHERE profile_id = ? AND show_id = ?').run(
+      req.session.profileId,
+      showId
+    );
+    db.prepare(
+      `DELETE FROM show_tags
+       WHERE show_id = ?
+         AND tag_id IN (SELECT id FROM tags WHERE profile_id = ?)`
+    ).run(showId, req.session.profileId);
+    db.prepare(
+      'DELETE FROM profile_shows WHERE profile_id = ? AND show_id = ?'
+    ).run(req.session.profileId, showId);
+    return true;
+  });
+
+  if (!removed) {
+    return res.status(404).json({ error: 'Show not found' });
+  }
+  return res.json({ ok: true });
+});
+
+app.post('/api/episodes/:id/watch', requireAuth, requireProfile, (req, res) => {
+  const episodeId = Number(req.params.id);
+  const { watched, watchedAt } = req.body || {};
+  if (watched && !isValidWatchedAtOption(watchedAt)) {
+    return res.status(400).json({ error: 'Invalid watchedAt' });
+  }
+  const episode = db
+    .prepare(
+      `SELECT e.id, e.season, e.number, e.airdate, e.airstamp, s.name AS show_name,
+              ps.rewatch_count, ps.rewatching
+       FROM episodes e
+       JOIN shows s ON s.id = e.show_id
+       JOIN profile_shows ps ON ps.show_id = e.show_id
+       WHERE ps.profile_id = ? AND e.id = ?`
+    )
+    .get(req.session.profileId, episodeId);
+
+  if (!episode) {
+    return res.status(404).json({ error: 'Episode not found' });
+  }
+
+  const pass = getRewatchPass(episode);
+  runTransaction(() => {
+    logAction(
+      req.session.profileId,
+      'watch',
+      `Marked ${episode.show_name} ${formatEpisodeCode(episode)} ${
+        watched ? 'watched' : 'unwatched'
+      }`,
+      captureWatchState(req.session.profileId, [episodeId])
+    );
+    if (watched) {
+      recordEpisodeWatch(
+        req.session.profileId,
+        episodeId,
+        resolveWatchedAt(watchedAt, episode),
+        pass
+      );
+    } else {
+      clearEpisodeWatch(req.session.profileId, episodeId, pass);
+    }
+  });
+
+  return res.json({ ok: true });
+});
+
+app.post('/api/episodes/:id/rating', requireAuth, requireProfile, (req, res) => {
+  const episodeId = Number(req.params.id);
+  const { rating } = req.body || {};
+  if (!isValidRating(rating)) {
+    return res.status(400).json({ error: 'Rating must be 1-10 or null' });
+  }
+
+  const episode = db
+    .prepare(
+      `SELECT e.id
+       FROM episodes e
+       JOIN profile_shows ps ON ps.show_id = e.show_id
+       WHERE ps.profile_id = ? AND e.id = ?`
+    )
+    .get(req.session.profileId, episodeId);
+
+  if (!episode) {
+    return res.status(404).json({ error: 'Episode not found' });
+  }
+
+  setEpisodeRating(req.session.profileId, episodeId, rating);
+  return res.json({ ok: true, rating });
+});
+
+function noteTargetLabel(kind) {
+  return kind === 'show' ? 'Show' : 'Episode';
+}
+
+function handleListNotes(kind) {
+  return (req, res) => {
+    const target = findNoteTarget(
+      kind,
+      req.session.profileId,
+      Number(req.params.id)
+    );
+    if (!target) {
+      return res
+        .status(404)
+        .json({ error: `${noteTargetLabel(kind)} not found` });
+    }
+    const notes = db
+      .prepare(
+        `SELECT * FROM notes
+         WHERE profile_id = ? AND show_id = ? AND episode_id IS ?
+         ORDER BY created_at ASC, id ASC`
+      )
+      .all(req.session.profileId, target.showId, target.episodeId)
+      .map(serializeNote);
+    return res.json({ notes });
+  };
+}
+
+function handleCreateNote(kind) {
+  return (req, res) => {
+    const body = normalizeNoteBody(req.body?.body);
+    if (!body) {
+      return res.status(400).json({ error: 'Note text required' });
+    }
+    const target = findNoteTarget(
+      kind,
+      req.session.profileId,
+      Number(req.params.id)
+    );
+    if (!target) {
+      return res
+        .status(404)
+        .json({ error: `${noteTargetLabel(kind)} not found` });
+    }
+    const noteId = insertNote(req.session.profileId, { ...target, body });
+    const note = db.prepare('SELECT * FROM notes WHERE id = ?').get(noteId);
+    return res.json({ note: serializeNote(note) });
+  };
+}
+
+function handleUpdateNote(kind) {
+  return (req, res) => {
+    const body = normalizeNoteBody(req.body?.body);
+    if (!body) {
+      return res.status(400).json({ error: 'Note text required' });
+    }
+    const target = findNoteTarget(
+      kind,
+      req.session.profileId,
+      Number(req.params.id)
+    );
+    const note = target
+      ? findNote(req.session.profileId, target, Number(req.params.noteId))
+      : null;
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    const updatedAt = nowIso();
+    db.prepare('UPDATE notes SET body = ?, updated_at = ? WHERE id = ?').run(
+      body,
+      updatedAt,
+      note.id
+    );
+    return res.json({
+      note: serializeNote({ ...note, body, updated_at: updatedAt }),
+    });
+  };
+}
+
+function handleDeleteNote(kind) {
+  return (req, res) => {
+    const target = findNoteTarget(
+      kind,
+      req.session.profileId,
+      Number(req.params.id)
+    );
+    const note = target
+      ? findNote(req.session.profileId, target, Number(req.params.noteId))
+      : null;
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    db.prepare('DELETE FROM notes WHERE id = ?').run(note.id);
+    return res.json({ ok: true });
+  };
+}
+
+app.get('/api/notes/search', requireAuth, requireProfile, (req, res) => {
+  const query = String(req.query.q || '').trim();
+  if (!query) {
+    return res.status(400).json({ error: 'Query required' });
+  }
+  return res.json({ matches: searchNotes(req.session.profileId, query) });
+});
+
+app.get(
+  '/api/shows/:id/notes',
+  requireAuth,
+  requireProfile,
+  handleListNotes('show')
+);
+app.post(
+  '/api/shows/:id/notes',
+  requireAuth,
+  requireProfile,
+  handleCreateNote('show')
+);
+app.put(
+  '/api/shows/:id/notes/:noteId',
+  requireAuth,
+  requireProfile,
+  handleUpdateNote('show')
+);
+app.delete(
+  '/api/shows/:id/notes/:noteId',
+  requireAuth,
+  requireProfile,
+  handleDeleteNote('show')
+);
+app.get(
+  '/api/episodes/:id/notes',
+  requireAuth,
+  requireProfile,
+  handleListNotes('episode')
+);
+app.post(
+  '/api/episodes/:id/notes',
+  requireAuth,
+  requireProfile,
+  handleCreateNote('episode')
+);
+app.put(
+  '/api/episodes/:id/notes/:noteId',
+  requireAuth,
+  requireProfile,
+  handleUpdateNote('episode')
+);
+app.delete(
+  '/api/episodes/:id/notes/:noteId',
+  requireAuth,
+  requireProfile,
+  handleDeleteNote('episode')
+);
+
+app.post(
+  '/api/episodes/:id/watch-up-to',
+  requireAuth,
+  requireProfile,
+  (req, res) => {
+    const episodeId = Number(req.params.id);
+    const { watchedAt, includeUnreleased } = req.body || {};
+    if (!isValidWatchedAtOption(watchedAt)) {
+      return res.status(400).json({ error: 'Invalid watchedAt' });
+    }
+    const target = db
+      .prepare(
+        `SELECT e.id, e.show_id, e.season, e.number, s.name AS show_name,
+                ps.rewatch_count, ps.rewatching
+         FROM episodes e
+         JOIN shows s ON s.id = e.show_id
+         JOIN profile_shows ps ON ps.show_id = e.show_id
+         WHERE ps.profile_id = ? AND e.id = ?`
+      )
+      .get(req.session.profileId, episodeId);
 
-  runTransaction(() => {
-    db.prepare(
-      `DELETE FROM profile_episodes
-       WHERE profile_id = ?
-         AND episode_id IN (SELECT id FROM episodes WHERE show_id = ?)`
-    ).run(req.session.profileId, showId);
-    db.prepare(
-      'DELETE FROM profile_shows WHERE profile_id = ? AND show_id = ?'
-    ).run(req.session.profileId, showId);
-  });
+    if (!target) {
+      return res.status(404).json({ error: 'Episode not found' });
+    }
 
-  return res.json({ ok: true });
-});
+    const pass = getRewatchPass(target);
+    const candidates = db
+      .prepare(
+        `SELECT e.id, e.season, e.number, e.airdate, e.airstamp,
+                COALESCE(pe.watched_at, we.watched_at) AS watched_at
+         FROM episodes e
+         LEFT JOIN profile_episodes pe
+           ON pe.episode_id = e.id AND pe.profile_id = ? AND ? = 0
+         LEFT JOIN watch_events we
+           ON we.episode_id = e.id AND we.profile_id = ? AND we.pass = ?
+         WHERE e.show_id = ? AND e.orphaned_at IS NULL
+         ORDER BY e.season ASC, e.number ASC`
+      )
+      .all(
+        req.session.profileId,
+        pass,
+        req.session.profileId,
+        pass,
+        target.show_id
+      );
 
-app.post('/api/episodes/:id/watch', requireAuth, requireProfile, (req, res) => {
-  const episodeId = Number(req.params.id);
-  const { watched } = req.body || {};
-  const episode = db
-    .prepare(
-      `SELECT e.id
-       FROM episodes e
-       JOIN profile_shows ps ON ps.show_id = e.show_id
-       WHERE ps.profile_id = ? AND e.id = ?`
-    )
-    .get(req.session.profileId, episodeId);
+    const isBeforeTarget = (episode) =>
+      !isSpecial(episode) &&
+      (episode.season < target.season ||
+        (episode.season === target.season &&
+          target.number !== null &&
+          episode.number < target.number));
+
+    const release = getProfileReleaseOptions(req.session.profileId);
+    const toMark = candidates.filter(
+      (episode) =>
+        !episode.watched_at &&
+        (episode.id === target.id || isBeforeTarget(episode)) &&
+        (includeUnreleased === true ||
+          isReleased(episode.airdate, episode.airstamp, release))
+    );
 
-  if (!episode) {
-    return res.status(404).json({ error: 'Episode not found' });
-  }
+    runTransaction(() => {
+      logAction(
+        req.session.profileId,
+        'watch',
+        `Marked ${target.show_name} up to ${formatEpisodeCode(target)} watched`,
+        captureWatchState(
+          req.session.profileId,
+          toMark.map((episode) => episode.id)
+        )
+      );
+      toMark.forEach((episode) => {
+        recordEpisodeWatch(
+          req.session.profileId,
+          episode.id,
+          resolveWatchedAt(watchedAt, episode),
+          pass
+        );
+      });
+    });
 
-  if (watched) {
-    db.prepare(
-      `INSERT INTO profile_episodes (profile_id, episode_id, watched_at)
-       VALUES (?, ?, ?)
-       ON CONFLICT(profile_id, episode_id)
-       DO UPDATE SET watched_at = excluded.watched_at`
-    ).run(req.session.profileId, episodeId, nowIso());
-  } else {
-    db.prepare(
-      'DELETE FROM profile_episodes WHERE profile_id = ? AND episode_id = ?'
-    ).run(req.session.profileId, episodeId);
+    return res.json({ ok: true, episodeIds: toMark.map((episode) => episode.id) });
   }
-
-  return res.json({ ok: true });
-});
+);
 
 app.post(
   '/api/shows/:id/seasons/:season/watch',
@@ -1451,11 +3679,14 @@ app.post(
   (req, res) => {
     const showId = Number(req.params.id);
     const season = Number(req.params.season);
-    const { watched } = req.body || {};
+    const { watched, watchedAt, includeUnreleased } = req.body || {};
+    if (watched && !isValidWatchedAtOption(watchedAt)) {
+      return res.status(400).json({ error: 'Invalid watchedAt' });
+    }
 
     const show = db
       .prepare(
-        `SELECT s.id
+        `SELECT s.id, s.name, ps.rewatch_count, ps.rewatching
          FROM shows s
          JOIN profile_shows ps ON ps.show_id = s.id
          WHERE ps.profile_id = ? AND s.id = ?`
@@ -1467,64 +3698,329 @@ app.post(
     }
 
     const episodes = db
-      .prepare('SELECT id FROM episodes WHERE show_id = ? AND season = ?')
-      .all(showId, season);
+      .prepare(
+        `SELECT id, season, number, airdate, airstamp FROM episodes
+         WHERE show_id = ? AND orphaned_at IS NULL`
+      )
+      .all(showId)
+      .filter((episode) =>
+        season === 0
+          ? isSpecial(episode)
+          : episode.season === season && !isSpecial(episode)
+      );
 
-    runTransaction(() => {
-      episodes.forEach((episode) => {
-        if (watched) {
-          db.prepare(
-            `INSERT INTO profile_episodes (profile_id, episode_id, watched_at)
-             VALUES (?, ?, ?)
-             ON CONFLICT(profile_id, episode_id)
-             DO UPDATE SET watched_at = excluded.watched_at`
-          ).run(req.session.profileId, episode.id, nowIso());
-        } else {
-          db.prepare(
-            'DELETE FROM profile_episodes WHERE profile_id = ? AND episode_id = ?'
-          ).run(req.session.profileId, episode.id);
-        }
+    const episodeIds = runTransaction(() => {
+      logAction(
+        req.session.profileId,
+        'watch',
+        `Marked ${show.name} ${season === 0 ? 'specials' : `season ${season}`} ${
+          watched ? 'watched' : 'unwatched'
+        }`,
+        captureWatchState(
+          req.session.profileId,
+          episodes.map((episode) => episode.id)
+        )
+      );
+      return setEpisodesWatched(req.session.profileId, episodes, {
+        watched,
+        watchedAt,
+        includeUnreleased: includeUnreleased === true,
+        pass: getRewatchPass(show),
       });
     });
 
-    return res.json({ ok: true });
+    return res.json({ ok: true, episodeIds });
   }
 );
 
-app.get('/api/calendar', requireAuth, requireProfile, (req, res) => {
-  const days = Number(req.query.days) || 45;
-  const today = new Date();
-  const cutoff = new Date();
-  cutoff.setDate(today.getDate() + days);
+app.post('/api/shows/:id/watch', requireAuth, requireProfile, (req, res) => {
+  const showId = Number(req.params.id);
+  const { watched, watchedAt, includeUnreleased } = req.body || {};
+  if (watched && !isValidWatchedAtOption(watchedAt)) {
+    return res.status(400).json({ error: 'Invalid watchedAt' });
+  }
+
+  const show = db
+    .prepare(
+      `SELECT s.id, s.name, ps.rewatch_count, ps.rewatching,
+              COALESCE(ps.include_specials, p.include_specials) AS include_specials
+       FROM shows s
+       JOIN profile_shows ps ON ps.show_id = s.id
+       JOIN profiles p ON p.id = ps.profile_id
+       WHERE ps.profile_id = ? AND s.id = ?`
+    )
+    .get(req.session.profileId, showId);
+
+  if (!show) {
+    return res.status(404).json({ error: 'Show not found' });
+  }
+
+  const episodes = getTrackedEpisodes(
+    show,
+    db
+      .prepare(
+        `SELECT id, season, number, airdate, airstamp FROM episodes
+         WHERE show_id = ? AND orphaned_at IS NULL`
+      )
+      .all(showId)
+  );
+
+  const episodeIds = runTransaction(() => {
+    logAction(
+      req.session.profileId,
+      'watch',
+      `Marked ${show.name} ${watched ? 'watched' : 'unwatched'}`,
+      captureWatchState(
+        req.session.profileId,
+        episodes.map((episode) => episode.id)
+      )
+    );
+    return setEpisodesWatched(req.session.profileId, episodes, {
+      watched,
+      watchedAt,
+      includeUnreleased: includeUnreleased === true,
+      pass: getRewatchPass(show),
+    });
+  });
+
+  return res.json({ ok: true, episodeIds });
+});
+
+app.get('/api/history', requireAuth, requireProfile, (req, res) => {
+  const { from, to, showId } = req.query;
+  if (from !== undefined && !isValidDateParam(from)) {
+    return res.status(400).json({ error: 'Invalid from date' });
+  }
+  if (to !== undefined && !isValidDateParam(to)) {
+    return res.status(400).json({ error: 'Invalid to date' });
+  }
+  if (showId !== undefined && !Number.isInteger(Number(showId))) {
+    return res.status(400).json({ error: 'Invalid showId' });
+  }
+  const limit = Math.min(
+    Math.max(Math.trunc(Number(req.query.limit)) || HISTORY_PAGE_SIZE, 1),
+    HISTORY_MAX_PAGE_SIZE
+  );
+  const offset = Math.max(Math.trunc(Number(req.query.offset)) || 0, 0);
+
+  // watched_at is stored as a UTC ISO timestamp, so the date bounds become
+  // the instants the profile's days start; `to` is inclusive of the whole day.
+  const { timeZone } = getProfileReleaseOptions(req.session.profileId);
+  const conditions = ['we.profile_id = ?'];
+  const params = [req.session.profileId];
+  if (from !== undefined) {
+    conditions.push('we.watched_at >= ?');
+    params.push(getDayStart(from, timeZone));
+  }
+  if (to !== undefined) {
+    conditions.push('we.watched_at < ?');
+    params.push(getDayStart(getNextDate(to), timeZone));
+  }
+  if (showId !== undefined) {
+    conditions.push('e.show_id = ?');
+    params.push(Number(showId));
+  }
+  const where = conditions.join(' AND ');
+
+  const { total } = db
+    .prepare(
+      `SELECT COUNT(*) AS total
+       FROM watch_events we
+       JOIN episodes e ON e.id = we.episode_id
+       JOIN profile_shows ps
+         ON ps.show_id = e.show_id AND ps.profile_id = we.profile_id
+       WHERE ${where}`
+    )
+    .get(...params);
+  const rows = db
+    .prepare(
+      `SELECT we.id, we.episode_id, we.pass, we.watched_at,
+              e.season, e.number, e.name, e.airdate, e.runtime,
+              s.id AS show_id, s.name AS show_name,
+              s.image_medium, s.image_original
+       FROM watch_events we
+       JOIN episodes e ON e.id = we.episode_id
+       JOIN shows s ON s.id = e.show_id
+       JOIN profile_shows ps
+         ON ps.show_id = e.show_id AND ps.profile_id = we.profile_id
+       WHERE ${where}
+       ORDER BY we.watched_at DESC, we.id DESC
+       LIMIT ? OFFSET ?`
+    )
+    .all(...params, limit, offset);
+
+  return res.json({
+    total: toNumber(total),
+    limit,
+    offset,
+    entries: rows.map((row) => ({
+      id: row.id,
+      episodeId: row.episode_id,
+      pass: row.pass,
+      watchedAt: row.watched_at,
+      showId: row.show_id,
+      showName: row.show_name,
+      showImage: row.image_medium || row.image_original,
+      season: row.season,
+      number: row.number,
+      name: row.name,
+      airdate: row.airdate,
+      runtime: row.runtime,
+    })),
+  });
+});
+
+app.delete('/api/history/:id', requireAuth, requireProfile, (req, res) => {
+  const event = db
+    .prepare(
+      `SELECT we.episode_id, we.pass, e.season, e.number, s.name AS show_name
+       FROM watch_events we
+       JOIN episodes e ON e.id = we.episode_id
+       JOIN shows s ON s.id = e.show_id
+       WHERE we.id = ? AND we.profile_id = ?`
+    )
+    .get(Number(req.params.id), req.session.profileId);
+  if (!event) {
+    return res.status(404).json({ error: 'History entry not found' });
+  }
+  runTransaction(() => {
+    logAction(
+      req.session.profileId,
+      'watch',
+      `Marked ${event.show_name} ${formatEpisodeCode(event)} unwatched`,
+      captureWatchState(req.session.profileId, [event.episode_id])
+    );
+    clearEpisodeWatch(req.session.profileId, event.episode_id, event.pass);
+  });
+  return res.json({ ok: true });
+});
+
+app.get('/api/undo', requireAuth, requireProfile, (req, res) => {
+  const actions = db
+    .prepare(
+      `SELECT id, type, label, created_at FROM action_log
+       WHERE profile_id = ?
+       ORDER BY id DESC`
+    )
+    .all(req.session.profileId);
+  return res.json({
+    actions: actions.map((action) => ({
+      id: action.id,
+      type: action.type,
+      label: action.label,
+      createdAt: action.created_at,
+    })),
+  });
+});
+
+app.post('/api/undo', requireAuth, requireProfile, (req, res) => {
+  const { count = 1 } = req.body || {};
+  if (!Number.isInteger(count) || count < 1 || count > ACTION_LOG_LIMIT) {
+    return res.status(400).json({ error: 'Invalid count' });
+  }
+  const actions = db
+    .prepare(
+      `SELECT id, type, label, snapshot FROM action_log
+       WHERE profile_id = ?
+       ORDER BY id DESC
+       LIMIT ?`
+    )
+    .all(req.session.profileId, count);
+  if (actions.length === 0) {
+    return res.status(404).json({ error: 'Nothing to undo' });
+  }
+
+  // Newest first, so each snapshot is restored onto the state it was taken from.
+  runTransaction(() => {
+    actions.forEach((action) => {
+      UNDO_HANDLERS[action.type](req.session.profileId, JSON.parse(action.snapshot));
+      db.prepare('DELETE FROM action_log WHERE id = ?').run(action.id);
+    });
+  });
+
+  return res.json({
+    ok: true,
+    undone: actions.map((action) => ({
+      id: action.id,
+      type: action.type,
+      label: action.label,
+    })),
+  });
+});
+
+// Whether a released episode aired on a day before today in `timeZone` (the
+// server's zone when unset).
+function airedBeforeToday(episode, timeZone) {
+  const airDay = episode.airstamp
+    ? toLocalDate(new Date(episode.airstamp), timeZone)
+    : episode.airdate;
+  return airDay < toLocalDate(new Date(), timeZone);
+}
+
+// Upcoming episodes for a profile over the next `days`, shared by the calendar
+// page and the subscribable feed. The window starts a day (plus the release
+// delay) early so "today" is covered in every timezone. With a profile
+// timezone, episodes released on an earlier local day are dropped here;
+// otherwise the page drops them using the browser's zone and the feed using
+// the server's.
+function listCalendarEpisodes(profileId, days) {
+  const hourMs = 60 * 60 * 1000;
+  const dayMs = 24 * hourMs;
+  const release = getProfileReleaseOptions(profileId);
+  const from = new Date(Date.now() - dayMs - release.delayHours * hourMs);
+  const cutoff = new Date(Date.now() + days * dayMs);
+  const fromDay = from.toISOString().slice(0, 10);
+  const cutoffDay = cutoff.toISOString().slice(0, 10);
 
   const episodes = db
     .prepare(
-      `SELECT e.*, pe.watched_at, s.name AS show_name, s.image_medium, s.image_original
+      `SELECT e.*, pe.watched_at, we.watched_at AS rewatch_watched_at,
+              s.name AS show_name, s.timezone, s.image_medium, s.image_original
        FROM episodes e
        JOIN shows s ON s.id = e.show_id
        LEFT JOIN profile_episodes pe
          ON pe.episode_id = e.id AND pe.profile_id = ?
        JOIN profile_shows ps ON ps.show_id = s.id
+       LEFT JOIN watch_events we
+         ON we.episode_id = e.id AND we.profile_id = ps.profile_id
+        AND ps.rewatching = 1 AND we.pass = ps.rewatch_count
        WHERE ps.profile_id = ? AND (ps.status IS NULL OR ps.status != 'stopped')
+         AND e.orphaned_at IS NULL
        ORDER BY e.airdate ASC`
     )
-    .all(req.session.profileId, req.session.profileId);
+    .all(profileId, profileId);
 
   const upcoming = episodes.filter((episode) => {
     const airtime = (episode.airtime || '').trim();
     if (airtime.toUpperCase() === 'TBD') {
       return false;
     }
-    if (!episode.airdate) return false;
-    const airdate = new Date(episode.airdate);
-    return airdate >= today && airdate <= cutoff;
+    if (episode.airstamp) {
+      const airedAt = Date.parse(episode.airstamp);
+      if (airedAt < from.getTime() || airedAt > cutoff.getTime()) return false;
+    } else if (
+      !episode.airdate ||
+      episode.airdate < fromDay ||
+      episode.airdate > cutoffDay
+    ) {
+      return false;
+    }
+    if (
+      !release.timeZone ||
+      !isReleased(episode.airdate, episode.airstamp, release)
+    ) {
+      return true;
+    }
+    return !airedBeforeToday(episode, release.timeZone);
   });
 
   const sorted = upcoming.sort((a, b) => {
-    if (!a.airdate && !b.airdate) return 0;
-    if (!a.airdate) return 1;
-    if (!b.airdate) return -1;
-    return a.airdate.localeCompare(b.airdate);
+    const aKey = a.airstamp || a.airdate || '';
+    const bKey = b.airstamp || b.airdate || '';
+    if (!aKey && !bKey) return 0;
+    if (!aKey) return 1;
+    if (!bKey) return -1;
+    return aKey.localeCompare(bKey);
   });
 
   const episodesByShowId = new Map();
@@ -1537,15 +4033,20 @@ app.get('/api/calendar', requireAuth, requireProfile, (req, res) => {
 
   const showRows = db
     .prepare(
-      `SELECT s.*, ps.status AS profile_status
+      `SELECT s.*, ps.status AS profile_status, ps.rewatch_count, ps.rewatching,
+              ps.rating,
+              COALESCE(ps.include_specials, p.include_specials) AS include_specials,
+              ps.include_specials AS show_include_specials,
+              p.timezone AS profile_timezone, p.release_delay_hours
        FROM shows s
        JOIN profile_shows ps ON ps.show_id = s.id
+       JOIN profiles p ON p.id = ps.profile_id
        WHERE ps.profile_id = ?`
     )
-    .all(req.session.profileId);
+    .all(profileId);
   const showById = new Map(showRows.map((show) => [show.id, show]));
 
-  const payload = sorted.map((episode) => {
+  return sorted.map((episode) => {
     const showEpisodes = episodesByShowId.get(episode.show_id) || [];
     const show = showById.get(episode.show_id);
     const { state } = show ? computeShowState(show, showEpisodes) : { state: null };
@@ -1554,18 +4055,113 @@ app.get('/api/calendar', requireAuth, requireProfile, (req, res) => {
       showId: episode.show_id,
       showName: episode.show_name,
       showImage: episode.image_original || episode.image_medium,
-    season: episode.season,
-    number: episode.number,
-    name: episode.name,
+      season: episode.season,
+      number: episode.number,
+      name: episode.name,
       summary: episode.summary,
       airdate: episode.airdate,
       airtime: episode.airtime,
+      airstamp: episode.airstamp || null,
+      timezone: episode.timezone || null,
+      released: isReleased(episode.airdate, episode.airstamp, release),
       runtime: episode.runtime,
       showState: state,
     };
   });
+}
+
+app.get('/api/calendar', requireAuth, requireProfile, (req, res) => {
+  const days = Number(req.query.days) || 45;
+  res.json({ days, episodes: listCalendarEpisodes(req.session.profileId, days) });
+});
+
+function toCalendarEvent(episode, { allDay, timeZone }) {
+  const event = {
+    uid: `episode-${episode.id}@episodely`,
+    summary: `${episode.showName} ${formatEpisodeCode(episode)}${
+      episode.name ? ` - ${episode.name}` : ''
+    }`,
+    description: episode.summary,
+  };
+  if (episode.airstamp && !allDay) {
+    return {
+      ...event,
+      start: new Date(episode.airstamp),
+      durationMinutes: toNumber(episode.runtime) || calendarFeedDefaultRuntime,
+    };
+  }
+  const day =
+    episode.airstamp && timeZone
+      ? toLocalDate(new Date(episode.airstamp), timeZone)
+      : episode.airdate;
+  return { ...event, day };
+}
+
+// Calendar apps can't hold a session or send a CSRF header, so the feed is
+// authorized by the profile's secret token alone.
+app.get('/api/calendar/feed/:token.ics', (req, res) => {
+  const profile = db
+    .prepare('SELECT id, name, timezone FROM profiles WHERE calendar_token = ?')
+    .get(req.params.token);
+  if (!profile) {
+    return res.status(404).json({ error: 'Calendar feed not found' });
+  }
+
+  const states = req.query.states
+    ? String(req.query.states).split(',').map((state) => state.trim())
+    : null;
+  if (states?.some((state) => !SHOW_STATES.includes(state))) {
+    return res.status(400).json({ error: 'Unknown show state' });
+  }
+  const events = req.query.events || 'timed';
+  if (!CALENDAR_EVENT_TYPES.includes(events)) {
+    return res.status(400).json({ error: 'events must be timed or all-day' });
+  }
+  const days = Math.min(
+    Math.max(Math.trunc(Number(req.query.days)) || 45, 1),
+    calendarFeedMaxDays
+  );
+
+  const options = { allDay: events === 'all-day', timeZone: profile.timezone };
+  const episodes = listCalendarEpisodes(profile.id, days).filter(
+    (episode) =>
+      episode.airdate &&
+      !(episode.released && airedBeforeToday(episode, profile.timezone)) &&
+      (!states || states.includes(episode.showState))
+  );
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'private, no-cache');
+  return res.send(
+    buildCalendar({
+      name: `Episodely - ${profile.name}`,
+      events: episodes.map((episode) => toCalendarEvent(episode, options)),
+    })
+  );
+});
 
-  res.json({ days, episodes: payload });
+app.get('/api/stats', requireAuth, requireProfile, (req, res) => {
+  res.json(
+    buildProfileStats(
+      req.session.profileId,
+      new Date(),
+      getProfileReleaseOptions(req.session.profileId)
+    )
+  );
+});
+
+app.get('/api/reports/year/:year', requireAuth, requireProfile, (req, res) => {
+  const year = Number(req.params.year);
+  if (!Number.isInteger(year) || year < 1900 || year > new Date().getFullYear()) {
+    return res.status(400).json({ error: 'Invalid year' });
+  }
+  return res.json(
+    buildYearReport(
+      req.session.profileId,
+      year,
+      new Date(),
+      getProfileReleaseOptions(req.session.profileId)
+    )
+  );
 });
 
 app.get('/api/export', requireAuth, requireProfile, (req, res) => {
@@ -1600,8 +4196,89 @@ if (fs.existsSync(indexHtml)) {
   console.log('No frontend build found. Run `npm run build` to generate `dist/`.');
 }
 
+function getUpdatesWindow(oldestMs, nowMs) {
+  const ageMs = nowMs - oldestMs;
+  if (ageMs <= 24 * 60 * 60 * 1000) return 'day';
+  if (ageMs <= 7 * 24 * 60 * 60 * 1000) return 'week';
+  if (ageMs <= 30 * 24 * 60 * 60 * 1000) return 'month';
+  return null;
+}
+
+// Shows fetched longer ago than the full-sync max age are always refreshed;
+// the rest only when the provider's updates feed reports a newer change.
+// Providers without a feed (or whose feed fails) fall back to a full resync.
+async function selectShowsToSync(providerId, rows, nowMs, full) {
+  const isStale = (row) => {
+    const fetchedAt = Date.parse(row.updated_at);
+    return Number.isNaN(fetchedAt) || nowMs - fetchedAt >= tvmazeFullSyncMaxAgeMs;
+  };
+  let provider;
+  try {
+    provider = getProvider(providerId);
+  } catch (error) {
+    console.warn(`Skipping sync for ${providerId}: ${error.message}`);
+    return [];
+  }
+  if (full || !provider.fetchUpdates || rows.every(isStale)) {
+    return rows;
+  }
+
+  const oldestMs = Math.min(
+    ...rows.filter((row) => !isStale(row)).map((row) => Date.parse(row.updated_at))
+  );
+  let updates;
+  try {
+    updates = await provider.fetchUpdates(getUpdatesWindow(oldestMs, nowMs));
+  } catch (error) {
+    console.warn(
+      `${provider.label} updates feed failed, running a full sync: ${error.message}`
+    );
+    return rows;
+  }
+
+  return rows.filter((row) => {
+    if (isStale(row)) return true;
+    const updatedAt = Number(updates?.[row.tvmaze_id]);
+    return updatedAt * 1000 > Date.parse(row.updated_at);
+  });
+}
+
+async function runTvmazeSyncOnce({ full = false, delayMs = tvmazeSyncDelayMs } = {}) {
+  const nowMs = Date.now();
+  const rows = db
+    .prepare('SELECT id, tvmaze_id, provider, updated_at FROM shows')
+    .all()
+    .filter((row) => row?.tvmaze_id);
+  const byProvider = new Map();
+  for (const row of rows) {
+    if (!byProvider.has(row.provider)) byProvider.set(row.provider, []);
+    byProvider.get(row.provider).push(row);
+  }
+
+  const due = [];
+  for (const [providerId, providerRows] of byProvider) {
+    due.push(...(await selectShowsToSync(providerId, providerRows, nowMs, full)));
+  }
+
+  let refreshed = 0;
+  for (const [index, row] of due.entries()) {
+    if (index > 0 && delayMs > 0) {
+      await sleep(delayMs);
+    }
+    try {
+      await upsertShowWithEpisodes(row.tvmaze_id, row.provider);
+      refreshed += 1;
+    } catch (error) {
+      console.warn(`TVmaze sync failed for ${row.tvmaze_id}: ${error.message}`);
+      recordShowSync(row.id, error);
+    }
+  }
+  return { checked: rows.length, refreshed, failed: due.length - refreshed };
+}
+
 function startTvmazeSync() {
   if (!tvmazeSyncEnabled) {
+    scheduleNextShowSync(null);
     return;
   }
 
@@ -1611,27 +4288,33 @@ function startTvmazeSync() {
     }
     tvmazeSyncInProgress = true;
     try {
-      const rows = db.prepare('SELECT DISTINCT tvmaze_id FROM shows').all();
-      for (const row of rows) {
-        if (!row?.tvmaze_id) continue;
-        try {
-          await upsertShowWithEpisodes(row.tvmaze_id);
-        } catch (error) {
-          console.warn(
-            `TVmaze sync failed for ${row.tvmaze_id}: ${error.message}`
-          );
-        }
-        if (tvmazeSyncDelayMs > 0) {
-          await sleep(tvmazeSyncDelayMs);
-        }
-      }
+      await runTvmazeSyncOnce();
+    } catch (error) {
+      console.warn(`TVmaze sync failed: ${error.message}`);
     } finally {
       tvmazeSyncInProgress = false;
+      scheduleNext();
+    }
+  };
+
+  // The interval timer starts now, so each run lands one interval after the
+  // previous scheduled one rather than after the previous run finished.
+  let nextRunMs = Date.now();
+  const scheduleNext = () => {
+    if (tvmazeSyncIntervalMs <= 0) {
+      scheduleNextShowSync(null);
+      return;
     }
+    while (nextRunMs <= Date.now()) {
+      nextRunMs += tvmazeSyncIntervalMs;
+    }
+    scheduleNextShowSync(new Date(nextRunMs).toISOString());
   };
 
   if (tvmazeSyncOnStartup) {
     runSync();
+  } else {
+    scheduleNext();
   }
 
   if (tvmazeSyncIntervalMs > 0) {
@@ -1659,6 +4342,32 @@ function startExportBackups() {
   }
 }
 
+function startTrashPurge() {
+  const runPurge = () => {
+    try {
+      purgeExpiredTrash();
+    } catch (error) {
+      console.warn(`Failed to purge expired trash: ${error.message}`);
+    }
+  };
+
+  runPurge();
+  setInterval(runPurge, trashPurgeIntervalMs);
+}
+
+function startImageCachePrune() {
+  const runPrune = () => {
+    try {
+      pruneUnusedImages();
+    } catch (error) {
+      console.warn(`Failed to prune image cache: ${error.message}`);
+    }
+  };
+
+  runPrune();
+  setInterval(runPrune, imageCachePruneIntervalMs);
+}
+
 function startServer() {
   app.listen(port, () => {
     console.log(`API running on http://localhost:${port}`);
@@ -1670,9 +4379,22 @@ if (process.env.NODE_ENV !== 'test') {
     await maybeSeedDevData();
     startTvmazeSync();
     startExportBackups();
+    startTrashPurge();
+    startImageCachePrune();
     startServer();
   };
   start();
 }
 
-export { app, runExportBackupsOnce, startExportBackups, startServer, startTvmazeSync };
+export {
+  app,
+  pruneUnusedImages,
+  purgeExpiredTrash,
+  runExportBackupsOnce,
+  runTvmazeSyncOnce,
+  startExportBackups,
+  startImageCachePrune,
+  startServer,
+  startTrashPurge,
+  startTvmazeSync,
+};
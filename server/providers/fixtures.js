@@ -0,0 +1,57 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  normalizeTvmazeCredits,
+  normalizeTvmazeEpisode,
+  normalizeTvmazeShow,
+} from './tvmaze.js';
+
+// Reads TVmaze-shaped JSON files from a directory, one `<id>.json` per show
+// holding `{ show, episodes, cast, crew }`. Handy for curated metadata that TVmaze gets
+// wrong and for running the server without network access.
+export function createFixtureProvider(dir) {
+  const readFixture = (id) => {
+    const filePath = path.join(dir, `${Number(id)}.json`);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`No fixture for show ${id}`);
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  };
+
+  const listFixtures = () =>
+    fs.existsSync(dir)
+      ? fs
+          .readdirSync(dir)
+          .filter((name) => /^\d+\.json$/.test(name))
+          .map((name) => readFixture(path.basename(name, '.json')))
+      : [];
+
+  return {
+    id: 'fixtures',
+    label: 'Local fixtures',
+    imageHosts: [],
+    async search(query) {
+      const needle = String(query).trim().toLowerCase();
+      return listFixtures()
+        .filter((fixture) => fixture.show.name.toLowerCase().includes(needle))
+        .map((fixture) => normalizeTvmazeShow(fixture.show));
+    },
+    async fetchShow(id) {
+      return normalizeTvmazeShow(readFixture(id).show);
+    },
+    async fetchEpisodes(id) {
+      return (readFixture(id).episodes || []).map(normalizeTvmazeEpisode);
+    },
+    async fetchCredits(id) {
+      return normalizeTvmazeCredits(readFixture(id));
+    },
+    async lookupByExternalId({ imdb, thetvdb }) {
+      const match = listFixtures().find(
+        (fixture) =>
+          (imdb && fixture.show.externals?.imdb === imdb) ||
+          (thetvdb && fixture.show.externals?.thetvdb === Number(thetvdb))
+      );
+      return match ? normalizeTvmazeShow(match.show) : null;
+    },
+  };
+}
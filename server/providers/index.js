@@ -0,0 +1,79 @@
+import { createFixtureProvider } from './fixtures.js';
+import { createTmdbProvider } from './tmdb.js';
+import tvmazeProvider from './tvmaze.js';
+
+// Every provider exposes the same interface:
+//   search(query), fetchShow(id), fetchEpisodes(id), fetchCredits(id),
+//   lookupByExternalId({ imdb, thetvdb })
+// Shows are normalized to { id, name, summary, status, premiered, ended,
+// company, imageMedium, imageOriginal, imdbId, genres, language, network,
+// webChannel, officialSite, scheduleDays, scheduleTime, averageRuntime, rating,
+// timezone }, where `timezone` is the network's IANA zone that airdate/airtime
+// are expressed in.
+// Episodes are normalized to { id, season, number, name, summary, airdate,
+// airtime, airstamp, runtime, imageMedium, imageOriginal }, where `airstamp` is
+// the UTC air time, when known.
+// Credits are { cast, crew } lists of people ({ personId, name, imageMedium,
+// imageOriginal }) with a `character` and `characterImage` or a `job`.
+// Each provider also lists `imageHosts`, the hosts its artwork is served from.
+// Providers may also implement fetchUpdates(since), resolving to a map of show
+// id to the unix timestamp of its last upstream change ('day', 'week', 'month'
+// or null for everything); background sync uses it to skip unchanged shows.
+export const DEFAULT_PROVIDER = 'tvmaze';
+
+let providers = null;
+
+function buildProviders(env) {
+  const registry = new Map([[tvmazeProvider.id, tvmazeProvider]]);
+  if (env.TMDB_API_KEY) {
+    const tmdb = createTmdbProvider({
+      apiKey: env.TMDB_API_KEY,
+      baseUrl: env.TMDB_API_BASE || undefined,
+    });
+    registry.set(tmdb.id, tmdb);
+  }
+  if (env.METADATA_FIXTURES_DIR) {
+    const fixtures = createFixtureProvider(env.METADATA_FIXTURES_DIR);
+    registry.set(fixtures.id, fixtures);
+  }
+  return registry;
+}
+
+function getProviders() {
+  if (!providers) {
+    providers = buildProviders(process.env);
+  }
+  return providers;
+}
+
+export function resetProviders() {
+  providers = null;
+}
+
+export function getDefaultProviderId() {
+  const configured = process.env.METADATA_PROVIDER;
+  return configured && getProviders().has(configured)
+    ? configured
+    : DEFAULT_PROVIDER;
+}
+
+export function getProvider(id = getDefaultProviderId()) {
+  const provider = getProviders().get(id);
+  if (!provider) {
+    throw new Error(`Unknown metadata provider: ${id}`);
+  }
+  return provider;
+}
+
+export function listProviders() {
+  return Array.from(getProviders().values()).map((provider) => ({
+    id: provider.id,
+    label: provider.label,
+  }));
+}
+
+export function listImageHosts() {
+  return new Set(
+    Array.from(getProviders().values()).flatMap((provider) => provider.imageHosts)
+  );
+}
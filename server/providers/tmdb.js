@@ -0,0 +1,145 @@
+const TMDB_BASE = 'https://api.themoviedb.org/3';
+const TMDB_IMAGE_BASE = 'https://image.tmdb.org/t/p';
+
+const TMDB_STATUSES = {
+  'Returning Series': 'Running',
+  'In Production': 'In Development',
+  Planned: 'To Be Determined',
+  Ended: 'Ended',
+  Canceled: 'Ended',
+};
+
+// TMDB ids live in the same tvmaze_id columns as TVmaze ids, so they are
+// stored negated to keep the two id spaces from colliding.
+function toStoredId(tmdbId) {
+  return -Math.abs(tmdbId);
+}
+
+function fromStoredId(id) {
+  return Math.abs(Number(id));
+}
+
+export function createTmdbProvider({
+  apiKey,
+  baseUrl = TMDB_BASE,
+  imageBaseUrl = TMDB_IMAGE_BASE,
+}) {
+  const tmdbFetch = async (pathname, params = {}) => {
+    const url = new URL(`${baseUrl}${pathname}`);
+    url.searchParams.set('api_key', apiKey);
+    Object.entries(params).forEach(([key, value]) => {
+      url.searchParams.set(key, value);
+    });
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+    });
+    if (!response.ok) {
+      const text = await response.text();
+      const error = new Error(`TMDB error ${response.status}: ${text}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  };
+
+  const imageUrl = (filePath, size) =>
+    filePath ? `${imageBaseUrl}/${size}${filePath}` : null;
+
+  const normalizeShow = (show) => {
+    const status = TMDB_STATUSES[show.status] || show.status || null;
+    return {
+      id: toStoredId(show.id),
+      name: show.name,
+      summary: show.overview || '',
+      status,
+      premiered: show.first_air_date || null,
+      ended: status === 'Ended' ? show.last_air_date || null : null,
+      company: show.networks?.[0]?.name || null,
+      imageMedium: imageUrl(show.poster_path, 'w342'),
+      imageOriginal: imageUrl(show.poster_path, 'original'),
+      imdbId: show.external_ids?.imdb_id || null,
+      genres: (show.genres || []).map((genre) => genre.name),
+      language: show.original_language || null,
+      network: show.networks?.[0]?.name || null,
+      webChannel: null,
+      officialSite: show.homepage || null,
+      scheduleDays: [],
+      scheduleTime: null,
+      averageRuntime: show.episode_run_time?.[0] ?? null,
+      rating: show.vote_average || null,
+      timezone: null,
+    };
+  };
+
+  const normalizeEpisode = (episode) => ({
+    id: toStoredId(episode.id),
+    season: episode.season_number,
+    number: episode.episode_number ?? null,
+    name: episode.name,
+    summary: episode.overview || '',
+    airdate: episode.air_date || null,
+    airtime: null,
+    airstamp: null,
+    runtime: episode.runtime ?? null,
+    imageMedium: imageUrl(episode.still_path, 'w300'),
+    imageOriginal: imageUrl(episode.still_path, 'original'),
+  });
+
+  const normalizePerson = (person) => ({
+    personId: person.id,
+    name: person.name,
+    imageMedium: imageUrl(person.profile_path, 'w185'),
+    imageOriginal: imageUrl(person.profile_path, 'original'),
+  });
+
+  return {
+    id: 'tmdb',
+    label: 'TMDB',
+    imageHosts: [new URL(imageBaseUrl).host],
+    async search(query) {
+      const data = await tmdbFetch('/search/tv', { query });
+      return (data.results || []).map(normalizeShow);
+    },
+    async fetchShow(id) {
+      const show = await tmdbFetch(`/tv/${fromStoredId(id)}`, {
+        append_to_response: 'external_ids',
+      });
+      return normalizeShow(show);
+    },
+    async fetchEpisodes(id) {
+      const tmdbId = fromStoredId(id);
+      const show = await tmdbFetch(`/tv/${tmdbId}`);
+      const episodes = [];
+      for (const season of show.seasons || []) {
+        const data = await tmdbFetch(`/tv/${tmdbId}/season/${season.season_number}`);
+        episodes.push(...(data.episodes || []).map(normalizeEpisode));
+      }
+      return episodes;
+    },
+    async fetchCredits(id) {
+      const data = await tmdbFetch(`/tv/${fromStoredId(id)}/credits`);
+      return {
+        cast: (data.cast || []).map((member) => ({
+          ...normalizePerson(member),
+          character: member.character || null,
+          characterImage: null,
+        })),
+        crew: (data.crew || []).map((member) => ({
+          ...normalizePerson(member),
+          job: member.job || null,
+        })),
+      };
+    },
+    async lookupByExternalId({ imdb, thetvdb }) {
+      const data = imdb
+        ? await tmdbFetch(`/find/${encodeURIComponent(imdb)}`, {
+            external_source: 'imdb_id',
+          })
+        : await tmdbFetch(`/find/${encodeURIComponent(thetvdb)}`, {
+            external_source: 'tvdb_id',
+          });
+      const show = data.tv_results?.[0];
+      return show ? normalizeShow(show) : null;
+    },
+  };
+}
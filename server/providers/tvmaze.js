@@ -0,0 +1,106 @@
+import {
+  fetchCast,
+  fetchCrew,
+  fetchEpisodes,
+  fetchShow,
+  fetchShowUpdates,
+  lookupShow,
+  searchShows,
+} from '../tvmaze.js';
+import { stripHtml, toUtcTimestamp } from '../utils.js';
+
+export function normalizeTvmazeShow(show) {
+  return {
+    id: show.id,
+    name: show.name,
+    summary: stripHtml(show.summary),
+    status: show.status || null,
+    premiered: show.premiered || null,
+    ended: show.ended || null,
+    company: show.network?.name || show.webChannel?.name || null,
+    imageMedium: show.image?.medium || null,
+    imageOriginal: show.image?.original || null,
+    imdbId: show.externals?.imdb || null,
+    genres: show.genres || [],
+    language: show.language || null,
+    network: show.network?.name || null,
+    webChannel: show.webChannel?.name || null,
+    officialSite: show.officialSite || null,
+    scheduleDays: show.schedule?.days || [],
+    scheduleTime: show.schedule?.time || null,
+    averageRuntime: show.averageRuntime ?? show.runtime ?? null,
+    rating: show.rating?.average ?? null,
+    timezone:
+      show.network?.country?.timezone || show.webChannel?.country?.timezone || null,
+  };
+}
+
+export function normalizeTvmazeEpisode(episode) {
+  return {
+    id: episode.id,
+    season: episode.season,
+    number: episode.number,
+    name: episode.name,
+    summary: stripHtml(episode.summary),
+    airdate: episode.airdate || null,
+    airtime: episode.airtime || null,
+    airstamp: toUtcTimestamp(episode.airstamp),
+    runtime: episode.runtime ?? null,
+    imageMedium: episode.image?.medium || null,
+    imageOriginal: episode.image?.original || null,
+  };
+}
+
+function normalizeTvmazePerson(person) {
+  return {
+    personId: person.id,
+    name: person.name,
+    imageMedium: person.image?.medium || null,
+    imageOriginal: person.image?.original || null,
+  };
+}
+
+export function normalizeTvmazeCredits({ cast = [], crew = [] }) {
+  return {
+    cast: cast.map((member) => ({
+      ...normalizeTvmazePerson(member.person),
+      character: member.character?.name || null,
+      characterImage: member.character?.image?.medium || null,
+    })),
+    crew: crew.map((member) => ({
+      ...normalizeTvmazePerson(member.person),
+      job: member.type || null,
+    })),
+  };
+}
+
+const tvmazeProvider = {
+  id: 'tvmaze',
+  label: 'TVmaze',
+  imageHosts: ['static.tvmaze.com'],
+  async search(query) {
+    const results = await searchShows(query);
+    return results.map((item) => normalizeTvmazeShow(item.show));
+  },
+  async fetchShow(id) {
+    return normalizeTvmazeShow(await fetchShow(id));
+  },
+  async fetchEpisodes(id) {
+    const episodes = await fetchEpisodes(id);
+    return episodes.map(normalizeTvmazeEpisode);
+  },
+  async fetchCredits(id) {
+    const cast = await fetchCast(id);
+    const crew = await fetchCrew(id);
+    return normalizeTvmazeCredits({ cast, crew });
+  },
+  async lookupByExternalId(externalIds) {
+    const show = await lookupShow(externalIds);
+    return show ? normalizeTvmazeShow(show) : null;
+  },
+  async fetchUpdates(since) {
+    return fetchShowUpdates(since);
+  },
+};
+
+export default tvmazeProvider;
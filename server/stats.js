@@ -0,0 +1,364 @@
+import db from './db.js';
+import { toLocalDate } from './utils.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const STATS_WEEKS = 12;
+const STATS_MONTHS = 12;
+const TOP_SHOWS_LIMIT = 10;
+const TOP_NETWORKS_LIMIT = 10;
+const REPORT_POSTER_LIMIT = 24;
+
+// Every viewing of an episode: the first pass lives in profile_episodes and
+// rewatch passes in watch_events, so hours, activity and streaks count both.
+const VIEWINGS = `(
+  SELECT profile_id, episode_id, 0 AS pass, watched_at FROM profile_episodes
+  UNION ALL
+  SELECT profile_id, episode_id, pass, watched_at FROM watch_events WHERE pass > 0
+)`;
+
+// Watch timestamps are stored as UTC ISO strings, so every day, week and
+// month bucket here is a UTC calendar bucket.
+function toDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(day, amount) {
+  return toDay(new Date(Date.parse(`${day}T00:00:00Z`) + amount * DAY_MS));
+}
+
+function getWeekStart(day) {
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  return addDays(day, -((weekday + 6) % 7));
+}
+
+function addMonths(month, amount) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, monthIndex - 1 + amount, 1));
+  return date.toISOString().slice(0, 7);
+}
+
+// The SQL counterpart of isReleased: `stamp` is compared with airstamps and
+// `day` with bare airdates, both shifted by the profile's release preferences.
+function getReleaseCutoff(now, { timeZone = null, delayHours = 0 } = {}) {
+  const cutoff = new Date(now.getTime() - delayHours * HOUR_MS);
+  return { stamp: cutoff.toISOString(), day: toLocalDate(cutoff, timeZone) };
+}
+
+function toHours(minutes) {
+  return Math.round((minutes / 60) * 10) / 10;
+}
+
+export function computeStreaks(days, today) {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  days.forEach((day) => {
+    run = previous && addDays(previous, 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  });
+  const lastDay = days[days.length - 1];
+  const current =
+    lastDay && (lastDay === today || lastDay === addDays(today, -1)) ? run : 0;
+  return { current, longest };
+}
+
+function fillBuckets(rows, keys) {
+  const counts = new Map(rows.map((row) => [row.bucket, row]));
+  return keys.map((key) => ({
+    start: key,
+    episodes: counts.get(key)?.episodes ?? 0,
+    hours: toHours(counts.get(key)?.minutes ?? 0),
+  }));
+}
+
+function getTotals(profileId) {
+  const row = db
+    .prepare(
+      `SELECT COUNT(*) AS episodes,
+              COALESCE(SUM(e.runtime), 0) AS minutes,
+              COUNT(DISTINCT e.show_id) AS shows
+       FROM ${VIEWINGS} pe
+       JOIN episodes e ON e.id = pe.episode_id
+       WHERE pe.profile_id = ?`
+    )
+    .get(profileId);
+  return {
+    episodes: row.episodes,
+    shows: row.shows,
+    minutes: row.minutes,
+    hours: toHours(row.minutes),
+  };
+}
+
+function getWeeklyActivity(profileId, today) {
+  const currentWeek = getWeekStart(today);
+  const weeks = Array.from({ length: STATS_WEEKS }, (_, index) =>
+    addDays(currentWeek, (index - STATS_WEEKS + 1) * 7)
+  );
+  const rows = db
+    .prepare(
+      `SELECT date(pe.watched_at, '-6 days', 'weekday 1') AS bucket,
+              COUNT(*) AS episodes,
+              COALESCE(SUM(e.runtime), 0) AS minutes
+       FROM ${VIEWINGS} pe
+       JOIN episodes e ON e.id = pe.episode_id
+       WHERE pe.profile_id = ? AND pe.watched_at >= ?
+       GROUP BY bucket`
+    )
+    .all(profileId, weeks[0]);
+  return fillBuckets(rows, weeks);
+}
+
+function getMonthlyActivity(profileId, today) {
+  const currentMonth = today.slice(0, 7);
+  const months = Array.from({ length: STATS_MONTHS }, (_, index) =>
+    addMonths(currentMonth, index - STATS_MONTHS + 1)
+  );
+  const rows = db
+    .prepare(
+      `SELECT substr(pe.watched_at, 1, 7) AS bucket,
+              COUNT(*) AS episodes,
+              COALESCE(SUM(e.runtime), 0) AS minutes
+       FROM ${VIEWINGS} pe
+       JOIN episodes e ON e.id = pe.episode_id
+       WHERE pe.profile_id = ? AND pe.watched_at >= ?
+       GROUP BY bucket`
+    )
+    .all(profileId, `${months[0]}-01`);
+  return fillBuckets(rows, months);
+}
+
+function getTopShows(profileId) {
+  return db
+    .prepare(
+      `SELECT s.id, s.name, s.image_medium, s.image_original,
+              COUNT(*) AS episodes,
+              COALESCE(SUM(e.runtime), 0) AS minutes
+       FROM ${VIEWINGS} pe
+       JOIN episodes e ON e.id = pe.episode_id
+       JOIN shows s ON s.id = e.show_id
+       WHERE pe.profile_id = ?
+       GROUP BY s.id
+       ORDER BY minutes DESC, episodes DESC, s.name ASC
+       LIMIT ?`
+    )
+    .all(profileId, TOP_SHOWS_LIMIT)
+    .map((row) => ({
+      id: row.id,
+      name: row.name,
+      image: row.image_medium || row.image_original,
+      episodes: row.episodes,
+      hours: toHours(row.minutes),
+    }));
+}
+
+function getNetworks(profileId) {
+  return db
+    .prepare(
+      `SELECT s.company AS name,
+              COUNT(DISTINCT s.id) AS shows,
+              COUNT(*) AS episodes,
+              COALESCE(SUM(e.runtime), 0) AS minutes
+       FROM ${VIEWINGS} pe
+       JOIN episodes e ON e.id = pe.episode_id
+       JOIN shows s ON s.id = e.show_id
+       WHERE pe.profile_id = ? AND s.company IS NOT NULL
+       GROUP BY s.company
+       ORDER BY minutes DESC, episodes DESC, s.company ASC
+       LIMIT ?`
+    )
+    .all(profileId, TOP_NETWORKS_LIMIT)
+    .map((row) => ({
+      name: row.name,
+      shows: row.shows,
+      episodes: row.episodes,
+      hours: toHours(row.minutes),
+    }));
+}
+
+function getCompletion(profileId, cutoff) {
+  // Mirrors getTrackedEpisodes: specials only count when the show (or the
+  // profile default) includes them, and only released episodes count
+  // (by airstamp when known, else by airdate) under the profile's timezone
+  // and release delay.
+  const rows = db
+    .prepare(
+      `SELECT COUNT(e.id) AS released, COUNT(pe.episode_id) AS watched
+       FROM profile_shows ps
+       JOIN profiles p ON p.id = ps.profile_id
+       LEFT JOIN episodes e
+         ON e.show_id = ps.show_id
+        AND COALESCE(e.airstamp <= ?, e.airdate <= ?)
+        AND e.orphaned_at IS NULL
+        AND (COALESCE(ps.include_specials, p.include_specials) = 1
+             OR (e.season != 0 AND e.number IS NOT NULL))
+       LEFT JOIN profile_episodes pe
+         ON pe.episode_id = e.id AND pe.profile_id = ps.profile_id
+       WHERE ps.profile_id = ?
+       GROUP BY ps.show_id`
+    )
+    .all(cutoff.stamp, cutoff.day, profileId);
+  const released = rows.reduce((sum, row) => sum + row.released, 0);
+  const watched = rows.reduce((sum, row) => sum + row.watched, 0);
+  const started = rows.filter((row) => row.watched > 0);
+  const caughtUp = started.filter((row) => row.watched >= row.released);
+  return {
+    shows: rows.length,
+    started: started.length,
+    caughtUp: caughtUp.length,
+    showRate: started.length
+      ? Math.round((caughtUp.length / started.length) * 1000) / 1000
+      : null,
+    episodeRate: released
+      ? Math.round((watched / released) * 1000) / 1000
+      : null,
+  };
+}
+
+export function listWatchDays(profileId, { from = null, to = null } = {}) {
+  return db
+    .prepare(
+      `SELECT DISTINCT substr(watched_at, 1, 10) AS day
+       FROM ${VIEWINGS}
+       WHERE profile_id = ? AND watched_at IS NOT NULL
+         AND (? IS NULL OR watched_at >= ?)
+         AND (? IS NULL OR watched_at < ?)
+       ORDER BY day ASC`
+    )
+    .all(profileId, from, from, to, to)
+    .map((row) => row.day);
+}
+
+export function buildProfileStats(profileId, now = new Date(), release = {}) {
+  const today = toDay(now);
+  return {
+    generatedAt: now.toISOString(),
+    totals: getTotals(profileId),
+    weekly: getWeeklyActivity(profileId, today),
+    monthly: getMonthlyActivity(profileId, today),
+    topShows: getTopShows(profileId),
+    networks: getNetworks(profileId),
+    completion: getCompletion(profileId, getReleaseCutoff(now, release)),
+    streaks: computeStreaks(listWatchDays(profileId), today),
+  };
+}
+
+function getMostBinged(profileId, from, to) {
+  const row = db
+    .prepare(
+      `SELECT s.id, s.name, s.image_medium, s.image_original,
+              substr(pe.watched_at, 1, 10) AS day,
+              COUNT(*) AS episodes
+       FROM ${VIEWINGS} pe
+       JOIN episodes e ON e.id = pe.episode_id
+       JOIN shows s ON s.id = e.show_id
+       WHERE pe.profile_id = ? AND pe.watched_at >= ? AND pe.watched_at < ?
+       GROUP BY s.id, day
+       ORDER BY episodes DESC, day ASC
+       LIMIT 1`
+    )
+    .get(profileId, from, to);
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    image: row.image_medium || row.image_original,
+    day: row.day,
+    episodes: row.episodes,
+  };
+}
+
+// A show counts as finished in the year when it has ended, every tracked
+// released episode is watched, and the last of them was first watched that
+// year; rewatches add to the year's hours but never finish a show again.
+function getYearShows(profileId, from, to, cutoff) {
+  return db
+    .prepare(
+      `SELECT s.id, s.name, s.status, s.image_medium, s.image_original,
+              MIN(pe.watched_at) AS first_watched_at,
+              MAX(CASE WHEN pe.pass = 0 THEN pe.watched_at END) AS last_watched_at,
+              SUM(pe.watched_at >= ? AND pe.watched_at < ?) AS year_episodes,
+              SUM(CASE WHEN pe.watched_at >= ? AND pe.watched_at < ?
+                       THEN COALESCE(e.runtime, 0) ELSE 0 END) AS year_minutes,
+              (SELECT COUNT(*)
+                 FROM episodes te
+                 JOIN profile_shows ps
+                   ON ps.show_id = te.show_id AND ps.profile_id = pe.profile_id
+                 JOIN profiles p ON p.id = ps.profile_id
+                WHERE te.show_id = s.id
+                  AND COALESCE(te.airstamp <= ?, te.airdate <= ?)
+                  AND te.orphaned_at IS NULL
+                  AND (COALESCE(ps.include_specials, p.include_specials) = 1
+                       OR (te.season != 0 AND te.number IS NOT NULL))
+                  AND NOT EXISTS (
+                    SELECT 1 FROM profile_episodes tpe
+                     WHERE tpe.episode_id = te.id
+                       AND tpe.profile_id = pe.profile_id
+                  )) AS unwatched
+       FROM ${VIEWINGS} pe
+       JOIN episodes e ON e.id = pe.episode_id
+       JOIN shows s ON s.id = e.show_id
+       WHERE pe.profile_id = ? AND pe.watched_at IS NOT NULL
+       GROUP BY s.id
+       HAVING year_episodes > 0
+       ORDER BY year_minutes DESC, year_episodes DESC, s.name ASC`
+    )
+    .all(from, to, from, to, cutoff.stamp, cutoff.day, profileId);
+}
+
+export function buildYearReport(
+  profileId,
+  year,
+  now = new Date(),
+  release = {}
+) {
+  const from = `${year}-01-01`;
+  const to = `${year + 1}-01-01`;
+  const today = toDay(now);
+  const shows = getYearShows(
+    profileId,
+    from,
+    to,
+    getReleaseCutoff(now, release)
+  );
+  const minutes = shows.reduce((sum, show) => sum + show.year_minutes, 0);
+  const started = shows.filter((show) => show.first_watched_at >= from);
+  const finished = shows.filter(
+    (show) =>
+      show.status === 'Ended' &&
+      show.unwatched === 0 &&
+      show.last_watched_at >= from &&
+      show.last_watched_at < to
+  );
+  const toSummary = (show) => ({
+    id: show.id,
+    name: show.name,
+    image: show.image_medium || show.image_original,
+    episodes: show.year_episodes,
+    hours: toHours(show.year_minutes),
+  });
+
+  return {
+    year,
+    hours: toHours(minutes),
+    episodes: shows.reduce((sum, show) => sum + show.year_episodes, 0),
+    mostBinged: getMostBinged(profileId, from, to),
+    longestStreak: computeStreaks(listWatchDays(profileId, { from, to }), today)
+      .longest,
+    showsStarted: started.map(toSummary),
+    showsFinished: finished.map(toSummary),
+    newShows: started.length,
+    returningShows: shows.length - started.length,
+    topShows: shows.slice(0, TOP_SHOWS_LIMIT).map(toSummary),
+    posters: shows
+      .filter((show) => show.image_medium || show.image_original)
+      .slice(0, REPORT_POSTER_LIMIT)
+      .map((show) => ({
+        id: show.id,
+        name: show.name,
+        image: show.image_medium || show.image_original,
+      })),
+  };
+}
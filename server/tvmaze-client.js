@@ -0,0 +1,129 @@
+export const TVMAZE_BASE = 'https://api.tvmaze.com';
+
+// TVmaze allows at least 20 calls every 10 seconds per IP.
+const DEFAULT_REQUESTS_PER_SECOND = 2;
+const DEFAULT_BURST = 20;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_BASE_MS = 500;
+const DEFAULT_MAX_RETRY_DELAY_MS = 30 * 1000;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createTokenBucket({ requestsPerSecond, burst, sleep }) {
+  if (!Number.isFinite(requestsPerSecond) || requestsPerSecond <= 0) {
+    return async () => {};
+  }
+  const capacity = Math.max(1, burst);
+  let tokens = capacity;
+  let refilledAt = Date.now();
+
+  return async function take() {
+    for (;;) {
+      const now = Date.now();
+      tokens = Math.min(
+        capacity,
+        tokens + ((now - refilledAt) / 1000) * requestsPerSecond
+      );
+      refilledAt = now;
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - tokens) / requestsPerSecond) * 1000));
+    }
+  };
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+export function createTvmazeClient({
+  baseUrl = TVMAZE_BASE,
+  userAgent = 'episodely',
+  requestsPerSecond = DEFAULT_REQUESTS_PER_SECOND,
+  burst = DEFAULT_BURST,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  retryBaseMs = DEFAULT_RETRY_BASE_MS,
+  maxRetryDelayMs = DEFAULT_MAX_RETRY_DELAY_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  sleep = defaultSleep,
+} = {}) {
+  const takeToken = createTokenBucket({ requestsPerSecond, burst, sleep });
+  const inFlight = new Map();
+
+  const getBackoffDelay = (attempt) =>
+    Math.min(maxRetryDelayMs, retryBaseMs * 2 ** attempt);
+
+  async function request(path) {
+    for (let attempt = 0; ; attempt += 1) {
+      await takeToken();
+      let response;
+      try {
+        response = await fetch(`${baseUrl}${path}`, {
+          headers: {
+            Accept: 'application/json',
+            'User-Agent': userAgent,
+          },
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (response.ok) {
+          return await response.json();
+        }
+      } catch (error) {
+        // Network failures, timeouts and bodies that break off mid-read are
+        // retried like 5xx responses.
+        if (attempt >= maxRetries) {
+          throw new Error(`TVmaze request failed: ${error.message}`);
+        }
+        await sleep(getBackoffDelay(attempt));
+        continue;
+      }
+
+      const text = await response.text();
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      // Retrying sooner than Retry-After asks only gets rate-limited again, so a
+      // wait beyond maxRetryDelayMs ends the request instead.
+      if (
+        isRetryableStatus(response.status) &&
+        attempt < maxRetries &&
+        (retryAfterMs === null || retryAfterMs <= maxRetryDelayMs)
+      ) {
+        await sleep(retryAfterMs ?? getBackoffDelay(attempt));
+        continue;
+      }
+      const error = new Error(`TVmaze error ${response.status}: ${text}`);
+      error.status = response.status;
+      error.retryAfterMs = retryAfterMs;
+      throw error;
+    }
+  }
+
+  // Concurrent requests for the same path share a single upstream call.
+  function get(path) {
+    if (inFlight.has(path)) {
+      return inFlight.get(path);
+    }
+    const promise = request(path).finally(() => {
+      inFlight.delete(path);
+    });
+    inFlight.set(path, promise);
+    return promise;
+  }
+
+  return { baseUrl, get };
+}
@@ -1,19 +1,13 @@
-const TVMAZE_BASE = 'https://api.tvmaze.com';
-
-async function tvmazeFetch(path) {
-  const response = await fetch(`${TVMAZE_BASE}${path}`, {
-    headers: {
-      Accept: 'application/json',
-      'User-Agent': 'episodely-dev',
-    },
-  });
-
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`TVmaze error ${response.status}: ${text}`);
-  }
+import { TVMAZE_BASE, createTvmazeClient } from './tvmaze-client.js';
+
+let client = null;
 
-  return response.json();
+function tvmazeFetch(path) {
+  const baseUrl = process.env.TVMAZE_API_BASE || TVMAZE_BASE;
+  if (!client || client.baseUrl !== baseUrl) {
+    client = createTvmazeClient({ baseUrl, userAgent: 'episodely-dev' });
+  }
+  return client.get(path);
 }
 
 export async function searchShows(query) {
@@ -27,3 +21,29 @@ export async function fetchShow(tvmazeId) {
 export async function fetchEpisodes(tvmazeId) {
   return tvmazeFetch(`/shows/${tvmazeId}/episodes`);
 }
+
+export async function fetchCast(tvmazeId) {
+  return tvmazeFetch(`/shows/${tvmazeId}/cast`);
+}
+
+export async function fetchCrew(tvmazeId) {
+  return tvmazeFetch(`/shows/${tvmazeId}/crew`);
+}
+
+export async function lookupShow({ imdb, thetvdb }) {
+  const query = imdb
+    ? `imdb=${encodeURIComponent(imdb)}`
+    : `thetvdb=${encodeURIComponent(thetvdb)}`;
+  try {
+    return await tvmazeFetch(`/lookup/shows?${query}`);
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+// Maps TVmaze show ids to the unix timestamp of their last upstream change.
+// `since` narrows the feed to 'day', 'week' or 'month'; omit it for all shows.
+export async function fetchShowUpdates(since) {
+  return tvmazeFetch(since ? `/updates/shows?since=${since}` : '/updates/shows');
+}
@@ -3,16 +3,97 @@ export function stripHtml(input) {
   return input.replace(/<[^>]*>/g, '').trim();
 }
 
-export function getTodayDate() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
+const HOUR_MS = 60 * 60 * 1000;
+
+export function isValidTimeZone(value) {
+  if (typeof value !== 'string' || !value) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// YYYY-MM-DD for `date` in `timeZone`, or in the server's zone when unset.
+export function toLocalDate(date, timeZone = null) {
+  if (timeZone) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).formatToParts(date);
+    const part = (type) => parts.find((item) => item.type === type).value;
+    return `${part('year')}-${part('month')}-${part('day')}`;
+  }
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
   return `${year}-${month}-${day}`;
 }
 
-export function isReleased(airdate) {
+// Milliseconds `timeZone` is ahead of UTC at the instant `time`.
+function getZoneOffset(time, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(time);
+  const part = (type) => Number(parts.find((item) => item.type === type).value);
+  const wallClock = Date.UTC(
+    part('year'),
+    part('month') - 1,
+    part('day'),
+    part('hour'),
+    part('minute'),
+    part('second')
+  );
+  return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+// ISO timestamp of midnight starting the YYYY-MM-DD `day` in `timeZone`, or in
+// the server's zone when unset. The offset is looked up a second time at the
+// first guess so days that start right after a DST change land correctly.
+export function getDayStart(day, timeZone = null) {
+  if (!timeZone) return new Date(`${day}T00:00:00`).toISOString();
+  const midnight = Date.parse(`${day}T00:00:00Z`);
+  const guess = midnight - getZoneOffset(midnight, timeZone);
+  return new Date(midnight - getZoneOffset(guess, timeZone)).toISOString();
+}
+
+export function getTodayDate(timeZone = null) {
+  return toLocalDate(new Date(), timeZone);
+}
+
+export function toUtcTimestamp(value) {
+  if (!value) return null;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+// Prefers the UTC airstamp so an episode counts as released at the same moment
+// for every viewer; episodes without one fall back to the local airdate.
+// The third argument holds the profile's release preferences: `timeZone` for
+// the airdate fallback and `delayHours` to push the release moment back.
+export function isReleased(
+  airdate,
+  airstamp = null,
+  { timeZone = null, delayHours = 0 } = {}
+) {
+  const cutoff = new Date(Date.now() - delayHours * HOUR_MS);
+  if (airstamp) {
+    return Date.parse(airstamp) <= cutoff.getTime();
+  }
   if (!airdate) return false;
-  const today = getTodayDate();
-  return airdate <= today;
+  return airdate <= toLocalDate(cutoff, timeZone);
+}
+
+export function isSpecial(episode) {
+  return episode.season === 0 || episode.number == null;
 }
@@ -8,7 +8,8 @@ import {
   useNavigate,
   useParams,
 } from 'react-router-dom';
-import { apiFetch } from './api.js';
+import { apiFetch, getImageUrl } from './api.js';
+import { toDateInputValue, toPickedWatchedAt } from './dates.js';
 import logo from './assets/episodely-logo.svg';
 
 const STATE_LABELS = {
@@ -17,9 +18,38 @@ const STATE_LABELS = {
   queued: 'Not Started',
   'up-to-date': 'Up To Date',
   completed: 'Finished',
+  favorite: 'Favorite',
+  planned: 'Plan to Watch',
+  paused: 'On Hold',
   stopped: 'Stopped Watching',
 };
 
+const PROFILE_STATUSES = ['stopped', 'paused', 'planned', 'favorite'];
+
+const UNDO_TOAST_MS = 8000;
+const NOTE_SEARCH_DELAY_MS = 250;
+
+const RELEASE_DELAY_OPTIONS = [0, 1, 2, 3, 6, 12, 24, 48];
+
+const SCHEDULE_DAYS = [
+  ['Monday', 'Mon'],
+  ['Tuesday', 'Tue'],
+  ['Wednesday', 'Wed'],
+  ['Thursday', 'Thu'],
+  ['Friday', 'Fri'],
+  ['Saturday', 'Sat'],
+  ['Sunday', 'Sun'],
+];
+
+const SHOW_SORTERS = {
+  rating: (a, b) => (b.rating ?? 0) - (a.rating ?? 0),
+  'provider-rating': (a, b) => (b.providerRating ?? 0) - (a.providerRating ?? 0),
+  premiered: (a, b) =>
+    String(b.premiered || '').localeCompare(String(a.premiered || '')),
+  runtime: (a, b) =>
+    (a.averageRuntime ?? Infinity) - (b.averageRuntime ?? Infinity),
+};
+
 const APP_VERSION =
   typeof __APP_VERSION__ !== 'undefined' ? __APP_VERSION__ : 'dev';
 
@@ -32,20 +62,47 @@ function formatEpisodeCode(episode) {
   )}`;
 }
 
-function getLocalTimezoneLabel() {
+function getLocalTimezoneLabel(timeZone = null) {
   try {
     const formatter = new Intl.DateTimeFormat(undefined, {
+      timeZone: timeZone || undefined,
       timeZoneName: 'short',
     });
     const parts = formatter.formatToParts(new Date());
     const label = parts.find((part) => part.type === 'timeZoneName')?.value;
     if (label) return label;
-    return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    return timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone || '';
   } catch {
     return '';
   }
 }
 
+function listTimeZones() {
+  try {
+    return Intl.supportedValuesOf('timeZone');
+  } catch {
+    return [];
+  }
+}
+
+// Date and time parts of `date` in `timeZone` (the browser's zone when unset).
+function getZonedParts(date, timeZone = null) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timeZone || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = (type) => parts.find((item) => item.type === type)?.value;
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    time: `${part('hour')}:${part('minute')}`,
+  };
+}
+
 function buildYearLabel({ releaseYear, premiered, ended }) {
   const startYear = Number.isFinite(Number(releaseYear))
     ? Number(releaseYear)
@@ -57,12 +114,77 @@ function buildYearLabel({ releaseYear, premiered, ended }) {
   return endYear ? `${startYear}-${endYear}` : `${startYear}-`;
 }
 
-function daysUntil(airdate) {
+function daysUntil(airdate, timeZone = null) {
   if (!airdate) return null;
-  const today = new Date();
-  const target = new Date(airdate);
-  const diff = Math.ceil((target - today) / (1000 * 60 * 60 * 24));
-  return diff;
+  const today = Date.parse(`${getTodayDate(timeZone)}T00:00:00Z`);
+  const target = Date.parse(`${airdate}T00:00:00Z`);
+  return Math.round((target - today) / (1000 * 60 * 60 * 24));
+}
+
+// Converts the UTC airstamp into the viewer's timezone (the profile's, or the
+// browser's). Without one, only the network-local airdate and airtime are known.
+function getViewerAirTime({ airdate, airtime, airstamp }, timeZone = null) {
+  const airedAt = airstamp ? new Date(airstamp) : null;
+  if (!airedAt || Number.isNaN(airedAt.getTime())) {
+    return { date: airdate || null, time: airtime || null, local: false };
+  }
+  return { ...getZonedParts(airedAt, timeZone), local: true };
+}
+
+function formatWatchedDate(watchedAt, timeZone = null) {
+  if (!watchedAt) return '';
+  const date = new Date(watchedAt);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString(undefined, {
+    timeZone: timeZone || undefined,
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
+function formatSyncTime(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+function buildSyncLabel(sync) {
+  if (!sync) return '';
+  const parts = [];
+  if (sync.failing) {
+    parts.push(`Last refresh failed: ${sync.lastError}`);
+  }
+  parts.push(
+    sync.lastSuccessAt
+      ? `Updated ${formatSyncTime(sync.lastSuccessAt)}`
+      : 'Not refreshed yet'
+  );
+  if (sync.nextSyncAt) {
+    parts.push(`Next sync ${formatSyncTime(sync.nextSyncAt)}`);
+  }
+  return parts.join(' · ');
+}
+
+// Days follow the profile's timezone so they match the server's from/to filter.
+function groupHistoryByDay(entries, timeZone = null) {
+  const groups = [];
+  entries.forEach((entry) => {
+    const day = getZonedParts(new Date(entry.watchedAt), timeZone).date;
+    const last = groups[groups.length - 1];
+    if (last && last.day === day) {
+      last.entries.push(entry);
+    } else {
+      groups.push({ day, entries: [entry] });
+    }
+  });
+  return groups;
 }
 
 function countWatchedEpisodes(episodes) {
@@ -72,12 +194,18 @@ function countWatchedEpisodes(episodes) {
 function updateSeasonFromEpisodes(season, episodes) {
   const watchedCount = countWatchedEpisodes(episodes);
   const totalCount = season.totalCount ?? episodes.length;
+  const released = episodes.filter(isEpisodeReleased);
+  const releasedCount = released.length;
+  const releasedWatched = released.every((episode) => episode.watched);
   return {
     ...season,
     episodes,
     watchedCount,
     totalCount,
-    watched: totalCount > 0 && watchedCount === totalCount,
+    releasedCount,
+    watched:
+      totalCount > 0 &&
+      (watchedCount === totalCount || (releasedCount > 0 && releasedWatched)),
   };
 }
 
@@ -91,7 +219,11 @@ function applyEpisodeToggle(detail, episodeId, watched) {
       if (episode.watched === watched) return episode;
       seasonUpdated = true;
       updated = true;
-      return { ...episode, watched };
+      const watchCount = Math.max(
+        0,
+        (episode.watchCount ?? 0) + (watched ? 1 : -1)
+      );
+      return { ...episode, watched, watchCount };
     });
     if (!seasonUpdated) return season;
     return updateSeasonFromEpisodes(season, episodes);
@@ -100,49 +232,107 @@ function applyEpisodeToggle(detail, episodeId, watched) {
   return { ...detail, seasons };
 }
 
+function toggleSeasonEpisodes(season, watched) {
+  const episodes = season.episodes.map((episode) => {
+    if (episode.watched === watched) return episode;
+    if (watched && !isEpisodeReleased(episode)) return episode;
+    return {
+      ...episode,
+      watched,
+      watchCount: Math.max(0, (episode.watchCount ?? 0) + (watched ? 1 : -1)),
+    };
+  });
+  return updateSeasonFromEpisodes(season, episodes);
+}
+
 function applySeasonToggle(detail, seasonNumber, watched) {
   if (!detail) return detail;
   let updated = false;
   const seasons = detail.seasons.map((season) => {
     if (season.season !== seasonNumber) return season;
     updated = true;
-    const episodes = season.episodes.map((episode) =>
-      episode.watched === watched ? episode : { ...episode, watched }
-    );
-    const totalCount = season.totalCount ?? episodes.length;
-    return {
-      ...season,
-      episodes,
-      watchedCount: watched ? totalCount : 0,
-      totalCount,
-      watched: watched && totalCount > 0,
-    };
+    return toggleSeasonEpisodes(season, watched);
+  });
+  if (!updated) return detail;
+  return { ...detail, seasons };
+}
+
+function getTrackedSeasons(detail) {
+  return (detail.seasons || []).filter(
+    (season) => !season.special || detail.show?.includeSpecials
+  );
+}
+
+function applyShowToggle(detail, watched) {
+  if (!detail) return detail;
+  const tracked = getTrackedSeasons(detail);
+  const seasons = detail.seasons.map((season) =>
+    tracked.includes(season) ? toggleSeasonEpisodes(season, watched) : season
+  );
+  return { ...detail, seasons };
+}
+
+function applyWatchUpTo(detail, episodeId) {
+  if (!detail) return detail;
+  const target = flattenEpisodes(detail.seasons).find(
+    (episode) => episode.id === episodeId
+  );
+  if (!target) return detail;
+  const isBeforeTarget = (episode) =>
+    episode.season > 0 &&
+    episode.number != null &&
+    (episode.season < target.season ||
+      (episode.season === target.season &&
+        target.number != null &&
+        episode.number < target.number));
+  let updated = false;
+  const seasons = detail.seasons.map((season) => {
+    let seasonUpdated = false;
+    const episodes = season.episodes.map((episode) => {
+      if (episode.watched) return episode;
+      const shouldMark =
+        episode.id === target.id ||
+        (isBeforeTarget(episode) && isEpisodeReleased(episode));
+      if (!shouldMark) return episode;
+      seasonUpdated = true;
+      updated = true;
+      return {
+        ...episode,
+        watched: true,
+        watchCount: (episode.watchCount ?? 0) + 1,
+      };
+    });
+    if (!seasonUpdated) return season;
+    return updateSeasonFromEpisodes(season, episodes);
   });
   if (!updated) return detail;
   return { ...detail, seasons };
 }
 
-function getTodayDate() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+function getTodayDate(timeZone = null) {
+  return getZonedParts(new Date(), timeZone).date;
 }
 
-function isReleased(airdate) {
+function isReleased(airdate, airstamp = null) {
+  if (airstamp) {
+    return Date.parse(airstamp) <= Date.now();
+  }
   if (!airdate) return false;
   return airdate <= getTodayDate();
 }
 
+// Show details carry `released`, resolved by the server with the profile's
+// timezone and release delay.
+function isEpisodeReleased(episode) {
+  return episode.released ?? isReleased(episode.airdate, episode.airstamp);
+}
+
 function flattenEpisodes(seasons) {
   return seasons.flatMap((season) => season.episodes || []);
 }
 
 function computeShowStats(show, episodes) {
-  const releasedEpisodes = episodes.filter((episode) =>
-    isReleased(episode.airdate)
-  );
+  const releasedEpisodes = episodes.filter(isEpisodeReleased);
   const releasedUnwatched = releasedEpisodes.filter(
     (episode) => !episode.watched
   );
@@ -155,9 +345,7 @@ function computeShowStats(show, episodes) {
       seasons.get(episode.season).push(episode);
     });
     for (const seasonEpisodes of seasons.values()) {
-      const seasonReleased = seasonEpisodes.filter((episode) =>
-        isReleased(episode.airdate)
-      );
+      const seasonReleased = seasonEpisodes.filter(isEpisodeReleased);
       if (seasonReleased.length === 0) continue;
       const watchedReleased = seasonReleased.filter(
         (episode) => episode.watched
@@ -172,42 +360,44 @@ function computeShowStats(show, episodes) {
   const started = watchedCount > 0;
   const hasReleased = releasedEpisodes.length > 0;
   const hasFuture = episodes.some(
-    (episode) => episode.airdate && !isReleased(episode.airdate)
+    (episode) => episode.airdate && !isEpisodeReleased(episode)
   );
   const isEnded = (show.status || '').toLowerCase() === 'ended';
   const allReleasedWatched = hasReleased && releasedUnwatched.length === 0;
   const allEpisodesWatched =
     episodes.length > 0 && episodes.every((episode) => episode.watched);
 
-  let state = 'queued';
-  if (show.profileStatus === 'stopped') {
-    state = 'stopped';
-  } else if (hasPartiallyWatchedSeason) {
-    state = 'watching';
+  let progressState = 'queued';
+  if (hasPartiallyWatchedSeason) {
+    progressState = 'watching';
   } else if (started && releasedUnwatched.length > 0) {
-    state = 'watch-next';
+    progressState = 'watch-next';
   } else if (!started && hasReleased) {
-    state = 'queued';
+    progressState = 'queued';
   } else if (started && allReleasedWatched && !isEnded) {
-    state = 'up-to-date';
+    progressState = 'up-to-date';
   } else if (isEnded && allEpisodesWatched) {
-    state = 'completed';
+    progressState = 'completed';
   } else if (!hasReleased) {
-    state = 'queued';
+    progressState = 'queued';
   } else {
-    state = 'up-to-date';
+    progressState = 'up-to-date';
   }
+  const state = PROFILE_STATUSES.includes(show.profileStatus)
+    ? show.profileStatus
+    : progressState;
 
   const nextUnwatched = releasedUnwatched
     .slice()
     .sort((a, b) => (a.airdate || '').localeCompare(b.airdate || ''))[0];
   const nextFuture = episodes
-    .filter((episode) => episode.airdate && !isReleased(episode.airdate))
+    .filter((episode) => episode.airdate && !isEpisodeReleased(episode))
     .slice()
     .sort((a, b) => (a.airdate || '').localeCompare(b.airdate || ''))[0];
 
   return {
     state,
+    progressState,
     stats: {
       totalEpisodes: episodes.length,
       watchedEpisodes: watchedCount,
@@ -220,6 +410,9 @@ function computeShowStats(show, episodes) {
 }
 
 function getCategoryId(state) {
+  if (state === 'favorite') return 'favorite';
+  if (state === 'planned') return 'planned';
+  if (state === 'paused') return 'paused';
   if (state === 'stopped') return 'stopped';
   if (state === 'watching') return 'watching';
   if (state === 'watch-next') return 'watch-next';
@@ -236,7 +429,7 @@ function insertShowSorted(shows, show) {
 
 function buildOptimisticShowDetail(detail) {
   if (!detail) return null;
-  const episodes = flattenEpisodes(detail.seasons || []);
+  const episodes = flattenEpisodes(getTrackedSeasons(detail));
   const computed = computeShowStats(detail.show, episodes);
   return {
     detail: {
@@ -244,6 +437,7 @@ function buildOptimisticShowDetail(detail) {
       show: {
         ...detail.show,
         state: computed.state,
+        progressState: computed.progressState,
       },
     },
     computed,
@@ -256,6 +450,7 @@ function updateCategoriesWithOptimisticShow(categories, detail, computed) {
   let existingShow = null;
 
   const strippedCategories = categories.map((category) => {
+    if (category.collection) return category;
     const filtered = category.shows.filter((show) => {
       if (show.id === showId) {
         existingShow = show;
@@ -274,12 +469,21 @@ function updateCategoriesWithOptimisticShow(categories, detail, computed) {
     profileStatus:
       detail.show.profileStatus ?? existingShow.profileStatus ?? null,
     state: computed.state,
+    progressState: computed.progressState,
     stats: computed.stats,
     nextEpisode: computed.nextEpisode,
   };
 
   const targetId = getCategoryId(computed.state);
   return strippedCategories.map((category) => {
+    if (category.collection) {
+      return {
+        ...category,
+        shows: category.shows.map((show) =>
+          show.id === showId ? updatedShow : show
+        ),
+      };
+    }
     if (category.id !== targetId) return category;
     return {
       ...category,
@@ -288,14 +492,29 @@ function updateCategoriesWithOptimisticShow(categories, detail, computed) {
   });
 }
 
-function AirdateBadge({ airdate, airtime, timezoneSuffix = '' }) {
-  if (!airdate) {
+// Times converted from the airstamp get the viewer's timezone suffix; network
+// local times are labelled with the network's timezone instead.
+function AirdateBadge({
+  airdate,
+  airtime,
+  airstamp,
+  timezone = null,
+  viewerTimeZone = null,
+  timezoneSuffix = '',
+}) {
+  const viewer = getViewerAirTime(
+    { airdate, airtime, airstamp },
+    viewerTimeZone
+  );
+  if (!viewer.date) {
     return <span className="badge badge--muted">TBD</span>;
   }
-  const dateLabel = airtime
-    ? `${airdate} · ${airtime}${timezoneSuffix}`
-    : airdate;
-  const remaining = daysUntil(airdate);
+  const suffix = viewer.local ? timezoneSuffix : timezone ? ` ${timezone}` : '';
+  const dateLabel =
+    airtime && viewer.time
+      ? `${viewer.date} · ${viewer.time}${suffix}`
+      : viewer.date;
+  const remaining = daysUntil(viewer.date, viewerTimeZone);
   if (remaining > 0) {
     const dayLabel = remaining === 1 ? 'day' : 'days';
     return (
@@ -323,10 +542,13 @@ function App() {
   const [activeProfile, setActiveProfile] = useState(null);
   const [userMenuOpen, setUserMenuOpen] = useState(false);
   const [categories, setCategories] = useState([]);
+  const [tags, setTags] = useState([]);
   const [showDetail, setShowDetail] = useState(null);
   const [calendar, setCalendar] = useState({ days: 45, episodes: [] });
   const [loadingCalendar, setLoadingCalendar] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [providers, setProviders] = useState([]);
+  const [searchProvider, setSearchProvider] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [searchError, setSearchError] = useState('');
   const [hasSearched, setHasSearched] = useState(false);
@@ -335,6 +557,8 @@ function App() {
   const [loadingShowDetail, setLoadingShowDetail] = useState(false);
   const [notice, setNotice] = useState('');
   const [importing, setImporting] = useState(false);
+  const [undoToast, setUndoToast] = useState(null);
+  const [undoTick, setUndoTick] = useState(0);
   const scrollRestoreRef = useRef(null);
   const [scrollRestoreTick, setScrollRestoreTick] = useState(0);
   const userMenuRef = useRef(null);
@@ -378,9 +602,26 @@ function App() {
     if (activeProfile) {
       loadShows();
       loadCalendar();
+      loadTags();
     }
   }, [activeProfile]);
 
+  useEffect(() => {
+    if (!auth.user) return;
+    apiFetch('/api/providers')
+      .then((data) => {
+        setProviders(data.providers || []);
+        setSearchProvider((current) => current || data.defaultProvider);
+      })
+      .catch(() => setProviders([]));
+  }, [auth.user]);
+
+  useEffect(() => {
+    if (!undoToast) return undefined;
+    const timeout = setTimeout(() => setUndoToast(null), UNDO_TOAST_MS);
+    return () => clearTimeout(timeout);
+  }, [undoToast]);
+
   useEffect(() => {
     if (!userMenuOpen) return;
     const handleClickOutside = (event) => {
@@ -449,6 +690,12 @@ function App() {
     }
   };
 
+  const loadTags = async () => {
+    if (!activeProfile) return;
+    const data = await apiFetch('/api/tags');
+    setTags(data.tags || []);
+  };
+
   const loadShowDetail = useCallback(async (showId, options = {}) => {
     if (!showId || Number.isNaN(showId)) return;
     const silent = Boolean(options.silent);
@@ -543,9 +790,9 @@ function App() {
     setHasSearched(true);
     setIsSearching(true);
     try {
-      const data = await apiFetch(
-        `/api/tvmaze/search?q=${encodeURIComponent(searchQuery)}`
-      );
+      const params = new URLSearchParams({ q: searchQuery });
+      if (searchProvider) params.set('provider', searchProvider);
+      const data = await apiFetch(`/api/tvmaze/search?${params.toString()}`);
       setSearchResults(data.results || []);
     } catch (error) {
       setSearchError(error.message);
@@ -554,10 +801,17 @@ function App() {
     }
   };
 
+  const handleSearchProvider = (value) => {
+    setSearchProvider(value);
+    setSearchResults([]);
+    setHasSearched(false);
+  };
+
   const handleAddShow = async (tvmazeId) => {
+    const result = searchResults.find((item) => item.id === tvmazeId);
     await apiFetch('/api/shows', {
       method: 'POST',
-      body: JSON.stringify({ tvmazeId }),
+      body: JSON.stringify({ tvmazeId, provider: result?.provider }),
     });
     setSearchResults((prev) =>
       prev.map((result) =>
@@ -569,18 +823,153 @@ function App() {
     await loadShows();
   };
 
+  const getShowName = (showId) =>
+    (showDetail?.show?.id === showId ? showDetail.show.name : null) ||
+    categories
+      .flatMap((category) => category.shows)
+      .find((show) => show.id === showId)?.name ||
+    'show';
+
   const handleShowStatus = async (showId, status) => {
     await apiFetch(`/api/shows/${showId}/status`, {
       method: 'POST',
       body: JSON.stringify({ status }),
     });
+    setUndoToast({ label: `Changed status of ${getShowName(showId)}` });
+    await loadShowDetail(showId, { silent: true });
+    await loadShows();
+    await loadCalendar();
+  };
+
+  const handleShowRewatch = async (showId, rewatching) => {
+    await apiFetch(`/api/shows/${showId}/rewatch`, {
+      method: 'POST',
+      body: JSON.stringify({ rewatching }),
+    });
+    setUndoToast({
+      label: `${rewatching ? 'Started' : 'Stopped'} rewatching ${getShowName(showId)}`,
+    });
     await loadShowDetail(showId, { silent: true });
     await loadShows();
     await loadCalendar();
   };
 
+  const handleShowRating = async (showId, rating) => {
+    await apiFetch(`/api/shows/${showId}/rating`, {
+      method: 'POST',
+      body: JSON.stringify({ rating }),
+    });
+    await loadShowDetail(showId, { silent: true });
+    await loadShows();
+  };
+
+  const handleEpisodeRating = async (episodeId, rating) => {
+    await apiFetch(`/api/episodes/${episodeId}/rating`, {
+      method: 'POST',
+      body: JSON.stringify({ rating }),
+    });
+    if (showDetail?.show?.id) {
+      await loadShowDetail(showDetail.show.id, { silent: true });
+    }
+  };
+
+  const reloadAfterNoteChange = async () => {
+    if (showDetail?.show?.id) {
+      await loadShowDetail(showDetail.show.id, { silent: true });
+    }
+    await loadShows();
+  };
+
+  const handleNoteCreate = async (kind, targetId, body) => {
+    await apiFetch(`/api/${kind}s/${targetId}/notes`, {
+      method: 'POST',
+      body: JSON.stringify({ body }),
+    });
+    await reloadAfterNoteChange();
+  };
+
+  const handleNoteUpdate = async (kind, targetId, noteId, body) => {
+    await apiFetch(`/api/${kind}s/${targetId}/notes/${noteId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ body }),
+    });
+    await reloadAfterNoteChange();
+  };
+
+  const handleNoteDelete = async (kind, targetId, noteId) => {
+    await apiFetch(`/api/${kind}s/${targetId}/notes/${noteId}`, {
+      method: 'DELETE',
+    });
+    await reloadAfterNoteChange();
+  };
+
+  const handleShowTags = async (showId, tagIds) => {
+    await apiFetch(`/api/shows/${showId}/tags`, {
+      method: 'PUT',
+      body: JSON.stringify({ tagIds }),
+    });
+    await loadShowDetail(showId, { silent: true });
+    await loadShows();
+    await loadTags();
+  };
+
+  const handleTagCreate = async (name, isCollection = false) => {
+    const data = await apiFetch('/api/tags', {
+      method: 'POST',
+      body: JSON.stringify({ name, isCollection }),
+    });
+    await loadTags();
+    await loadShows();
+    return data.tag;
+  };
+
+  const handleTagUpdate = async (tagId, changes) => {
+    await apiFetch(`/api/tags/${tagId}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes),
+    });
+    await loadTags();
+    await loadShows();
+  };
+
+  const handleTagDelete = async (tagId) => {
+    await apiFetch(`/api/tags/${tagId}`, { method: 'DELETE' });
+    await loadTags();
+    await loadShows();
+  };
+
+  const handleShowSpecials = async (showId, includeSpecials) => {
+    await apiFetch(`/api/shows/${showId}/specials`, {
+      method: 'POST',
+      body: JSON.stringify({ includeSpecials }),
+    });
+    await loadShowDetail(showId, { silent: true });
+    await loadShows();
+  };
+
+  const handleShowRefresh = async (showId) => {
+    try {
+      await apiFetch(`/api/shows/${showId}/refresh`, { method: 'POST' });
+    } catch (error) {
+      setUndoToast({ label: error.message, canUndo: false });
+    }
+    await loadShowDetail(showId, { silent: true });
+    await loadShows();
+  };
+
+  const handleProfileSettings = async (settings) => {
+    await apiFetch('/api/profiles/settings', {
+      method: 'POST',
+      body: JSON.stringify(settings),
+    });
+    await loadProfiles(auth.profileId);
+    await loadShows();
+  };
+
   const handleShowRemove = async (showId) => {
+    const showName = getShowName(showId);
     await apiFetch(`/api/shows/${showId}`, { method: 'DELETE' });
+    setUndoToast({ label: `Removed ${showName}` });
     if (showDetail?.show?.id === showId) {
       setShowDetail(null);
     }
@@ -604,7 +993,7 @@ function App() {
     }
   };
 
-  const toggleEpisode = async (episodeId, watched) => {
+  const toggleEpisode = async (episodeId, watched, options = {}) => {
     const previousDetail = showDetail;
     const previousCategories = categories;
     const showId = previousDetail?.show?.id;
@@ -626,8 +1015,13 @@ function App() {
       try {
         await apiFetch(`/api/episodes/${episodeId}/watch`, {
           method: 'POST',
-          body: JSON.stringify({ watched }),
+          body: JSON.stringify({ watched, watchedAt: options.watchedAt }),
         });
+        if (!watched || options.watchedAt) {
+          setUndoToast({
+            label: watched ? 'Updated watch date' : 'Marked episode unwatched',
+          });
+        }
         if (showId) {
           await loadShowDetail(showId, { silent: true });
         }
@@ -640,6 +1034,40 @@ function App() {
     });
   };
 
+  const watchUpTo = async (episodeId) => {
+    if (!showDetail?.show?.id) return;
+    const previousDetail = showDetail;
+    const previousCategories = categories;
+    const showId = previousDetail.show.id;
+    const optimisticDetail = applyWatchUpTo(previousDetail, episodeId);
+    const optimisticPayload = buildOptimisticShowDetail(optimisticDetail);
+    if (optimisticPayload) {
+      setShowDetail(optimisticPayload.detail);
+      setCategories((prev) =>
+        updateCategoriesWithOptimisticShow(
+          prev,
+          optimisticPayload.detail,
+          optimisticPayload.computed
+        )
+      );
+    }
+    await preserveScroll(async () => {
+      try {
+        await apiFetch(`/api/episodes/${episodeId}/watch-up-to`, {
+          method: 'POST',
+          body: JSON.stringify({}),
+        });
+        setUndoToast({ label: 'Marked earlier episodes watched' });
+        await loadShowDetail(showId, { silent: true });
+        await loadShows();
+      } catch (error) {
+        setShowDetail(previousDetail);
+        setCategories(previousCategories);
+        throw error;
+      }
+    });
+  };
+
   const toggleSeason = async (seasonNumber, watched) => {
     if (!showDetail?.show?.id) return;
     const previousDetail = showDetail;
@@ -666,6 +1094,49 @@ function App() {
             body: JSON.stringify({ watched }),
           }
         );
+        setUndoToast({
+          label: `Marked ${
+            seasonNumber === 0 ? 'specials' : `season ${seasonNumber}`
+          } ${watched ? 'watched' : 'unwatched'}`,
+        });
+        await loadShowDetail(showId, { silent: true });
+        await loadShows();
+      } catch (error) {
+        setShowDetail(previousDetail);
+        setCategories(previousCategories);
+        throw error;
+      }
+    });
+  };
+
+  const toggleShow = async (watched) => {
+    if (!showDetail?.show?.id) return;
+    const previousDetail = showDetail;
+    const previousCategories = categories;
+    const showId = previousDetail.show.id;
+    const optimisticDetail = applyShowToggle(previousDetail, watched);
+    const optimisticPayload = buildOptimisticShowDetail(optimisticDetail);
+    if (optimisticPayload) {
+      setShowDetail(optimisticPayload.detail);
+      setCategories((prev) =>
+        updateCategoriesWithOptimisticShow(
+          prev,
+          optimisticPayload.detail,
+          optimisticPayload.computed
+        )
+      );
+    }
+    await preserveScroll(async () => {
+      try {
+        await apiFetch(`/api/shows/${showId}/watch`, {
+          method: 'POST',
+          body: JSON.stringify({ watched }),
+        });
+        setUndoToast({
+          label: `Marked ${previousDetail.show.name} ${
+            watched ? 'watched' : 'unwatched'
+          }`,
+        });
         await loadShowDetail(showId, { silent: true });
         await loadShows();
       } catch (error) {
@@ -676,6 +1147,38 @@ function App() {
     });
   };
 
+  const handleHistoryUnwatch = async (entryId) => {
+    await apiFetch(`/api/history/${entryId}`, { method: 'DELETE' });
+    setUndoToast({ label: 'Marked episode unwatched' });
+    await loadShows();
+    await loadCalendar();
+  };
+
+  const handleTrashRestore = async () => {
+    await loadShows();
+    await loadCalendar();
+    await loadTags();
+  };
+
+  const handleUndo = async () => {
+    setUndoToast(null);
+    try {
+      await apiFetch('/api/undo', {
+        method: 'POST',
+        body: JSON.stringify({ count: 1 }),
+      });
+    } catch (error) {
+      setUndoToast({ label: `Undo failed: ${error.message}`, canUndo: false });
+      return;
+    }
+    setUndoTick((prev) => prev + 1);
+    if (showDetail?.show?.id) {
+      await loadShowDetail(showDetail.show.id, { silent: true });
+    }
+    await loadShows();
+    await loadCalendar();
+  };
+
   const handleExport = async () => {
     const data = await apiFetch('/api/export');
     const blob = new Blob([JSON.stringify(data, null, 2)], {
@@ -783,6 +1286,18 @@ function App() {
           >
             Calendar
           </NavLink>
+          <NavLink
+            to="/history"
+            className={({ isActive }) => (isActive ? 'tab tab--active' : 'tab')}
+          >
+            History
+          </NavLink>
+          <NavLink
+            to="/stats"
+            className={({ isActive }) => (isActive ? 'tab tab--active' : 'tab')}
+          >
+            Stats
+          </NavLink>
           <NavLink
             to="/add"
             className={({ isActive }) =>
@@ -963,6 +1478,7 @@ function App() {
             element={
               <ShowsPage
                 categories={categories}
+                tags={tags}
                 loadingShows={loadingShows}
               />
             }
@@ -977,6 +1493,9 @@ function App() {
                 hasSearched={hasSearched}
                 isSearching={isSearching}
                 onSearchQuery={handleSearchQuery}
+                providers={providers}
+                searchProvider={searchProvider}
+                onSearchProvider={handleSearchProvider}
                 onSearch={handleSearch}
                 onAddShow={handleAddShow}
               />
@@ -990,8 +1509,22 @@ function App() {
                 loading={loadingShowDetail}
                 onLoadShowDetail={loadShowDetail}
                 onToggleEpisode={toggleEpisode}
+                onWatchUpTo={watchUpTo}
                 onToggleSeason={toggleSeason}
+                onToggleShow={toggleShow}
                 onUpdateShowStatus={handleShowStatus}
+                onUpdateRewatch={handleShowRewatch}
+                onUpdateSpecials={handleShowSpecials}
+                onRefreshShow={handleShowRefresh}
+                timeZone={activeProfile?.timezone}
+                onRateShow={handleShowRating}
+                onRateEpisode={handleEpisodeRating}
+                onCreateNote={handleNoteCreate}
+                onUpdateNote={handleNoteUpdate}
+                onDeleteNote={handleNoteDelete}
+                tags={tags}
+                onUpdateShowTags={handleShowTags}
+                onCreateTag={handleTagCreate}
                 onRemoveShow={handleShowRemove}
               />
             }
@@ -1002,6 +1535,7 @@ function App() {
               <CalendarPage
                 calendar={calendar}
                 loading={loadingCalendar}
+                timeZone={activeProfile?.timezone}
                 onShowSelect={(showId) =>
                   navigate(`/shows/${showId}`, { state: { from: 'calendar' } })
                 }
@@ -1009,17 +1543,65 @@ function App() {
             }
           />
           <Route
-            path="/settings"
+            path="/history"
             element={
-              <SettingsPage
-                profiles={profiles}
-                activeProfile={activeProfile}
-                notice={notice}
-                isImporting={importing}
-                appVersion={APP_VERSION}
-                onProfileSelect={handleProfileSelect}
-                onProfileCreate={handleProfileCreate}
+              <HistoryPage
+                key={activeProfile?.id}
+                categories={categories}
+                timeZone={activeProfile?.timezone}
+                refreshToken={undoTick}
+                onUnwatch={handleHistoryUnwatch}
+                onShowSelect={(showId) =>
+                  navigate(`/shows/${showId}`, { state: { from: 'history' } })
+                }
+              />
+            }
+          />
+          <Route
+            path="/stats"
+            element={
+              <StatsPage
+                key={activeProfile?.id}
+                onShowSelect={(showId) => navigate(`/shows/${showId}`)}
+              />
+            }
+          />
+          <Route
+            path="/reports/year/:year"
+            element={
+              <YearReportPage
+                key={activeProfile?.id}
+                onShowSelect={(showId) => navigate(`/shows/${showId}`)}
+              />
+            }
+          />
+          <Route
+            path="/people/:id"
+            element={
+              <PersonPage
+                key={activeProfile?.id}
+                onShowSelect={(showId) => navigate(`/shows/${showId}`)}
+              />
+            }
+          />
+          <Route
+            path="/settings"
+            element={
+              <SettingsPage
+                profiles={profiles}
+                activeProfile={activeProfile}
+                notice={notice}
+                isImporting={importing}
+                appVersion={APP_VERSION}
+                onProfileSelect={handleProfileSelect}
+                onProfileCreate={handleProfileCreate}
                 onProfileDelete={handleProfileDelete}
+                onUpdateSettings={handleProfileSettings}
+                tags={tags}
+                onCreateTag={handleTagCreate}
+                onUpdateTag={handleTagUpdate}
+                onDeleteTag={handleTagDelete}
+                onTrashRestore={handleTrashRestore}
                 onExport={handleExport}
                 onImport={handleImport}
               />
@@ -1028,23 +1610,78 @@ function App() {
           <Route path="*" element={<Navigate to="/shows" replace />} />
         </Routes>
       </main>
+      {undoToast && (
+        <div className="undo-toast" role="status">
+          <span>{undoToast.label}</span>
+          {undoToast.canUndo !== false && (
+            <button className="outline" type="button" onClick={handleUndo}>
+              Undo
+            </button>
+          )}
+          <button
+            className="text-button"
+            type="button"
+            aria-label="Dismiss"
+            onClick={() => setUndoToast(null)}
+          >
+            ✕
+          </button>
+        </div>
+      )}
     </div>
   );
 }
 
+function getShowNetwork(show) {
+  return show.network || show.webChannel || null;
+}
+
+// Distinct values across the library, most common first.
+function countShowValues(categories, getValues) {
+  const counts = new Map();
+  const seen = new Set();
+  categories.forEach((category) => {
+    category.shows.forEach((show) => {
+      if (seen.has(show.id)) return;
+      seen.add(show.id);
+      getValues(show).forEach((value) => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+  });
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([value]) => value);
+}
+
 function ShowsPage({
   categories,
+  tags = [],
   loadingShows,
 }) {
   const navigate = useNavigate();
   const location = useLocation();
   const showsViewState = location.state?.showsView;
   const [searchTerm, setSearchTerm] = useState(() => showsViewState?.searchTerm ?? '');
+  const [sortBy, setSortBy] = useState(() => showsViewState?.sortBy ?? 'name');
+  const [tagFilter, setTagFilter] = useState(
+    () => showsViewState?.tagFilter ?? ''
+  );
+  const [genreFilter, setGenreFilter] = useState(
+    () => showsViewState?.genreFilter ?? ''
+  );
+  const [networkFilter, setNetworkFilter] = useState(
+    () => showsViewState?.networkFilter ?? ''
+  );
+  const [dayFilter, setDayFilter] = useState(
+    () => showsViewState?.dayFilter ?? ''
+  );
   const [collapsedCategories, setCollapsedCategories] = useState(
     () =>
       showsViewState?.collapsedCategories ?? {
         'up-to-date': true,
         completed: true,
+        paused: true,
         stopped: true,
       }
   );
@@ -1057,7 +1694,7 @@ function ShowsPage({
   }, [showsViewState?.scrollY]);
 
   const toggleCategory = (categoryId) => {
-    if (searchTerm.trim()) {
+    if (isFiltering) {
       return;
     }
     setCollapsedCategories((prev) => ({
@@ -1067,16 +1704,89 @@ function ShowsPage({
   };
 
   const normalizedSearch = searchTerm.trim().toLowerCase();
-  const filteredCategories = normalizedSearch
+  const [noteMatches, setNoteMatches] = useState(() => new Map());
+
+  useEffect(() => {
+    if (!normalizedSearch) {
+      setNoteMatches(new Map());
+      return undefined;
+    }
+    let cancelled = false;
+    const timeout = setTimeout(() => {
+      apiFetch(`/api/notes/search?q=${encodeURIComponent(normalizedSearch)}`)
+        .then((data) => {
+          if (cancelled) return;
+          setNoteMatches(
+            new Map(data.matches.map((match) => [match.showId, match.body]))
+          );
+        })
+        .catch(() => {
+          if (!cancelled) setNoteMatches(new Map());
+        });
+    }, NOTE_SEARCH_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [normalizedSearch]);
+
+  const findMatchingNote = (show) => noteMatches.get(show.id);
+  const selectedTagId = Number(tagFilter) || null;
+  const isFiltering = Boolean(
+    normalizedSearch || selectedTagId || genreFilter || networkFilter || dayFilter
+  );
+  const matchesFilters = (show) =>
+    (!normalizedSearch ||
+      show.name.toLowerCase().includes(normalizedSearch) ||
+      findMatchingNote(show)) &&
+    (!selectedTagId || (show.tags || []).some((tag) => tag.id === selectedTagId)) &&
+    (!genreFilter || (show.genres || []).includes(genreFilter)) &&
+    (!networkFilter || getShowNetwork(show) === networkFilter) &&
+    (!dayFilter || (show.scheduleDays || []).includes(dayFilter));
+  const genres = countShowValues(categories, (show) => show.genres || []);
+  const networks = countShowValues(categories, (show) =>
+    getShowNetwork(show) ? [getShowNetwork(show)] : []
+  );
+  const scheduledDays = new Set(
+    countShowValues(categories, (show) => show.scheduleDays || [])
+  );
+  const filterGroups = [
+    {
+      label: 'Genre',
+      value: genreFilter,
+      onChange: setGenreFilter,
+      options: genres.map((genre) => [genre, genre]),
+    },
+    {
+      label: 'Network',
+      value: networkFilter,
+      onChange: setNetworkFilter,
+      options: networks.map((network) => [network, network]),
+    },
+    {
+      label: 'Airs on',
+      value: dayFilter,
+      onChange: setDayFilter,
+      options: SCHEDULE_DAYS.filter(([day]) => scheduledDays.has(day)),
+    },
+  ].filter((group) => group.options.length > 0);
+  const searchedCategories = isFiltering
     ? categories
         .map((category) => ({
           ...category,
-          shows: category.shows.filter((show) =>
-            show.name.toLowerCase().includes(normalizedSearch)
-          ),
+          shows: category.shows.filter(matchesFilters),
         }))
         .filter((category) => category.shows.length > 0)
     : categories;
+  const sortShows = SHOW_SORTERS[sortBy];
+  const filteredCategories = sortShows
+    ? searchedCategories.map((category) => ({
+        ...category,
+        shows: category.shows
+          .slice()
+          .sort((a, b) => sortShows(a, b) || a.name.localeCompare(b.name)),
+      }))
+    : searchedCategories;
 
   return (
     <section className="panel shows-panel">
@@ -1114,12 +1824,63 @@ function ShowsPage({
           </svg>
           <input
             type="search"
-            placeholder="Search your shows..."
+            placeholder="Search your shows and notes..."
             value={searchTerm}
             onChange={(event) => setSearchTerm(event.target.value)}
           />
         </div>
+        <select
+          className="sort-select"
+          aria-label="Sort shows"
+          value={sortBy}
+          onChange={(event) => setSortBy(event.target.value)}
+        >
+          <option value="name">Sort by name</option>
+          <option value="rating">Sort by my rating</option>
+          <option value="provider-rating">Sort by audience rating</option>
+          <option value="premiered">Sort by newest</option>
+          <option value="runtime">Sort by episode length</option>
+        </select>
+        {tags.length > 0 && (
+          <select
+            className="sort-select"
+            aria-label="Filter by tag"
+            value={tagFilter}
+            onChange={(event) => setTagFilter(event.target.value)}
+          >
+            <option value="">All tags</option>
+            {tags.map((tag) => (
+              <option key={tag.id} value={tag.id}>
+                #{tag.name}
+              </option>
+            ))}
+          </select>
+        )}
       </div>
+      {filterGroups.length > 0 && (
+        <div className="show-filters">
+          {filterGroups.map((group) => (
+            <div key={group.label} className="tag-chips">
+              <span className="show-filters__label">{group.label}</span>
+              {group.options.map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  className={`tag-chip ${
+                    group.value === value ? 'tag-chip--active' : ''
+                  }`}
+                  aria-pressed={group.value === value}
+                  onClick={() =>
+                    group.onChange(group.value === value ? '' : value)
+                  }
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
         {loadingShows ? (
           <div className="empty-state empty-state--loading" aria-hidden="true" />
         ) : (
@@ -1131,7 +1892,7 @@ function ShowsPage({
               <button
                 type="button"
                 className="category__header"
-                aria-expanded={normalizedSearch ? true : !collapsedCategories[category.id]}
+                aria-expanded={isFiltering ? true : !collapsedCategories[category.id]}
                 aria-controls={`category-${category.id}`}
                 onClick={() => toggleCategory(category.id)}
               >
@@ -1155,12 +1916,12 @@ function ShowsPage({
               <div
                 id={`category-${category.id}`}
                 className={`category__body ${
-                  normalizedSearch || !collapsedCategories[category.id]
+                  isFiltering || !collapsedCategories[category.id]
                     ? 'category__body--open'
                     : 'category__body--closed'
                 }`}
                 aria-hidden={
-                  normalizedSearch ? false : collapsedCategories[category.id]
+                  isFiltering ? false : collapsedCategories[category.id]
                 }
               >
                 {category.shows.length === 0 ? (
@@ -1178,6 +1939,11 @@ function ShowsPage({
                               from: 'shows',
                               showsView: {
                                 searchTerm,
+                                sortBy,
+                                tagFilter,
+                                genreFilter,
+                                networkFilter,
+                                dayFilter,
                                 collapsedCategories,
                                 scrollY: window.scrollY,
                               },
@@ -1187,7 +1953,10 @@ function ShowsPage({
                       >
                         <div className="show-card__art">
                           {show.image ? (
-                            <img src={show.image} alt={show.name} />
+                            <img
+                              src={getImageUrl(show.image, 'poster')}
+                              alt={show.name}
+                            />
                           ) : (
                             <div className="image-fallback" />
                           )}
@@ -1199,6 +1968,22 @@ function ShowsPage({
                             </span>
                             <h3>{show.name}</h3>
                           </div>
+                          {show.tags?.length > 0 && (
+                            <div className="tag-chips">
+                              {show.tags.map((tag) => (
+                                <span key={tag.id} className="tag-chip">
+                                  #{tag.name}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                          {normalizedSearch &&
+                            !show.name.toLowerCase().includes(normalizedSearch) &&
+                            findMatchingNote(show) && (
+                              <p className="show-card__note muted">
+                                Note: {findMatchingNote(show)}
+                              </p>
+                            )}
                           {show.nextEpisode && (
                             <div className="show-card__meta">
                               <span>
@@ -1214,6 +1999,11 @@ function ShowsPage({
                               Watched {show.stats.watchedEpisodes}/
                               {show.stats.totalEpisodes}
                             </span>
+                            {show.rating && (
+                              <span className="show-card__rating">
+                                ★ {formatRating(show.rating)}
+                              </span>
+                            )}
                             {show.stats.releasedUnwatched > 0 && (
                               <span className="highlight">
                                 {show.stats.releasedUnwatched}{' '}
@@ -1233,7 +2023,7 @@ function ShowsPage({
             </div>
           ))
         )}
-      {normalizedSearch && !loadingShows && filteredCategories.length === 0 && (
+      {isFiltering && !loadingShows && filteredCategories.length === 0 && (
         <div className="empty-state">No shows match your search.</div>
       )}
     </section>
@@ -1247,6 +2037,9 @@ function AddShowPage({
   hasSearched,
   isSearching,
   onSearchQuery,
+  providers = [],
+  searchProvider,
+  onSearchProvider,
   onSearch,
   onAddShow,
 }) {
@@ -1315,6 +2108,9 @@ function AddShowPage({
     };
   }, []);
 
+  const providerLabel =
+    providers.find((provider) => provider.id === searchProvider)?.label || 'TVmaze';
+
   const handleAddClick = async (id) => {
     if (addingIds[id]) return;
     pendingAnimationRef.current.add(id);
@@ -1340,7 +2136,9 @@ function AddShowPage({
       <div className="panel__header">
         <div>
           <h2>Add Shows</h2>
-          <p className="muted">Search TVmaze and add a show to your queue.</p>
+          <p className="muted">
+            Search {providerLabel} by name or IMDb ID and add a show to your queue.
+          </p>
         </div>
         <form
           className="search-bar"
@@ -1356,6 +2154,20 @@ function AddShowPage({
             value={searchQuery}
             onChange={(event) => onSearchQuery(event.target.value)}
           />
+          {providers.length > 1 && (
+            <select
+              className="sort-select"
+              aria-label="Metadata provider"
+              value={searchProvider}
+              onChange={(event) => onSearchProvider(event.target.value)}
+            >
+              {providers.map((provider) => (
+                <option key={provider.id} value={provider.id}>
+                  {provider.label}
+                </option>
+              ))}
+            </select>
+          )}
           <button className="primary primary--with-icon" type="submit">
             <svg
               className="button-icon"
@@ -1422,7 +2234,10 @@ function AddShowPage({
             return (
               <div key={result.id} className="search-card">
                 {result.image ? (
-                  <img src={result.image} alt={result.name} />
+                  <img
+                    src={getImageUrl(result.image, 'poster')}
+                    alt={result.name}
+                  />
                 ) : (
                   <div className="image-fallback" />
                 )}
@@ -1505,19 +2320,33 @@ function ShowDetailPage({
   loading,
   onLoadShowDetail,
   onToggleEpisode,
+  onWatchUpTo,
   onToggleSeason,
+  onToggleShow,
   onUpdateShowStatus,
+  onUpdateRewatch,
+  onUpdateSpecials,
+  onRefreshShow,
+  timeZone,
+  onRateShow,
+  onRateEpisode,
+  onCreateNote,
+  onUpdateNote,
+  onDeleteNote,
+  tags,
+  onUpdateShowTags,
+  onCreateTag,
   onRemoveShow,
 }) {
   const navigate = useNavigate();
   const location = useLocation();
   const params = useParams();
   const showId = Number(params.id);
-  const isFromCalendar = location.state?.from === 'calendar';
+  const backPage = location.state?.from;
 
   const navigateBack = () => {
-    if (isFromCalendar) {
-      navigate('/calendar');
+    if (backPage === 'calendar' || backPage === 'history') {
+      navigate(`/${backPage}`);
       return;
     }
 
@@ -1568,19 +2397,47 @@ function ShowDetailPage({
     <ShowDetailView
       show={showDetail.show}
       seasons={showDetail.seasons}
+      notes={showDetail.notes}
+      cast={showDetail.cast}
+      crew={showDetail.crew}
       loading={loading}
       onBack={navigateBack}
+      onPersonSelect={(personId) =>
+        navigate(`/people/${personId}`, { state: { fromShowId: showId } })
+      }
       onToggleEpisode={onToggleEpisode}
+      onWatchUpTo={onWatchUpTo}
       onToggleSeason={onToggleSeason}
+      onToggleShow={onToggleShow}
       onUpdateShowStatus={onUpdateShowStatus}
+      onUpdateRewatch={onUpdateRewatch}
+      onUpdateSpecials={onUpdateSpecials}
+      onRefreshShow={onRefreshShow}
+      timeZone={timeZone}
+      onRateShow={onRateShow}
+      onRateEpisode={onRateEpisode}
+      onCreateNote={onCreateNote}
+      onUpdateNote={onUpdateNote}
+      onDeleteNote={onDeleteNote}
+      tags={tags}
+      onUpdateShowTags={onUpdateShowTags}
+      onCreateTag={onCreateTag}
       onRemoveShow={onRemoveShow}
     />
   );
 }
 
-function CalendarPage({ calendar, loading, onShowSelect }) {
-  const timezoneLabel = getLocalTimezoneLabel();
+function CalendarPage({ calendar, loading, timeZone = null, onShowSelect }) {
+  const timezoneLabel = getLocalTimezoneLabel(timeZone);
   const timezoneSuffix = timezoneLabel ? ` ${timezoneLabel}` : '';
+  // The server window starts a day early; drop what was released before today
+  // here. Episodes still inside the profile's release delay stay listed.
+  const today = getTodayDate(timeZone);
+  const episodes = calendar.episodes.filter(
+    (episode) =>
+      episode.released === false ||
+      (getViewerAirTime(episode, timeZone).date || today) >= today
+  );
 
   return (
     <section className="panel">
@@ -1592,11 +2449,11 @@ function CalendarPage({ calendar, loading, onShowSelect }) {
       </div>
       {loading ? (
         <div className="empty-state empty-state--loading" aria-hidden="true" />
-      ) : calendar.episodes.length === 0 ? (
+      ) : episodes.length === 0 ? (
         <div className="empty-state">No upcoming episodes found.</div>
       ) : (
         <div className="calendar-list">
-          {calendar.episodes.map((episode) => {
+          {episodes.map((episode) => {
             const showId = episode.showId ?? episode.show_id;
             const canNavigate = Number.isFinite(showId);
             return (
@@ -1613,7 +2470,10 @@ function CalendarPage({ calendar, loading, onShowSelect }) {
             >
               <div className="calendar-card__image">
                 {episode.showImage ? (
-                  <img src={episode.showImage} alt={episode.showName} />
+                  <img
+                    src={getImageUrl(episode.showImage, 'thumb')}
+                    alt={episode.showName}
+                  />
                 ) : (
                   <div className="image-fallback" />
                 )}
@@ -1623,6 +2483,9 @@ function CalendarPage({ calendar, loading, onShowSelect }) {
                   <AirdateBadge
                     airdate={episode.airdate}
                     airtime={episode.airtime}
+                    airstamp={episode.airstamp}
+                    timezone={episode.timezone}
+                    viewerTimeZone={timeZone}
                     timezoneSuffix={timezoneSuffix}
                   />
                   {episode.showState && (
@@ -1654,148 +2517,787 @@ function CalendarPage({ calendar, loading, onShowSelect }) {
   );
 }
 
-function SettingsPage({
-  profiles,
-  activeProfile,
-  notice,
-  isImporting,
-  appVersion,
-  onProfileSelect,
-  onProfileCreate,
-  onProfileDelete,
-  onExport,
-  onImport,
+function HistoryPage({
+  categories,
+  timeZone,
+  refreshToken,
+  onUnwatch,
+  onShowSelect,
 }) {
-  const [pendingDeleteId, setPendingDeleteId] = useState(null);
-  const [deleteError, setDeleteError] = useState('');
+  const [filters, setFilters] = useState({ from: '', to: '', showId: '' });
+  const [history, setHistory] = useState({ entries: [], total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [pendingIds, setPendingIds] = useState({});
+  const [error, setError] = useState('');
 
-  const handleDeleteRequest = (profileId) => {
-    setDeleteError('');
-    setPendingDeleteId(profileId);
-  };
+  const showOptions = Array.from(
+    new Map(
+      categories.flatMap((category) => category.shows).map((show) => [show.id, show])
+    ).values()
+  ).sort((a, b) => a.name.localeCompare(b.name));
 
-  const handleDeleteCancel = () => {
-    setPendingDeleteId(null);
-  };
+  const fetchHistory = useCallback(
+    async (offset) => {
+      const params = new URLSearchParams({ offset: String(offset) });
+      if (filters.from) params.set('from', filters.from);
+      if (filters.to) params.set('to', filters.to);
+      if (filters.showId) params.set('showId', filters.showId);
+      return apiFetch(`/api/history?${params.toString()}`);
+    },
+    // refreshToken changes after an undo so restored entries show up again.
+    [filters, refreshToken]
+  );
 
-  const handleDeleteConfirm = async (profile) => {
-    setDeleteError('');
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    fetchHistory(0)
+      .then((data) => {
+        if (!cancelled) setHistory(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchHistory]);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    setError('');
     try {
-      await onProfileDelete(profile);
-      setPendingDeleteId(null);
-    } catch (error) {
-      setDeleteError(error.message);
+      const data = await fetchHistory(history.entries.length);
+      setHistory((prev) => ({
+        ...data,
+        entries: [...prev.entries, ...data.entries],
+      }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoadingMore(false);
     }
   };
 
-  const handleSelect = (profileId) => {
-    setPendingDeleteId(null);
-    onProfileSelect(profileId, { stayOnPage: true });
+  const handleUnwatch = async (entry) => {
+    setPendingIds((prev) => ({ ...prev, [entry.id]: true }));
+    setError('');
+    try {
+      await onUnwatch(entry.id);
+      setHistory((prev) => ({
+        ...prev,
+        total: prev.total - 1,
+        entries: prev.entries.filter((item) => item.id !== entry.id),
+      }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPendingIds((prev) => {
+        const next = { ...prev };
+        delete next[entry.id];
+        return next;
+      });
+    }
   };
 
+  const updateFilter = (key, value) =>
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  const groups = groupHistoryByDay(history.entries, timeZone);
+
   return (
     <section className="panel">
       <div className="panel__header">
         <div>
-          <h2>Settings</h2>
-          <p className="muted">Manage profiles, exports, and account access.</p>
-          <p className="muted settings-version">Version {appVersion}</p>
+          <h2>Watch History</h2>
+          <p className="muted">
+            {loading
+              ? 'Everything you have watched, newest first.'
+              : `${history.total} watched ${
+                  history.total === 1 ? 'episode' : 'episodes'
+                }, newest first.`}
+          </p>
         </div>
       </div>
-      <div className="settings-grid">
-        <div className="settings-card settings-card--profiles">
-          <div className="settings-card__header">
-            <h3>Profiles</h3>
-          </div>
-          <div className="settings-card__body">
-            <p className="muted">Switch or add a profile for another viewer.</p>
-            <div className="settings-profile-list">
-              {profiles.map((profile) => {
-                const initial = profile.name?.trim()?.[0]?.toUpperCase() || '?';
-                const isActive = profile.id === activeProfile?.id;
-                const isPendingDelete = pendingDeleteId === profile.id;
-                return (
-                  <div
-                    key={profile.id}
-                    className={
-                      [
-                        'settings-profile-item',
-                        isActive ? 'settings-profile-item--active' : '',
-                        isPendingDelete ? 'settings-profile-item--confirming' : '',
-                      ]
-                        .filter(Boolean)
-                        .join(' ')
-                    }
+      <div className="search-bar history-filters">
+        <select
+          className="sort-select"
+          aria-label="Filter by show"
+          value={filters.showId}
+          onChange={(event) => updateFilter('showId', event.target.value)}
+        >
+          <option value="">All shows</option>
+          {showOptions.map((show) => (
+            <option key={show.id} value={show.id}>
+              {show.name}
+            </option>
+          ))}
+        </select>
+        <label className="history-filters__date">
+          From
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(event) => updateFilter('from', event.target.value)}
+          />
+        </label>
+        <label className="history-filters__date">
+          To
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(event) => updateFilter('to', event.target.value)}
+          />
+        </label>
+      </div>
+      {error && <div className="error">{error}</div>}
+      {loading ? (
+        <div className="empty-state empty-state--loading" aria-hidden="true" />
+      ) : groups.length === 0 ? (
+        <div className="empty-state">No watched episodes found.</div>
+      ) : (
+        <div className="history-list">
+          {groups.map((group) => (
+            <div key={group.day} className="history-day">
+              <h3 className="history-day__title">
+                {formatWatchedDate(group.entries[0].watchedAt, timeZone)}
+              </h3>
+              {group.entries.map((entry) => (
+                <div key={entry.id} className="history-entry">
+                  <button
+                    className="history-entry__main"
+                    type="button"
+                    onClick={() => onShowSelect(entry.showId)}
                   >
-                    <button
-                      className="settings-profile-main"
-                      type="button"
-                      disabled={isPendingDelete}
-                      aria-label={
-                        isActive
-                          ? `${profile.name} profile (active)`
-                          : `Switch to ${profile.name} profile`
-                      }
-                      onClick={() => handleSelect(profile.id)}
-                    >
-                      <span className="settings-profile-avatar">{initial}</span>
-                      <span className="settings-profile-name">{profile.name}</span>
-                      {isActive && (
-                        <span className="settings-profile-status">Active</span>
-                      )}
-                    </button>
-                    {!isActive && !isPendingDelete && (
-                      <div className="settings-profile-actions">
-                        <button
-                          className="settings-profile-action"
-                          type="button"
-                          aria-label={`Switch to ${profile.name} profile`}
-                          title="Switch profile"
-                          onClick={() => handleSelect(profile.id)}
-                        >
-                          <svg
-                            viewBox="0 0 24 24"
-                            fill="none"
-                            stroke="currentColor"
-                            strokeWidth="1.8"
-                            strokeLinecap="round"
-                            strokeLinejoin="round"
-                            aria-hidden="true"
-                          >
-                            <circle cx="12" cy="12" r="9" />
-                            <path d="M8.5 12h7" />
-                            <path d="M12 8.5l3.5 3.5-3.5 3.5" />
-                          </svg>
-                        </button>
-                        <button
-                          className="settings-profile-action settings-profile-action--danger"
-                          type="button"
-                          aria-label={`Delete ${profile.name} profile`}
-                          title="Delete profile"
-                          onClick={() => handleDeleteRequest(profile.id)}
-                        >
-                          <svg
-                            viewBox="0 0 24 24"
-                            fill="none"
-                            stroke="currentColor"
-                            strokeWidth="1.8"
-                            strokeLinecap="round"
-                            strokeLinejoin="round"
-                            aria-hidden="true"
-                          >
-                            <polyline points="3 6 5 6 21 6" />
-                            <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6" />
-                            <path d="M10 11v6" />
-                            <path d="M14 11v6" />
-                            <path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2" />
-                          </svg>
-                        </button>
-                      </div>
-                    )}
-                    {!isActive && isPendingDelete && (
-                      <div className="settings-profile-confirm">
-                        <span>Delete?</span>
-                        <button
+                    <span className="history-entry__show">{entry.showName}</span>
+                    <span className="muted">
+                      {formatEpisodeCode(entry)} - {entry.name}
+                    </span>
+                  </button>
+                  {entry.pass > 0 && (
+                    <span className="badge badge--muted">Rewatch {entry.pass}</span>
+                  )}
+                  <button
+                    className="outline history-entry__unwatch"
+                    type="button"
+                    disabled={Boolean(pendingIds[entry.id])}
+                    onClick={() => handleUnwatch(entry)}
+                  >
+                    Unwatch
+                  </button>
+                </div>
+              ))}
+            </div>
+          ))}
+          {history.entries.length < history.total && (
+            <button
+              className="outline history-list__more"
+              type="button"
+              disabled={loadingMore}
+              onClick={handleLoadMore}
+            >
+              {loadingMore ? 'Loading...' : 'Load more'}
+            </button>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+function formatPercent(rate) {
+  return rate === null || rate === undefined ? '—' : `${Math.round(rate * 100)}%`;
+}
+
+function formatBucketLabel(start, period) {
+  const date = new Date(`${period === 'month' ? `${start}-01` : start}T00:00:00Z`);
+  return date.toLocaleDateString(undefined, {
+    timeZone: 'UTC',
+    month: 'short',
+    ...(period === 'month' ? {} : { day: 'numeric' }),
+  });
+}
+
+function ActivityChart({ title, buckets, period }) {
+  const peak = Math.max(1, ...buckets.map((bucket) => bucket.episodes));
+  return (
+    <div className="settings-card stats-card">
+      <h3>{title}</h3>
+      <div className="activity-chart">
+        {buckets.map((bucket) => (
+          <div
+            key={bucket.start}
+            className="activity-chart__column"
+            title={`${bucket.episodes} episodes, ${bucket.hours} h`}
+          >
+            <span className="activity-chart__value">{bucket.episodes || ''}</span>
+            <span
+              className="activity-chart__bar"
+              style={{ height: `${(bucket.episodes / peak) * 100}%` }}
+            />
+            <span className="activity-chart__label">
+              {formatBucketLabel(bucket.start, period)}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function StatsPage({ onShowSelect }) {
+  const navigate = useNavigate();
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    apiFetch('/api/stats')
+      .then((data) => {
+        if (!cancelled) setStats(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <section className="panel">
+      <div className="panel__header">
+        <div>
+          <h2>Stats</h2>
+          <p className="muted">What you have watched, and how much of it.</p>
+        </div>
+        <button
+          className="outline"
+          type="button"
+          onClick={() => navigate(`/reports/year/${new Date().getFullYear()}`)}
+        >
+          Year in review
+        </button>
+      </div>
+      {error ? (
+        <div className="error">{error}</div>
+      ) : !stats ? (
+        <div className="empty-state empty-state--loading" aria-hidden="true" />
+      ) : (
+        <div className="stats-page">
+          <div className="stats-summary">
+            <div className="stats-tile">
+              <strong>{stats.totals.hours}</strong>
+              <span className="muted">hours watched</span>
+            </div>
+            <div className="stats-tile">
+              <strong>{stats.totals.episodes}</strong>
+              <span className="muted">episodes</span>
+            </div>
+            <div className="stats-tile">
+              <strong>{stats.totals.shows}</strong>
+              <span className="muted">shows</span>
+            </div>
+            <div className="stats-tile">
+              <strong>{stats.streaks.current}</strong>
+              <span className="muted">
+                day streak (best {stats.streaks.longest})
+              </span>
+            </div>
+            <div className="stats-tile">
+              <strong>{formatPercent(stats.completion.episodeRate)}</strong>
+              <span className="muted">of released episodes watched</span>
+            </div>
+            <div className="stats-tile">
+              <strong>{formatPercent(stats.completion.showRate)}</strong>
+              <span className="muted">
+                of started shows caught up ({stats.completion.caughtUp}/
+                {stats.completion.started})
+              </span>
+            </div>
+          </div>
+          <div className="settings-grid">
+            <ActivityChart title="Episodes per week" buckets={stats.weekly} period="week" />
+            <ActivityChart
+              title="Episodes per month"
+              buckets={stats.monthly}
+              period="month"
+            />
+          </div>
+          <div className="settings-grid">
+            <div className="settings-card stats-card">
+              <h3>Top shows</h3>
+              {stats.topShows.length === 0 ? (
+                <p className="muted">Nothing watched yet.</p>
+              ) : (
+                <ol className="stats-ranking">
+                  {stats.topShows.map((show) => (
+                    <li key={show.id}>
+                      <button
+                        className="text-button"
+                        type="button"
+                        onClick={() => onShowSelect(show.id)}
+                      >
+                        {show.name}
+                      </button>
+                      <span className="muted">
+                        {show.hours} h · {show.episodes} eps
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+            <div className="settings-card stats-card">
+              <h3>Networks</h3>
+              {stats.networks.length === 0 ? (
+                <p className="muted">Nothing watched yet.</p>
+              ) : (
+                <ol className="stats-ranking">
+                  {stats.networks.map((network) => (
+                    <li key={network.name}>
+                      <span>{network.name}</span>
+                      <span className="muted">
+                        {network.hours} h · {network.shows}{' '}
+                        {network.shows === 1 ? 'show' : 'shows'}
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+function ReportShowList({ title, shows, emptyLabel, onShowSelect }) {
+  return (
+    <div className="settings-card stats-card">
+      <h3>{title}</h3>
+      {shows.length === 0 ? (
+        <p className="muted">{emptyLabel}</p>
+      ) : (
+        <ol className="stats-ranking">
+          {shows.map((show) => (
+            <li key={show.id}>
+              <button
+                className="text-button"
+                type="button"
+                onClick={() => onShowSelect(show.id)}
+              >
+                {show.name}
+              </button>
+              <span className="muted">
+                {show.hours} h · {show.episodes} eps
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+function YearReportPage({ onShowSelect }) {
+  const navigate = useNavigate();
+  const params = useParams();
+  const year = Number(params.year);
+  const currentYear = new Date().getFullYear();
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setReport(null);
+    setError('');
+    apiFetch(`/api/reports/year/${params.year}`)
+      .then((data) => {
+        if (!cancelled) setReport(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [params.year]);
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <section className="panel year-report">
+      <div className="panel__header">
+        <div>
+          <h2>{Number.isInteger(year) ? `${year} in Review` : 'Year in Review'}</h2>
+          <p className="muted">Your year of TV, at a glance.</p>
+        </div>
+        <div className="year-report__nav">
+          <button
+            className="outline"
+            type="button"
+            onClick={() => navigate(`/reports/year/${year - 1}`)}
+            disabled={!Number.isInteger(year)}
+          >
+            ← {year - 1}
+          </button>
+          <button
+            className="outline"
+            type="button"
+            onClick={() => navigate(`/reports/year/${year + 1}`)}
+            disabled={!Number.isInteger(year) || year >= currentYear}
+          >
+            {year + 1} →
+          </button>
+          <button className="outline" type="button" onClick={handleCopyLink}>
+            {copied ? 'Link copied' : 'Copy link'}
+          </button>
+        </div>
+      </div>
+      {error ? (
+        <div className="error">{error}</div>
+      ) : !report ? (
+        <div className="empty-state empty-state--loading" aria-hidden="true" />
+      ) : report.episodes === 0 ? (
+        <div className="empty-state">Nothing watched in {report.year}.</div>
+      ) : (
+        <div className="stats-page">
+          {report.posters.length > 0 && (
+            <div className="poster-collage">
+              {report.posters.map((poster) => (
+                <img
+                  key={poster.id}
+                  src={getImageUrl(poster.image, 'thumb')}
+                  alt={poster.name}
+                />
+              ))}
+            </div>
+          )}
+          <div className="stats-summary">
+            <div className="stats-tile">
+              <strong>{report.hours}</strong>
+              <span className="muted">hours watched</span>
+            </div>
+            <div className="stats-tile">
+              <strong>{report.episodes}</strong>
+              <span className="muted">episodes</span>
+            </div>
+            <div className="stats-tile">
+              <strong>{report.longestStreak}</strong>
+              <span className="muted">day longest streak</span>
+            </div>
+            <div className="stats-tile">
+              <strong>{report.newShows}</strong>
+              <span className="muted">new series</span>
+            </div>
+            <div className="stats-tile">
+              <strong>{report.returningShows}</strong>
+              <span className="muted">returning series</span>
+            </div>
+            {report.mostBinged && (
+              <div className="stats-tile">
+                <strong>{report.mostBinged.name}</strong>
+                <span className="muted">
+                  most binged: {report.mostBinged.episodes} episodes on{' '}
+                  {formatWatchedDate(`${report.mostBinged.day}T12:00:00Z`)}
+                </span>
+              </div>
+            )}
+          </div>
+          <div className="settings-grid">
+            <ReportShowList
+              title="Top shows"
+              shows={report.topShows}
+              emptyLabel="Nothing watched."
+              onShowSelect={onShowSelect}
+            />
+            <ReportShowList
+              title="Started"
+              shows={report.showsStarted}
+              emptyLabel="No new shows started."
+              onShowSelect={onShowSelect}
+            />
+            <ReportShowList
+              title="Finished"
+              shows={report.showsFinished}
+              emptyLabel="No shows finished."
+              onShowSelect={onShowSelect}
+            />
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+function PersonPage({ onShowSelect }) {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const params = useParams();
+  const fromShowId = location.state?.fromShowId;
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setData(null);
+    setError('');
+    apiFetch(`/api/people/${params.id}`)
+      .then((payload) => {
+        if (!cancelled) setData(payload);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [params.id]);
+
+  const otherShows = data
+    ? data.shows.filter((show) => show.id !== fromShowId)
+    : [];
+
+  return (
+    <section className="panel person-page">
+      <div className="panel__header">
+        <div>
+          <h2>{data?.person.name || 'Person'}</h2>
+          <p className="muted">
+            {fromShowId
+              ? 'Other shows in your library featuring them.'
+              : 'Shows in your library featuring them.'}
+          </p>
+        </div>
+        <button
+          className="outline"
+          type="button"
+          onClick={() =>
+            navigate(fromShowId ? `/shows/${fromShowId}` : '/shows')
+          }
+        >
+          Back
+        </button>
+      </div>
+      {error ? (
+        <div className="error">{error}</div>
+      ) : !data ? (
+        <div className="empty-state empty-state--loading" aria-hidden="true" />
+      ) : (
+        <div className="person-page__body">
+          <div className="person-page__image">
+            {data.person.image ? (
+              <img
+                src={getImageUrl(data.person.image, 'poster')}
+                alt={data.person.name}
+              />
+            ) : (
+              <div className="image-fallback" />
+            )}
+          </div>
+          {otherShows.length === 0 ? (
+            <div className="empty-state">
+              No other shows in your library feature {data.person.name}.
+            </div>
+          ) : (
+            <ul className="person-page__shows">
+              {otherShows.map((show) => (
+                <li key={show.id}>
+                  <button
+                    className="cast-card"
+                    type="button"
+                    onClick={() => onShowSelect(show.id)}
+                  >
+                    <div className="cast-card__image">
+                      {show.image ? (
+                        <img
+                          src={getImageUrl(show.image, 'thumb')}
+                          alt={show.name}
+                        />
+                      ) : (
+                        <div className="image-fallback" />
+                      )}
+                    </div>
+                    <strong>{show.name}</strong>
+                    <span className="muted">
+                      {[...show.characters, ...show.jobs].join(', ') ||
+                        show.releaseYear}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+function SettingsPage({
+  profiles,
+  activeProfile,
+  notice,
+  isImporting,
+  appVersion,
+  onProfileSelect,
+  onProfileCreate,
+  onProfileDelete,
+  onUpdateSettings,
+  tags,
+  onCreateTag,
+  onUpdateTag,
+  onDeleteTag,
+  onTrashRestore,
+  onExport,
+  onImport,
+}) {
+  const [pendingDeleteId, setPendingDeleteId] = useState(null);
+  const [deleteError, setDeleteError] = useState('');
+
+  const handleDeleteRequest = (profileId) => {
+    setDeleteError('');
+    setPendingDeleteId(profileId);
+  };
+
+  const handleDeleteCancel = () => {
+    setPendingDeleteId(null);
+  };
+
+  const handleDeleteConfirm = async (profile) => {
+    setDeleteError('');
+    try {
+      await onProfileDelete(profile);
+      setPendingDeleteId(null);
+    } catch (error) {
+      setDeleteError(error.message);
+    }
+  };
+
+  const handleSelect = (profileId) => {
+    setPendingDeleteId(null);
+    onProfileSelect(profileId, { stayOnPage: true });
+  };
+
+  return (
+    <section className="panel">
+      <div className="panel__header">
+        <div>
+          <h2>Settings</h2>
+          <p className="muted">Manage profiles, exports, and account access.</p>
+          <p className="muted settings-version">Version {appVersion}</p>
+        </div>
+      </div>
+      <div className="settings-grid">
+        <div className="settings-card settings-card--profiles">
+          <div className="settings-card__header">
+            <h3>Profiles</h3>
+          </div>
+          <div className="settings-card__body">
+            <p className="muted">Switch or add a profile for another viewer.</p>
+            <div className="settings-profile-list">
+              {profiles.map((profile) => {
+                const initial = profile.name?.trim()?.[0]?.toUpperCase() || '?';
+                const isActive = profile.id === activeProfile?.id;
+                const isPendingDelete = pendingDeleteId === profile.id;
+                return (
+                  <div
+                    key={profile.id}
+                    className={
+                      [
+                        'settings-profile-item',
+                        isActive ? 'settings-profile-item--active' : '',
+                        isPendingDelete ? 'settings-profile-item--confirming' : '',
+                      ]
+                        .filter(Boolean)
+                        .join(' ')
+                    }
+                  >
+                    <button
+                      className="settings-profile-main"
+                      type="button"
+                      disabled={isPendingDelete}
+                      aria-label={
+                        isActive
+                          ? `${profile.name} profile (active)`
+                          : `Switch to ${profile.name} profile`
+                      }
+                      onClick={() => handleSelect(profile.id)}
+                    >
+                      <span className="settings-profile-avatar">{initial}</span>
+                      <span className="settings-profile-name">{profile.name}</span>
+                      {isActive && (
+                        <span className="settings-profile-status">Active</span>
+                      )}
+                    </button>
+                    {!isActive && !isPendingDelete && (
+                      <div className="settings-profile-actions">
+                        <button
+                          className="settings-profile-action"
+                          type="button"
+                          aria-label={`Switch to ${profile.name} profile`}
+                          title="Switch profile"
+                          onClick={() => handleSelect(profile.id)}
+                        >
+                          <svg
+                            viewBox="0 0 24 24"
+                            fill="none"
+                            stroke="currentColor"
+                            strokeWidth="1.8"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            aria-hidden="true"
+                          >
+                            <circle cx="12" cy="12" r="9" />
+                            <path d="M8.5 12h7" />
+                            <path d="M12 8.5l3.5 3.5-3.5 3.5" />
+                          </svg>
+                        </button>
+                        <button
+                          className="settings-profile-action settings-profile-action--danger"
+                          type="button"
+                          aria-label={`Delete ${profile.name} profile`}
+                          title="Delete profile"
+                          onClick={() => handleDeleteRequest(profile.id)}
+                        >
+                          <svg
+                            viewBox="0 0 24 24"
+                            fill="none"
+                            stroke="currentColor"
+                            strokeWidth="1.8"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            aria-hidden="true"
+                          >
+                            <polyline points="3 6 5 6 21 6" />
+                            <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6" />
+                            <path d="M10 11v6" />
+                            <path d="M14 11v6" />
+                            <path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2" />
+                          </svg>
+                        </button>
+                      </div>
+                    )}
+                    {!isActive && isPendingDelete && (
+                      <div className="settings-profile-confirm">
+                        <span>Delete?</span>
+                        <button
                           className="settings-profile-cancel"
                           type="button"
                           onClick={handleDeleteCancel}
@@ -1821,6 +3323,78 @@ function SettingsPage({
             <ProfileCreateInline onCreate={onProfileCreate} />
           </div>
         </div>
+        <div className="settings-card">
+          <div className="settings-card__header">
+            <h3>Progress</h3>
+          </div>
+          <div className="settings-card__body">
+            <p className="muted">
+              Specials are season 0 and unnumbered episodes. Shows can override
+              this from their detail page.
+            </p>
+            <label className="settings-toggle">
+              <input
+                type="checkbox"
+                checked={Boolean(activeProfile?.includeSpecials)}
+                disabled={!activeProfile}
+                onChange={(event) =>
+                  onUpdateSettings({ includeSpecials: event.target.checked })
+                }
+              />
+              Count specials toward progress
+            </label>
+            <p className="muted">
+              Decides what counts as released. Without a timezone, the server
+              clock is used for episodes that only have an air date.
+            </p>
+            <label className="settings-field">
+              <span>Timezone</span>
+              <select
+                className="sort-select"
+                value={activeProfile?.timezone || ''}
+                disabled={!activeProfile}
+                onChange={(event) =>
+                  onUpdateSettings({ timezone: event.target.value || null })
+                }
+              >
+                <option value="">Not set</option>
+                {listTimeZones().map((zone) => (
+                  <option key={zone} value={zone}>
+                    {zone}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="settings-field">
+              <span>Count episodes as released</span>
+              <select
+                className="sort-select"
+                value={activeProfile?.releaseDelayHours ?? 0}
+                disabled={!activeProfile}
+                onChange={(event) =>
+                  onUpdateSettings({
+                    releaseDelayHours: Number(event.target.value),
+                  })
+                }
+              >
+                {RELEASE_DELAY_OPTIONS.map((hours) => (
+                  <option key={hours} value={hours}>
+                    {hours === 0
+                      ? 'As soon as they air'
+                      : `${hours} ${hours === 1 ? 'hour' : 'hours'} after airing`}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+        <CalendarFeedCard key={activeProfile?.id} profile={activeProfile} />
+        <TagManagerCard
+          tags={tags}
+          onCreate={onCreateTag}
+          onUpdate={onUpdateTag}
+          onDelete={onDeleteTag}
+        />
         <div className="settings-card">
           <div className="settings-card__header">
             <h3>Import / Export</h3>
@@ -1853,9 +3427,256 @@ function SettingsPage({
             )}
           </div>
         </div>
-        <ChangePasswordCard />
+        <TrashCard onRestore={onTrashRestore} />
+        <ChangePasswordCard />
+      </div>
+    </section>
+  );
+}
+
+function buildCalendarFeedUrl(path, { events, states }) {
+  const params = new URLSearchParams();
+  if (events !== 'timed') params.set('events', events);
+  if (states.length > 0) params.set('states', states.join(','));
+  const query = params.toString();
+  return `${window.location.origin}${path}${query ? `?${query}` : ''}`;
+}
+
+function CalendarFeedCard({ profile }) {
+  const [path, setPath] = useState(null);
+  const [events, setEvents] = useState('timed');
+  const [states, setStates] = useState([]);
+  const [isPending, setIsPending] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!profile) return;
+    apiFetch('/api/profiles/calendar-feed')
+      .then((data) => setPath(data.path))
+      .catch((err) => setError(err.message));
+  }, [profile]);
+
+  const run = async (method) => {
+    setError('');
+    setCopied(false);
+    setIsPending(true);
+    try {
+      const data = await apiFetch('/api/profiles/calendar-feed', { method });
+      setPath(data.path);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsPending(false);
+    }
+  };
+
+  const toggleState = (state) => {
+    setCopied(false);
+    setStates((prev) =>
+      prev.includes(state) ? prev.filter((item) => item !== state) : [...prev, state]
+    );
+  };
+
+  const feedUrl = path ? buildCalendarFeedUrl(path, { events, states }) : '';
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <div className="settings-card">
+      <div className="settings-card__header">
+        <h3>Calendar feed</h3>
+      </div>
+      <div className="settings-card__body">
+        <p className="muted">
+          Subscribe to upcoming episodes from any calendar app. Anyone with the
+          link can see this profile's schedule, so reset it if it leaks.
+        </p>
+        {path && (
+          <>
+            <label className="settings-field">
+              <span>Events</span>
+              <select
+                className="sort-select"
+                value={events}
+                onChange={(event) => {
+                  setCopied(false);
+                  setEvents(event.target.value);
+                }}
+              >
+                <option value="timed">At air time</option>
+                <option value="all-day">All day</option>
+              </select>
+            </label>
+            <div className="settings-field">
+              <span>Shows</span>
+              <div className="tag-chips">
+                {Object.entries(STATE_LABELS)
+                  .filter(([state]) => state !== 'stopped')
+                  .map(([state, label]) => (
+                    <button
+                      key={state}
+                      type="button"
+                      className={
+                        states.includes(state) ? 'tag-chip tag-chip--active' : 'tag-chip'
+                      }
+                      onClick={() => toggleState(state)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+              </div>
+              <span className="muted">
+                {states.length === 0 ? 'All shows' : `${states.length} selected`}
+              </span>
+            </div>
+            <input
+              className="calendar-feed__url"
+              type="text"
+              readOnly
+              value={feedUrl}
+              onFocus={(event) => event.target.select()}
+            />
+          </>
+        )}
+        {error && <p className="error">{error}</p>}
+      </div>
+      <div className="settings-card__footer">
+        <div className="button-row">
+          {path && (
+            <button className="outline" type="button" onClick={handleCopy}>
+              {copied ? 'Copied' : 'Copy link'}
+            </button>
+          )}
+          <button
+            className="outline"
+            type="button"
+            disabled={!profile || isPending}
+            onClick={() => run('POST')}
+          >
+            {path ? 'Reset link' : 'Create link'}
+          </button>
+          {path && (
+            <button
+              className="text-button"
+              type="button"
+              disabled={isPending}
+              onClick={() => run('DELETE')}
+            >
+              Turn off
+            </button>
+          )}
+        </div>
       </div>
-    </section>
+    </div>
+  );
+}
+
+function TrashCard({ onRestore }) {
+  const [trash, setTrash] = useState({ retentionDays: null, shows: [] });
+  const [pendingId, setPendingId] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadTrash = useCallback(async () => {
+    const data = await apiFetch('/api/trash');
+    setTrash(data);
+  }, []);
+
+  useEffect(() => {
+    loadTrash().catch((err) => setError(err.message));
+  }, [loadTrash]);
+
+  const run = async (id, action) => {
+    setError('');
+    setPendingId(id);
+    try {
+      await action();
+      await loadTrash();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleRestore = (entry) =>
+    run(entry.id, async () => {
+      await apiFetch(`/api/trash/${entry.id}/restore`, { method: 'POST' });
+      await onRestore();
+    });
+
+  const handlePurge = (entry) =>
+    run(entry.id, () => apiFetch(`/api/trash/${entry.id}`, { method: 'DELETE' }));
+
+  const handleEmpty = () =>
+    run('all', () => apiFetch('/api/trash', { method: 'DELETE' }));
+
+  return (
+    <div className="settings-card">
+      <div className="settings-card__header">
+        <h3>Trash</h3>
+      </div>
+      <div className="settings-card__body">
+        <p className="muted">
+          Removed shows keep their watch history here
+          {trash.retentionDays ? ` for ${trash.retentionDays} days` : ''}.
+        </p>
+        {trash.shows.length === 0 ? (
+          <p className="muted">Trash is empty.</p>
+        ) : (
+          <ul className="trash-list">
+            {trash.shows.map((entry) => (
+              <li key={entry.id} className="trash-list__item">
+                <div>
+                  <strong>{entry.name}</strong>
+                  <p className="muted">
+                    {entry.watchedCount} watched · removed{' '}
+                    {formatWatchedDate(entry.deletedAt)}, purged{' '}
+                    {formatWatchedDate(entry.expiresAt)}
+                  </p>
+                </div>
+                <button
+                  className="outline"
+                  type="button"
+                  disabled={pendingId !== null}
+                  onClick={() => handleRestore(entry)}
+                >
+                  Restore
+                </button>
+                <button
+                  className="text-button"
+                  type="button"
+                  disabled={pendingId !== null}
+                  onClick={() => handlePurge(entry)}
+                >
+                  Purge
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {error && <p className="error">{error}</p>}
+      </div>
+      {trash.shows.length > 0 && (
+        <div className="settings-card__footer">
+          <button
+            className="outline"
+            type="button"
+            disabled={pendingId !== null}
+            onClick={handleEmpty}
+          >
+            Empty trash
+          </button>
+        </div>
+      )}
+    </div>
   );
 }
 
@@ -2066,6 +3887,146 @@ function ProfileView({ profiles, onCreate, onSelect, onLogout }) {
   );
 }
 
+function TagManagerCard({ tags = [], onCreate, onUpdate, onDelete }) {
+  const [name, setName] = useState('');
+  const [isCollection, setIsCollection] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [error, setError] = useState('');
+
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    if (!name.trim()) return;
+    if (await run(() => onCreate(name.trim(), isCollection))) {
+      setName('');
+      setIsCollection(false);
+    }
+  };
+
+  const handleRename = async (event) => {
+    event.preventDefault();
+    if (!editName.trim()) return;
+    if (await run(() => onUpdate(editingId, { name: editName.trim() }))) {
+      setEditingId(null);
+    }
+  };
+
+  return (
+    <div className="settings-card">
+      <div className="settings-card__header">
+        <h3>Tags</h3>
+      </div>
+      <div className="settings-card__body">
+        <p className="muted">
+          Tag shows from their detail page. Collections also appear as their
+          own section on the shows page.
+        </p>
+        {tags.length === 0 ? (
+          <p className="muted">No tags yet.</p>
+        ) : (
+          <ul className="tag-manager">
+            {tags.map((tag) => (
+              <li key={tag.id} className="tag-manager__item">
+                {editingId === tag.id ? (
+                  <form className="inline-form" onSubmit={handleRename}>
+                    <input
+                      value={editName}
+                      maxLength={40}
+                      onChange={(event) => setEditName(event.target.value)}
+                      autoFocus
+                    />
+                    <button className="outline" type="submit">
+                      Save
+                    </button>
+                    <button
+                      className="text-button"
+                      type="button"
+                      onClick={() => setEditingId(null)}
+                    >
+                      Cancel
+                    </button>
+                  </form>
+                ) : (
+                  <>
+                    <span className="tag-chip">#{tag.name}</span>
+                    <span className="muted">
+                      {tag.showCount} {tag.showCount === 1 ? 'show' : 'shows'}
+                    </span>
+                    <label className="settings-toggle">
+                      <input
+                        type="checkbox"
+                        checked={tag.isCollection}
+                        onChange={(event) =>
+                          run(() =>
+                            onUpdate(tag.id, {
+                              isCollection: event.target.checked,
+                            })
+                          )
+                        }
+                      />
+                      Collection
+                    </label>
+                    <button
+                      className="text-button"
+                      type="button"
+                      onClick={() => {
+                        setEditingId(tag.id);
+                        setEditName(tag.name);
+                      }}
+                    >
+                      Rename
+                    </button>
+                    <button
+                      className="text-button"
+                      type="button"
+                      onClick={() => run(() => onDelete(tag.id))}
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {error && <p className="error">{error}</p>}
+      </div>
+      <div className="settings-card__footer">
+        <form className="inline-form" onSubmit={handleCreate}>
+          <input
+            placeholder="New tag name"
+            value={name}
+            maxLength={40}
+            onChange={(event) => setName(event.target.value)}
+          />
+          <label className="settings-toggle">
+            <input
+              type="checkbox"
+              checked={isCollection}
+              onChange={(event) => setIsCollection(event.target.checked)}
+            />
+            Collection
+          </label>
+          <button className="outline" type="submit">
+            Add
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
 function ProfileCreateInline({ onCreate }) {
   const [name, setName] = useState('');
   const [error, setError] = useState('');
@@ -2097,87 +4058,398 @@ function ProfileCreateInline({ onCreate }) {
   }
 
   return (
-    <form className="inline-form" onSubmit={handleSubmit}>
-      <input
-        placeholder="New profile name"
-        value={name}
-        onChange={(event) => setName(event.target.value)}
-        autoFocus
-      />
-      <button className="outline" type="submit">
-        Add
-      </button>
-      {error && <span className="error">{error}</span>}
-    </form>
+    <form className="inline-form" onSubmit={handleSubmit}>
+      <input
+        placeholder="New profile name"
+        value={name}
+        onChange={(event) => setName(event.target.value)}
+        autoFocus
+      />
+      <button className="outline" type="submit">
+        Add
+      </button>
+      {error && <span className="error">{error}</span>}
+    </form>
+  );
+}
+
+function CheckButton({ active, label, onClick }) {
+  const [animate, setAnimate] = useState(false);
+
+  useEffect(() => {
+    if (!animate) return;
+    const timeout = setTimeout(() => setAnimate(false), 220);
+    return () => clearTimeout(timeout);
+  }, [animate]);
+
+  const handleClick = (event) => {
+    if (!active) {
+      setAnimate(true);
+    }
+    onClick(event);
+  };
+
+  return (
+    <button
+      className={[
+        'check-button',
+        active ? 'check-button--active' : '',
+        animate ? 'check-button--animate' : '',
+      ]
+        .filter(Boolean)
+        .join(' ')}
+      onClick={handleClick}
+      type="button"
+      aria-label={label}
+      title={label}
+    >
+      <svg viewBox="0 0 24 24" aria-hidden="true" focusable="false">
+        <path
+          d="M5 13l4 4 10-10"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2.4"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+        />
+      </svg>
+    </button>
+  );
+}
+
+function formatRating(rating) {
+  return `${rating}/10`;
+}
+
+function RatingSelect({ value, label, onChange }) {
+  return (
+    <select
+      className={value ? 'rating-select rating-select--rated' : 'rating-select'}
+      aria-label={label}
+      title={label}
+      value={value ?? ''}
+      onClick={(event) => event.stopPropagation()}
+      onChange={(event) => {
+        const next = event.target.value;
+        onChange(next ? Number(next) : null);
+      }}
+    >
+      <option value="">{value ? 'Clear rating' : '☆ Rate'}</option>
+      {Array.from({ length: 10 }, (_, index) => 10 - index).map((rating) => (
+        <option key={rating} value={rating}>
+          ★ {formatRating(rating)}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+function WatchDateEditor({ episode, onSave }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [mode, setMode] = useState('date');
+  const [date, setDate] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleOpen = () => {
+    setMode(episode.watched ? 'date' : 'now');
+    setDate(toDateInputValue(episode.watchedAt));
+    setError('');
+    setIsOpen(true);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    let watchedAt = mode;
+    if (mode === 'date') {
+      if (!date) {
+        setError('Pick a date.');
+        return;
+      }
+      watchedAt = toPickedWatchedAt(date);
+    }
+    setError('');
+    setIsSaving(true);
+    try {
+      await onSave(watchedAt);
+      setIsOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        className="badge badge--muted watch-date__trigger"
+        type="button"
+        onClick={handleOpen}
+        title={episode.watched ? 'Change watch date' : 'Log with a watch date'}
+      >
+        {episode.watched && episode.watchedAt
+          ? `Watched ${formatWatchedDate(episode.watchedAt)}`
+          : 'Set watch date'}
+      </button>
+    );
+  }
+
+  return (
+    <form className="watch-date" onSubmit={handleSubmit}>
+      <select value={mode} onChange={(event) => setMode(event.target.value)}>
+        <option value="now">Now</option>
+        {episode.airdate && <option value="airdate">Air date</option>}
+        <option value="date">Pick a date</option>
+      </select>
+      {mode === 'date' && (
+        <input
+          type="date"
+          value={date}
+          max={toDateInputValue()}
+          onChange={(event) => setDate(event.target.value)}
+        />
+      )}
+      <button
+        className={isSaving ? 'outline is-disabled' : 'outline'}
+        type="submit"
+        disabled={isSaving}
+      >
+        Save
+      </button>
+      <button
+        className="text-button"
+        type="button"
+        onClick={() => setIsOpen(false)}
+      >
+        Cancel
+      </button>
+      {error && <span className="error">{error}</span>}
+    </form>
+  );
+}
+
+function ShowTagEditor({ tags = [], selected = [], onChange, onCreate }) {
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState('');
+  const selectedIds = selected.map((tag) => tag.id);
+
+  const handleToggle = async (tagId) => {
+    setError('');
+    const next = selectedIds.includes(tagId)
+      ? selectedIds.filter((id) => id !== tagId)
+      : [...selectedIds, tagId];
+    try {
+      await onChange(next);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    const name = draft.trim();
+    if (!name) return;
+    setError('');
+    try {
+      const tag = await onCreate(name);
+      await onChange([...selectedIds, tag.id]);
+      setDraft('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="tag-editor">
+      <div className="tag-chips">
+        {tags.map((tag) => {
+          const active = selectedIds.includes(tag.id);
+          return (
+            <button
+              key={tag.id}
+              type="button"
+              className={active ? 'tag-chip tag-chip--active' : 'tag-chip'}
+              aria-pressed={active}
+              onClick={() => handleToggle(tag.id)}
+            >
+              #{tag.name}
+            </button>
+          );
+        })}
+        <form className="tag-editor__form" onSubmit={handleCreate}>
+          <input
+            type="text"
+            value={draft}
+            maxLength={40}
+            placeholder="New tag"
+            aria-label="New tag"
+            onChange={(event) => setDraft(event.target.value)}
+          />
+        </form>
+      </div>
+      {error && <p className="error">{error}</p>}
+    </div>
   );
 }
 
-function CheckButton({ active, label, onClick }) {
-  const [animate, setAnimate] = useState(false);
+function NotesPanel({ notes = [], placeholder, onCreate, onUpdate, onDelete }) {
+  const [draft, setDraft] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
 
-  useEffect(() => {
-    if (!animate) return;
-    const timeout = setTimeout(() => setAnimate(false), 220);
-    return () => clearTimeout(timeout);
-  }, [animate]);
+  const run = async (action) => {
+    setError('');
+    setIsSaving(true);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
 
-  const handleClick = (event) => {
-    if (!active) {
-      setAnimate(true);
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    if (!draft.trim()) return;
+    if (await run(() => onCreate(draft))) {
+      setDraft('');
+    }
+  };
+
+  const handleUpdate = async (event) => {
+    event.preventDefault();
+    if (!editDraft.trim()) return;
+    if (await run(() => onUpdate(editingId, editDraft))) {
+      setEditingId(null);
     }
-    onClick(event);
   };
 
   return (
-    <button
-      className={[
-        'check-button',
-        active ? 'check-button--active' : '',
-        animate ? 'check-button--animate' : '',
-      ]
-        .filter(Boolean)
-        .join(' ')}
-      onClick={handleClick}
-      type="button"
-      aria-label={label}
-      title={label}
-    >
-      <svg viewBox="0 0 24 24" aria-hidden="true" focusable="false">
-        <path
-          d="M5 13l4 4 10-10"
-          fill="none"
-          stroke="currentColor"
-          strokeWidth="2.4"
-          strokeLinecap="round"
-          strokeLinejoin="round"
+    <div className="notes">
+      {notes.length > 0 && (
+        <ul className="notes__list">
+          {notes.map((note) =>
+            note.id === editingId ? (
+              <li key={note.id} className="notes__item">
+                <form className="notes__form" onSubmit={handleUpdate}>
+                  <textarea
+                    value={editDraft}
+                    rows={2}
+                    onChange={(event) => setEditDraft(event.target.value)}
+                  />
+                  <div className="notes__actions">
+                    <button className="outline" type="submit" disabled={isSaving}>
+                      Save
+                    </button>
+                    <button
+                      className="text-button"
+                      type="button"
+                      onClick={() => setEditingId(null)}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              </li>
+            ) : (
+              <li key={note.id} className="notes__item">
+                <p>{note.body}</p>
+                <div className="notes__meta">
+                  <span className="muted">{formatWatchedDate(note.updatedAt)}</span>
+                  <button
+                    className="text-button"
+                    type="button"
+                    onClick={() => {
+                      setEditingId(note.id);
+                      setEditDraft(note.body);
+                    }}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    className="text-button"
+                    type="button"
+                    disabled={isSaving}
+                    onClick={() => run(() => onDelete(note.id))}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            )
+          )}
+        </ul>
+      )}
+      <form className="notes__form" onSubmit={handleCreate}>
+        <textarea
+          value={draft}
+          rows={2}
+          placeholder={placeholder}
+          onChange={(event) => setDraft(event.target.value)}
         />
-      </svg>
-    </button>
+        <div className="notes__actions">
+          <button
+            className={isSaving ? 'outline is-disabled' : 'outline'}
+            type="submit"
+            disabled={isSaving || !draft.trim()}
+          >
+            Add note
+          </button>
+        </div>
+      </form>
+      {error && <p className="error">{error}</p>}
+    </div>
   );
 }
 
 function ShowDetailView({
   show,
   seasons,
+  notes = [],
+  cast = [],
+  crew = [],
   loading,
   onBack,
+  onPersonSelect,
   onToggleEpisode,
+  onWatchUpTo,
   onToggleSeason,
+  onToggleShow,
   onUpdateShowStatus,
+  onUpdateRewatch,
+  onUpdateSpecials,
+  onRefreshShow,
+  timeZone = null,
+  onRateShow,
+  onRateEpisode,
+  onCreateNote,
+  onUpdateNote,
+  onDeleteNote,
+  tags,
+  onUpdateShowTags,
+  onCreateTag,
   onRemoveShow,
 }) {
   const [openSeasons, setOpenSeasons] = useState({});
+  const [openEpisodeNotes, setOpenEpisodeNotes] = useState({});
   const [confirmingRemove, setConfirmingRemove] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
 
   useEffect(() => {
     setOpenSeasons((prev) => {
       const next = {};
       seasons.forEach((season) => {
         const key = String(season.season);
-        if (season.watched) {
+        if (season.totalCount > 0 && season.watchedCount === season.totalCount) {
           next[key] = false;
         } else {
-          next[key] = prev[key] ?? true;
+          next[key] = prev[key] ?? !season.special;
         }
       });
       return next;
@@ -2198,11 +4470,48 @@ function ShowDetailView({
     setConfirmingRemove(false);
   };
 
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    try {
+      await onRefreshShow(show.id);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
   if (!show) return null;
   const stateLabel = show.state ? STATE_LABELS[show.state] || show.state : null;
-  const isFinished = show.state === 'completed';
+  const isFinished = (show.progressState || show.state) === 'completed';
   const canToggleStatus = !isFinished;
   const canRemove = show.profileStatus === 'stopped';
+  const hasWatchedEpisodes = seasons.some((season) => season.watchedCount > 0);
+  const canRewatch =
+    show.rewatching || (hasWatchedEpisodes && show.profileStatus !== 'stopped');
+  const manualStatus =
+    show.profileStatus && show.profileStatus !== 'stopped'
+      ? show.profileStatus
+      : '';
+  const trackedSeasons = seasons.filter(
+    (season) => !season.special || show.includeSpecials
+  );
+  const hasReleasedEpisodes = trackedSeasons.some(
+    (season) => season.releasedCount > 0
+  );
+  const isShowWatched =
+    hasReleasedEpisodes &&
+    trackedSeasons.every(
+      (season) => season.releasedCount === 0 || season.watched
+    );
+  const orderedSeasons = [
+    ...seasons.filter((season) => !season.special),
+    ...seasons.filter((season) => season.special),
+  ];
+  const specialsOverrideValue =
+    show.specialsOverride === null || show.specialsOverride === undefined
+      ? 'profile'
+      : show.specialsOverride
+        ? 'include'
+        : 'exclude';
   const imdbUrl = show.imdbId
     ? `https://www.imdb.com/title/${show.imdbId}/`
     : null;
@@ -2215,7 +4524,13 @@ function ShowDetailView({
   const statusMetaParts = [];
   if (show.status) statusMetaParts.push(show.status);
   if (yearLabel) statusMetaParts.push(yearLabel);
+  if (show.rewatchCount > 0 && !show.rewatching) {
+    statusMetaParts.push(
+      `Rewatched ${show.rewatchCount} ${show.rewatchCount === 1 ? 'time' : 'times'}`
+    );
+  }
   const statusMeta = statusMetaParts.join(' · ');
+  const syncLabel = buildSyncLabel(show.sync);
   return (
     <section className="panel show-detail">
       <div className="panel__header show-detail__header">
@@ -2248,6 +4563,16 @@ function ShowDetailView({
                   {stateLabel}
                 </span>
               )}
+              {show.rewatching && (
+                <span className="badge badge--accent show-detail__badge">
+                  Rewatch #{show.rewatchCount}
+                </span>
+              )}
+              <RatingSelect
+                value={show.rating}
+                label="Rate this show"
+                onChange={(rating) => onRateShow(show.id, rating)}
+              />
             </div>
             {(producerMeta || imdbUrl) && (
               <p className="muted show-detail__meta">
@@ -2270,112 +4595,174 @@ function ShowDetailView({
                 {statusMeta}
               </p>
             )}
+            {syncLabel && (
+              <p
+                className={`muted show-detail__meta show-detail__sync${
+                  show.sync.failing ? ' show-detail__sync--error' : ''
+                }`}
+              >
+                {syncLabel}
+              </p>
+            )}
           </div>
         </div>
-        {(canToggleStatus || canRemove) && (
-          <div className="show-detail__actions">
-            {canToggleStatus && (
-              <button
-                className="outline outline--with-icon show-detail__action"
-                type="button"
-                onClick={() =>
-                  onUpdateShowStatus(
-                    show.id,
-                    show.profileStatus === 'stopped' ? null : 'stopped'
-                  )
-                }
+        <div className="show-detail__actions">
+          {show.profileStatus !== 'stopped' && (
+            <select
+              className="show-detail__status"
+              aria-label="Show status"
+              value={manualStatus}
+              onChange={(event) =>
+                onUpdateShowStatus(show.id, event.target.value || null)
+              }
+            >
+              <option value="">Track progress</option>
+              <option value="favorite">{STATE_LABELS.favorite}</option>
+              <option value="planned">{STATE_LABELS.planned}</option>
+              <option value="paused">{STATE_LABELS.paused}</option>
+            </select>
+          )}
+          {hasReleasedEpisodes && (
+            <button
+              className="outline show-detail__action"
+              type="button"
+              onClick={() => onToggleShow(!isShowWatched)}
+            >
+              {isShowWatched ? 'Mark show unwatched' : 'Mark show watched'}
+            </button>
+          )}
+          <button
+            className="outline show-detail__action"
+            type="button"
+            onClick={handleRefresh}
+            disabled={refreshing}
+          >
+            {refreshing ? 'Refreshing...' : 'Refresh metadata'}
+          </button>
+          {canRewatch && (
+            <button
+              className="outline outline--with-icon show-detail__action"
+              type="button"
+              onClick={() => onUpdateRewatch(show.id, !show.rewatching)}
+            >
+              <svg
+                className="button-icon"
+                viewBox="0 0 24 24"
+                aria-hidden="true"
               >
-                {show.profileStatus === 'stopped' ? (
-                  <svg
-                    className="button-icon resume-icon"
-                    viewBox="0 0 24 24"
-                    aria-hidden="true"
-                  >
-                    <path
-                      d="M7 5v14l11-7z"
-                      fill="none"
-                      stroke="currentColor"
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      strokeWidth="2"
-                    />
-                  </svg>
-                ) : (
-                  <svg
-                    className="button-icon stop-icon"
-                    viewBox="0 0 24 24"
-                    aria-hidden="true"
-                  >
-                    <rect
-                      x="6"
-                      y="6"
-                      width="12"
-                      height="12"
-                      rx="2"
-                      fill="none"
-                      stroke="currentColor"
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      strokeWidth="2"
-                    />
-                  </svg>
-                )}
-                {show.profileStatus === 'stopped'
-                  ? 'Resume Watching'
-                  : 'Stop Watching'}
-              </button>
-            )}
-            {canRemove &&
-              (confirmingRemove ? (
-                <div className="settings-profile-confirm">
-                  <span>Delete?</span>
-                  <button
-                    className="settings-profile-cancel"
-                    type="button"
-                    onClick={() => setConfirmingRemove(false)}
-                  >
-                    Cancel
-                  </button>
-                  <button
-                    className="settings-profile-confirm-button"
-                    type="button"
-                    onClick={handleRemoveConfirm}
-                  >
-                    Delete
-                  </button>
-                </div>
+                <path
+                  d="M4 12a8 8 0 0 1 13.66-5.66L20 8.5M20 4v4.5h-4.5M20 12a8 8 0 0 1-13.66 5.66L4 15.5M4 20v-4.5h4.5"
+                  fill="none"
+                  stroke="currentColor"
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth="2"
+                />
+              </svg>
+              {show.rewatching ? 'End Rewatch' : 'Rewatch'}
+            </button>
+          )}
+          {canToggleStatus && (
+            <button
+              className="outline outline--with-icon show-detail__action"
+              type="button"
+              onClick={() =>
+                onUpdateShowStatus(
+                  show.id,
+                  show.profileStatus === 'stopped' ? null : 'stopped'
+                )
+              }
+            >
+              {show.profileStatus === 'stopped' ? (
+                <svg
+                  className="button-icon resume-icon"
+                  viewBox="0 0 24 24"
+                  aria-hidden="true"
+                >
+                  <path
+                    d="M7 5v14l11-7z"
+                    fill="none"
+                    stroke="currentColor"
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth="2"
+                  />
+                </svg>
               ) : (
-                <button
-                  className="settings-profile-action settings-profile-action--danger show-detail__delete"
-                  type="button"
-                  aria-label={`Remove ${show.name}`}
-                  title="Remove show"
-                  onClick={() => setConfirmingRemove(true)}
+                <svg
+                  className="button-icon stop-icon"
+                  viewBox="0 0 24 24"
+                  aria-hidden="true"
                 >
-                  <svg
-                    viewBox="0 0 24 24"
+                  <rect
+                    x="6"
+                    y="6"
+                    width="12"
+                    height="12"
+                    rx="2"
                     fill="none"
                     stroke="currentColor"
-                    strokeWidth="1.8"
                     strokeLinecap="round"
                     strokeLinejoin="round"
-                    aria-hidden="true"
-                  >
-                    <polyline points="3 6 5 6 21 6" />
-                    <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6" />
-                    <path d="M10 11v6" />
-                    <path d="M14 11v6" />
-                    <path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2" />
-                  </svg>
+                    strokeWidth="2"
+                  />
+                </svg>
+              )}
+              {show.profileStatus === 'stopped'
+                ? 'Resume Watching'
+                : 'Stop Watching'}
+            </button>
+          )}
+          {canRemove &&
+            (confirmingRemove ? (
+              <div className="settings-profile-confirm">
+                <span>Delete?</span>
+                <button
+                  className="settings-profile-cancel"
+                  type="button"
+                  onClick={() => setConfirmingRemove(false)}
+                >
+                  Cancel
                 </button>
-              ))}
-          </div>
-        )}
+                <button
+                  className="settings-profile-confirm-button"
+                  type="button"
+                  onClick={handleRemoveConfirm}
+                >
+                  Delete
+                </button>
+              </div>
+            ) : (
+              <button
+                className="settings-profile-action settings-profile-action--danger show-detail__delete"
+                type="button"
+                aria-label={`Remove ${show.name}`}
+                title="Remove show"
+                onClick={() => setConfirmingRemove(true)}
+              >
+                <svg
+                  viewBox="0 0 24 24"
+                  fill="none"
+                  stroke="currentColor"
+                  strokeWidth="1.8"
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  aria-hidden="true"
+                >
+                  <polyline points="3 6 5 6 21 6" />
+                  <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6" />
+                  <path d="M10 11v6" />
+                  <path d="M14 11v6" />
+                  <path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2" />
+                </svg>
+              </button>
+            ))}
+        </div>
       </div>
       <div className="show-detail__hero">
         <div className="show-detail__image">
           {show.image ? (
-            <img src={show.image} alt={show.name} />
+            <img src={getImageUrl(show.image, 'large')} alt={show.name} />
           ) : (
             <div className="image-fallback" />
           )}
@@ -2383,7 +4770,74 @@ function ShowDetailView({
         <div className="show-detail__summary">
           <h3>Synopsis</h3>
           <p>{show.summary || 'No synopsis available.'}</p>
+          {crew.length > 0 && (
+            <p className="show-detail__crew">
+              {crew.slice(0, 6).map((member, index) => (
+                <span key={`${member.personId}-${member.job}`}>
+                  {index > 0 && ' · '}
+                  {member.job}:{' '}
+                  <button
+                    className="text-button"
+                    type="button"
+                    onClick={() => onPersonSelect(member.personId)}
+                  >
+                    {member.name}
+                  </button>
+                </span>
+              ))}
+            </p>
+          )}
+        </div>
+      </div>
+      {cast.length > 0 && (
+        <div className="show-detail__cast">
+          <h3>Cast</h3>
+          <ul className="cast-list">
+            {cast.map((member) => (
+              <li key={`${member.personId}-${member.character}`}>
+                <button
+                  className="cast-card"
+                  type="button"
+                  onClick={() => onPersonSelect(member.personId)}
+                >
+                  <div className="cast-card__image">
+                    {member.image ? (
+                      <img
+                        src={getImageUrl(member.image, 'thumb')}
+                        alt={member.name}
+                      />
+                    ) : (
+                      <div className="image-fallback" />
+                    )}
+                  </div>
+                  <strong>{member.name}</strong>
+                  {member.character && (
+                    <span className="muted">{member.character}</span>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
         </div>
+      )}
+      <div className="show-detail__notes">
+        <h3>Tags</h3>
+        <ShowTagEditor
+          tags={tags}
+          selected={show.tags}
+          onChange={(tagIds) => onUpdateShowTags(show.id, tagIds)}
+          onCreate={(name) => onCreateTag(name)}
+        />
+        <h3>Notes</h3>
+        <NotesPanel
+          notes={notes}
+          placeholder="Add a private note about this show"
+          onCreate={(body) => onCreateNote('show', show.id, body)}
+          onUpdate={(noteId, body) =>
+            onUpdateNote('show', show.id, noteId, body)
+          }
+          onDelete={(noteId) => onDeleteNote('show', show.id, noteId)}
+        />
       </div>
       {loading && (
         <div className="empty-state empty-state--loading">
@@ -2392,11 +4846,19 @@ function ShowDetailView({
       )}
       {!loading && (
         <div className="season-list">
-          {seasons.map((season) => {
+          {orderedSeasons.map((season) => {
             const isOpen =
-              openSeasons[String(season.season)] ?? !season.watched;
+              openSeasons[String(season.season)] ??
+              (!season.watched && !season.special);
             return (
-              <div key={season.season} className="season-card">
+              <div
+                key={season.season}
+                className={
+                  season.special
+                    ? 'season-card season-card--specials'
+                    : 'season-card'
+                }
+              >
                 <div
                   className="season-card__header"
                   role="button"
@@ -2412,10 +4874,36 @@ function ShowDetailView({
                   }}
                 >
                   <div className="season-card__info">
-                    <h3>Season {season.season}</h3>
+                    <h3>{season.special ? 'Specials' : `Season ${season.season}`}</h3>
                     <p className="muted">
                       Watched {season.watchedCount}/{season.totalCount}
+                      {season.averageRating !== null &&
+                        season.averageRating !== undefined &&
+                        ` · Avg ★ ${season.averageRating}`}
+                      {season.special &&
+                        !show.includeSpecials &&
+                        ' · Not counted toward progress'}
                     </p>
+                    {season.special && (
+                      <select
+                        className="season-card__specials"
+                        aria-label="Specials progress setting"
+                        value={specialsOverrideValue}
+                        onClick={(event) => event.stopPropagation()}
+                        onKeyDown={(event) => event.stopPropagation()}
+                        onChange={(event) => {
+                          const { value } = event.target;
+                          onUpdateSpecials(
+                            show.id,
+                            value === 'profile' ? null : value === 'include'
+                          );
+                        }}
+                      >
+                        <option value="profile">Use profile setting</option>
+                        <option value="include">Count toward progress</option>
+                        <option value="exclude">Ignore for progress</option>
+                      </select>
+                    )}
                   </div>
                   <div className="season-actions">
                     <button
@@ -2472,15 +4960,78 @@ function ShowDetailView({
                             <span className="tag">
                               {formatEpisodeCode(episode)}
                             </span>
-                            <AirdateBadge airdate={episode.airdate} />
+                            <AirdateBadge
+                              airdate={episode.airdate}
+                              airstamp={episode.airstamp}
+                              viewerTimeZone={timeZone}
+                            />
                             {episode.runtime && (
                               <span className="badge badge--muted">
                                 {episode.runtime}m
                               </span>
                             )}
+                            {episode.watchCount > (episode.watched ? 1 : 0) && (
+                              <span className="badge badge--muted">
+                                Seen {episode.watchCount}×
+                              </span>
+                            )}
+                            <WatchDateEditor
+                              episode={episode}
+                              onSave={(watchedAt) =>
+                                onToggleEpisode(episode.id, true, { watchedAt })
+                              }
+                            />
+                            <RatingSelect
+                              value={episode.rating}
+                              label="Rate this episode"
+                              onChange={(rating) =>
+                                onRateEpisode(episode.id, rating)
+                              }
+                            />
+                            <button
+                              className="badge badge--muted episode-notes__toggle"
+                              type="button"
+                              aria-expanded={Boolean(openEpisodeNotes[episode.id])}
+                              onClick={() =>
+                                setOpenEpisodeNotes((prev) => ({
+                                  ...prev,
+                                  [episode.id]: !prev[episode.id],
+                                }))
+                              }
+                            >
+                              {episode.notes?.length
+                                ? `Notes (${episode.notes.length})`
+                                : 'Add note'}
+                            </button>
                           </div>
                           <div className="episode-row__title-row">
                             <h4>{episode.name || 'Untitled episode'}</h4>
+                            {!season.special &&
+                              !episode.watched &&
+                              isEpisodeReleased(episode) && (
+                              <button
+                                className="watch-up-to"
+                                type="button"
+                                onClick={() => onWatchUpTo(episode.id)}
+                                aria-label="Mark watched up to here"
+                                title="Mark watched up to here"
+                              >
+                                <svg
+                                  viewBox="0 0 24 24"
+                                  aria-hidden="true"
+                                  focusable="false"
+                                >
+                                  <path
+                                    d="M2 13l4 4 10-10M10 17l1 0 10-10"
+                                    fill="none"
+                                    stroke="currentColor"
+                                    strokeWidth="2.2"
+                                    strokeLinecap="round"
+                                    strokeLinejoin="round"
+                                  />
+                                </svg>
+                              </button>
+                            )}
                             <CheckButton
                               active={episode.watched}
                               label={
@@ -2497,6 +5048,21 @@ function ShowDetailView({
                         <p className="muted">
                           {episode.summary || 'No episode summary available.'}
                         </p>
+                        {openEpisodeNotes[episode.id] && (
+                          <NotesPanel
+                            notes={episode.notes}
+                            placeholder="Add a private note about this episode"
+                            onCreate={(body) =>
+                              onCreateNote('episode', episode.id, body)
+                            }
+                            onUpdate={(noteId, body) =>
+                              onUpdateNote('episode', episode.id, noteId, body)
+                            }
+                            onDelete={(noteId) =>
+                              onDeleteNote('episode', episode.id, noteId)
+                            }
+                          />
+                        )}
                       </div>
                     );
                   })}
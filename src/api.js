@@ -77,3 +77,10 @@ export async function apiFetch(path, options = {}) {
   }
   return data;
 }
+
+// Artwork is served through the server's image cache instead of hot-linking
+// the provider CDN. `size` is one of thumb, poster, large or original.
+export function getImageUrl(url, size) {
+  if (!url) return null;
+  return `${API_BASE}/api/images/${size}?url=${encodeURIComponent(url)}`;
+}
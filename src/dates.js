@@ -0,0 +1,15 @@
+export function toDateInputValue(value) {
+  const date = value ? new Date(value) : new Date();
+  if (Number.isNaN(date.getTime())) return '';
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Picked dates are logged at local noon so they read back as the same day in
+// any timezone; today is clamped to `now` because the API rejects future times.
+export function toPickedWatchedAt(date, now = new Date()) {
+  const picked = new Date(`${date}T12:00:00`);
+  return (picked > now ? now : picked).toISOString();
+}
@@ -6,8 +6,18 @@ function toNumber(value) {
 
 export function resetDb() {
   db.exec(`
+    DELETE FROM action_log;
+    DELETE FROM show_trash;
+    DELETE FROM watch_events;
+    DELETE FROM profile_episode_ratings;
+    DELETE FROM notes;
+    DELETE FROM show_tags;
+    DELETE FROM tags;
     DELETE FROM profile_episodes;
     DELETE FROM profile_shows;
+    DELETE FROM show_sync_status;
+    DELETE FROM show_credits;
+    DELETE FROM people;
     DELETE FROM episodes;
     DELETE FROM shows;
     DELETE FROM profiles;
@@ -58,6 +68,7 @@ export function createEpisode({
   summary = '',
   airdate = null,
   airtime = null,
+  airstamp = null,
   runtime = null,
   imageMedium = null,
   imageOriginal = null,
@@ -65,8 +76,9 @@ export function createEpisode({
   const result = db
     .prepare(
       `INSERT INTO episodes
-        (show_id, tvmaze_id, season, number, name, summary, airdate, airtime, runtime, image_medium, image_original)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        (show_id, tvmaze_id, season, number, name, summary, airdate, airtime, airstamp,
+         runtime, image_medium, image_original)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
     )
     .run(
       showId,
@@ -77,6 +89,7 @@ export function createEpisode({
       summary,
       airdate,
       airtime,
+      airstamp,
       runtime,
       imageMedium,
       imageOriginal
@@ -105,4 +118,8 @@ export function markEpisodeWatched({
     `INSERT INTO profile_episodes (profile_id, episode_id, watched_at)
      VALUES (?, ?, ?)`
   ).run(profileId, episodeId, watchedAt);
+  db.prepare(
+    `INSERT INTO watch_events (profile_id, episode_id, pass, watched_at)
+     VALUES (?, ?, 0, ?)`
+  ).run(profileId, episodeId, watchedAt);
 }
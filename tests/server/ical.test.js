@@ -0,0 +1,208 @@
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { buildCalendar, escapeText, foldLine } from '../../server/ical.js';
+import { createAgent, createProfile, registerUser } from '../helpers/api.js';
+import { createEpisode, createShow, linkProfileShow, resetDb } from '../helpers/db.js';
+
+vi.mock('../../server/tvmaze.js', () => ({
+  searchShows: vi.fn(),
+  fetchShow: vi.fn(),
+  fetchEpisodes: vi.fn(),
+}));
+
+let app;
+
+beforeAll(async () => {
+  ({ app } = await import('../../server/index.js'));
+});
+
+describe('iCalendar writer', () => {
+  it('escapes text values', () => {
+    expect(escapeText('Pilot; Part 1, again\\\nnext')).toBe(
+      'Pilot\\; Part 1\\, again\\\\\\nnext'
+    );
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const folded = foldLine(line).split('\r\n');
+    expect(folded.length).toBeGreaterThan(1);
+    folded.forEach((part) => {
+      expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75);
+    });
+    expect(folded.slice(1).every((part) => part.startsWith(' '))).toBe(true);
+    expect(folded.map((part, index) => (index ? part.slice(1) : part)).join('')).toBe(
+      line
+    );
+  });
+
+  it('writes timed and all-day events', () => {
+    const text = buildCalendar({
+      name: 'Feed',
+      now: new Date('2024-04-10T12:00:00Z'),
+      events: [
+        {
+          uid: 'a@episodely',
+          summary: 'Timed',
+          start: new Date('2024-04-11T00:00:00Z'),
+          durationMinutes: 45,
+        },
+        { uid: 'b@episodely', summary: 'All day', day: '2024-04-30' },
+      ],
+    });
+    const lines = text.split('\r\n');
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines).toContain('DTSTAMP:20240410T120000Z');
+    expect(lines).toContain('DTSTART:20240411T000000Z');
+    expect(lines).toContain('DTEND:20240411T004500Z');
+    expect(lines).toContain('DTSTART;VALUE=DATE:20240430');
+    expect(lines).toContain('DTEND;VALUE=DATE:20240501');
+  });
+});
+
+describe('calendar feed', () => {
+  let agent;
+  let profileId;
+
+  beforeEach(async () => {
+    resetDb();
+    agent = createAgent(app);
+    await registerUser(agent, { username: 'feed', password: 'password123' });
+    const profile = await createProfile(agent, 'Main');
+    profileId = profile.body.id;
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-04-10T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  function addUpcomingShow({ tvmazeId, name, status = null, episode }) {
+    const showId = createShow({ tvmazeId, name });
+    linkProfileShow({ profileId, showId, status });
+    createEpisode({ showId, tvmazeId: tvmazeId * 10, season: 1, number: 1, ...episode });
+    return showId;
+  }
+
+  it('requires a token that can be rotated and revoked', async () => {
+    const initial = await agent.get('/api/profiles/calendar-feed');
+    expect(initial.body.path).toBeNull();
+
+    const first = await agent.post('/api/profiles/calendar-feed');
+    expect(first.body.path).toMatch(/^\/api\/calendar\/feed\/[0-9a-f]{48}\.ics$/);
+
+    // Calendar apps send no cookies.
+    const anonymous = createAgent(app);
+    expect((await anonymous.get(first.body.path)).status).toBe(200);
+
+    const second = await agent.post('/api/profiles/calendar-feed');
+    expect(second.body.path).not.toBe(first.body.path);
+    expect((await anonymous.get(first.body.path)).status).toBe(404);
+    expect((await agent.get('/api/profiles/calendar-feed')).body.path).toBe(
+      second.body.path
+    );
+
+    await agent.delete('/api/profiles/calendar-feed');
+    expect((await anonymous.get(second.body.path)).status).toBe(404);
+  });
+
+  it('lists upcoming episodes as timed or all-day events', async () => {
+    addUpcomingShow({
+      tvmazeId: 1,
+      name: 'Night Show',
+      episode: {
+        name: 'Premiere, Part 1',
+        airdate: '2024-04-11',
+        airtime: '21:00',
+        airstamp: '2024-04-12T01:00:00.000Z',
+        runtime: 60,
+      },
+    });
+    addUpcomingShow({
+      tvmazeId: 2,
+      name: 'Dateless',
+      episode: { name: 'Someday', airdate: '2024-04-13' },
+    });
+    const { body } = await agent.post('/api/profiles/calendar-feed');
+
+    const timed = await createAgent(app).get(body.path);
+    expect(timed.headers['content-type']).toContain('text/calendar');
+    expect(timed.text).toContain('SUMMARY:Night Show S01E01 - Premiere\\, Part 1');
+    expect(timed.text).toContain('DTSTART:20240412T010000Z\r\nDTEND:20240412T020000Z');
+    expect(timed.text).toContain('DTSTART;VALUE=DATE:20240413');
+
+    const allDay = await createAgent(app).get(`${body.path}?events=all-day`);
+    expect(allDay.text).toContain('DTSTART;VALUE=DATE:20240411');
+    expect(allDay.text).not.toContain('DTSTART:2024');
+
+    // All-day events follow the profile's timezone when one is set.
+    await agent.post('/api/profiles/settings', { timezone: 'Asia/Tokyo' });
+    const zoned = await createAgent(app).get(`${body.path}?events=all-day`);
+    expect(zoned.text).toContain('DTSTART;VALUE=DATE:20240412');
+
+    const invalid = await createAgent(app).get(`${body.path}?events=hourly`);
+    expect(invalid.status).toBe(400);
+  });
+
+  it('leaves out episodes that aired before today', async () => {
+    addUpcomingShow({
+      tvmazeId: 1,
+      name: 'Yesterday Show',
+      episode: {
+        name: 'Aired',
+        airdate: '2024-04-09',
+        airtime: '20:00',
+        airstamp: '2024-04-09T20:00:00.000Z',
+      },
+    });
+    addUpcomingShow({
+      tvmazeId: 2,
+      name: 'Today Show',
+      episode: {
+        name: 'Earlier',
+        airdate: '2024-04-10',
+        airtime: '08:00',
+        airstamp: '2024-04-10T08:00:00.000Z',
+      },
+    });
+    addUpcomingShow({
+      tvmazeId: 3,
+      name: 'Dated Show',
+      episode: { name: 'Yesterday', airdate: '2024-04-09' },
+    });
+    const { body } = await agent.post('/api/profiles/calendar-feed');
+
+    const feed = await createAgent(app).get(body.path);
+    expect(feed.text).not.toContain('Yesterday Show');
+    expect(feed.text).not.toContain('Dated Show');
+    expect(feed.text).toContain('Today Show');
+  });
+
+  it('filters events by show state', async () => {
+    addUpcomingShow({
+      tvmazeId: 1,
+      name: 'Favorite Show',
+      status: 'favorite',
+      episode: { name: 'Loved', airdate: '2024-04-12' },
+    });
+    addUpcomingShow({
+      tvmazeId: 2,
+      name: 'Queued Show',
+      episode: { name: 'Waiting', airdate: '2024-04-12' },
+    });
+    const { body } = await agent.post('/api/profiles/calendar-feed');
+    const feed = createAgent(app);
+
+    const favorites = await feed.get(`${body.path}?states=favorite`);
+    expect(favorites.text).toContain('Favorite Show');
+    expect(favorites.text).not.toContain('Queued Show');
+
+    const both = await feed.get(`${body.path}?states=favorite,queued`);
+    expect(both.text).toContain('Favorite Show');
+    expect(both.text).toContain('Queued Show');
+
+    const unknown = await feed.get(`${body.path}?states=binging`);
+    expect(unknown.status).toBe(400);
+  });
+});
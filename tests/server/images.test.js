@@ -0,0 +1,198 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import sharp from 'sharp';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import db from '../../server/db.js';
+import { getImageKey } from '../../server/images.js';
+import { createAgent, createProfile, registerUser } from '../helpers/api.js';
+import { createShow, linkProfileShow, resetDb } from '../helpers/db.js';
+
+vi.mock('../../server/tvmaze.js', () => ({
+  searchShows: vi.fn(),
+  fetchShow: vi.fn(),
+  fetchEpisodes: vi.fn(),
+}));
+
+// The local stand-in below plays the provider's image host.
+vi.mock('../../server/providers/index.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  listImageHosts: () => new Set([new URL(baseUrl).host]),
+}));
+
+let app;
+let pruneUnusedImages;
+let server;
+let baseUrl;
+let requests;
+let poster;
+
+const imageRoot = path.join(path.dirname(process.env.DB_PATH), 'images');
+
+// Local stand-in for the provider CDN.
+function handleRequest(req, res) {
+  requests.push(req.url);
+  if (req.url.startsWith('/missing')) {
+    res.writeHead(404);
+    return res.end();
+  }
+  if (req.url.startsWith('/vector')) {
+    res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+    return res.end(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10">' +
+        '<script>alert(1)</script></svg>'
+    );
+  }
+  res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+  return res.end(poster);
+}
+
+beforeAll(async () => {
+  poster = await sharp({
+    create: { width: 680, height: 1000, channels: 3, background: '#335577' },
+  })
+    .jpeg()
+    .toBuffer();
+  server = http.createServer(handleRequest);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  ({ app, pruneUnusedImages } = await import('../../server/index.js'));
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+async function setupProfile() {
+  const agent = createAgent(app);
+  await registerUser(agent);
+  const profile = await createProfile(agent);
+  return { agent, profileId: profile.body.id };
+}
+
+function imagePath(url) {
+  return `/api/images/poster?url=${encodeURIComponent(url)}`;
+}
+
+describe('image cache', () => {
+  beforeEach(() => {
+    resetDb();
+    fs.rmSync(imageRoot, { recursive: true, force: true });
+    requests = [];
+  });
+
+  it('downloads, resizes and caches show artwork', async () => {
+    const { agent } = await setupProfile();
+    const url = `${baseUrl}/posters/1.jpg`;
+    createShow({ tvmazeId: 1, name: 'Cached', imageOriginal: url });
+
+    const first = await agent.get(imagePath(url));
+    expect(first.status).toBe(200);
+    expect(first.headers['content-type']).toContain('image/jpeg');
+    expect(first.headers['cache-control']).toBe(
+      'private, max-age=31536000, immutable'
+    );
+    expect(first.headers['content-security-policy']).toBe("default-src 'none'");
+    expect(first.headers['x-content-type-options']).toBe('nosniff');
+
+    const dir = path.join(imageRoot, getImageKey(url));
+    expect(fs.readdirSync(dir).sort()).toEqual(['poster.jpg', 'source.jpg']);
+    const resized = await sharp(path.join(dir, 'poster.jpg')).metadata();
+    expect(resized.width).toBe(342);
+
+    const second = await agent.get(
+      `/api/images/original?url=${encodeURIComponent(url)}`
+    );
+    expect(second.status).toBe(200);
+    expect(requests).toEqual(['/posters/1.jpg']);
+  });
+
+  it('rejects unknown sizes and URLs outside the provider image hosts', async () => {
+    const { agent } = await setupProfile();
+    const storedUrl = baseUrl.replace('127.0.0.1', 'localhost') + '/a.jpg';
+    createShow({ tvmazeId: 1, name: 'Imported', imageOriginal: storedUrl });
+
+    const badSize = await agent.get(
+      `/api/images/huge?url=${encodeURIComponent(`${baseUrl}/a.jpg`)}`
+    );
+    expect(badSize.status).toBe(400);
+
+    const stored = await agent.get(imagePath(storedUrl));
+    expect(stored.status).toBe(404);
+    const internal = await agent.get(imagePath('http://169.254.169.254/latest'));
+    expect(internal.status).toBe(404);
+    expect(requests).toEqual([]);
+  });
+
+  it('refuses to cache SVG artwork', async () => {
+    const { agent } = await setupProfile();
+    const url = `${baseUrl}/vector.svg`;
+
+    const response = await agent.get(
+      `/api/images/original?url=${encodeURIComponent(url)}`
+    );
+    expect(response.status).toBe(502);
+    expect(response.headers['content-type']).toContain('application/json');
+    expect(fs.existsSync(path.join(imageRoot, getImageKey(url)))).toBe(false);
+  });
+
+  it('reports upstream failures', async () => {
+    const { agent } = await setupProfile();
+    const url = `${baseUrl}/missing.jpg`;
+    createShow({ tvmazeId: 1, name: 'Missing', imageOriginal: url });
+
+    const response = await agent.get(imagePath(url));
+    expect(response.status).toBe(502);
+    expect(response.body.error).toBe('Image unavailable');
+  });
+
+  it('prunes images for shows no profile follows', async () => {
+    const { agent, profileId } = await setupProfile();
+    const followedUrl = `${baseUrl}/followed.jpg`;
+    const orphanUrl = `${baseUrl}/orphan.jpg`;
+    const followedId = createShow({
+      tvmazeId: 1,
+      name: 'Followed',
+      imageOriginal: followedUrl,
+    });
+    createShow({ tvmazeId: 2, name: 'Orphan', imageOriginal: orphanUrl });
+    linkProfileShow({ profileId, showId: followedId });
+
+    await agent.get(imagePath(followedUrl));
+    await agent.get(imagePath(orphanUrl));
+
+    expect(pruneUnusedImages()).toBe(1);
+    expect(fs.readdirSync(imageRoot)).toEqual([getImageKey(followedUrl)]);
+  });
+
+  it('keeps person photos and artwork of trashed shows', async () => {
+    const { agent, profileId } = await setupProfile();
+    const trashedUrl = `${baseUrl}/trashed.jpg`;
+    const photoUrl = `${baseUrl}/photo.jpg`;
+    const trashedId = createShow({
+      tvmazeId: 1,
+      name: 'Trashed',
+      imageOriginal: trashedUrl,
+    });
+    linkProfileShow({ profileId, showId: trashedId });
+    const { lastInsertRowid: personId } = db
+      .prepare(
+        `INSERT INTO people (provider, provider_id, name, image_original)
+         VALUES ('tvmaze', 1, 'Lead Actor', ?)`
+      )
+      .run(photoUrl);
+    db.prepare(
+      `INSERT INTO show_credits (show_id, person_id, kind, character, position)
+       VALUES (?, ?, 'cast', 'Lead', 0)`
+    ).run(trashedId, personId);
+    await agent.delete(`/api/shows/${trashedId}`);
+
+    await agent.get(imagePath(trashedUrl));
+    await agent.get(imagePath(photoUrl));
+
+    expect(pruneUnusedImages()).toBe(0);
+    expect(fs.readdirSync(imageRoot).sort()).toEqual(
+      [getImageKey(trashedUrl), getImageKey(photoUrl)].sort()
+    );
+  });
+});
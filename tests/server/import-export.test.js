@@ -165,6 +165,187 @@ describe('tvmaze, import/export, calendar', () => {
     expect(response.body.shows[0].episodes[0].tvmazeEpisodeId).toBe(7101);
   });
 
+  it('round-trips rewatch passes through export and import', async () => {
+    const showId = createShow({ tvmazeId: 7301, name: 'Rewatched Show' });
+    linkProfileShow({ profileId, showId });
+    const episodeId = createEpisode({
+      showId,
+      tvmazeId: 7311,
+      season: 1,
+      number: 1,
+      name: 'Rewatched Ep',
+      airdate: '2024-04-01',
+    });
+    markEpisodeWatched({
+      profileId,
+      episodeId,
+      watchedAt: '2024-04-02T12:00:00Z',
+    });
+    await agent.post(`/api/shows/${showId}/rewatch`, { rewatching: true });
+    await agent.post(`/api/episodes/${episodeId}/watch`, { watched: true });
+
+    const exported = await agent.get('/api/export');
+    const [exportedShow] = exported.body.shows;
+    expect(exportedShow.rewatchCount).toBe(1);
+    expect(exportedShow.rewatching).toBe(true);
+    expect(exportedShow.episodes[0].watchedAt).toBe('2024-04-02T12:00:00Z');
+    expect(exportedShow.episodes[0].rewatches).toHaveLength(1);
+    expect(exportedShow.episodes[0].rewatches[0].pass).toBe(1);
+
+    const otherProfile = await createProfile(agent, 'Other');
+    await agent.post('/api/profiles/select', { profileId: otherProfile.body.id });
+    const imported = await agent.post('/api/import', exported.body);
+    expect(imported.status).toBe(200);
+
+    const events = db
+      .prepare(
+        `SELECT pass FROM watch_events
+         WHERE profile_id = ? AND episode_id = ?
+         ORDER BY pass`
+      )
+      .all(otherProfile.body.id, episodeId);
+    expect(events.map((event) => event.pass)).toEqual([0, 1]);
+
+    const detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.body.show.rewatchCount).toBe(1);
+    expect(detail.body.show.rewatching).toBe(true);
+  });
+
+  it('round-trips manual show statuses through profileStatus', async () => {
+    const pausedId = createShow({ tvmazeId: 7401, name: 'Paused Show' });
+    linkProfileShow({ profileId, showId: pausedId, status: 'paused' });
+    const favoriteId = createShow({ tvmazeId: 7402, name: 'Favorite Show' });
+    linkProfileShow({ profileId, showId: favoriteId, status: 'favorite' });
+
+    const exported = await agent.get('/api/export');
+    const statusByName = Object.fromEntries(
+      exported.body.shows.map((show) => [show.name, show.profileStatus])
+    );
+    expect(statusByName).toEqual({
+      'Paused Show': 'paused',
+      'Favorite Show': 'favorite',
+    });
+
+    const otherProfile = await createProfile(agent, 'Other');
+    await agent.post('/api/profiles/select', { profileId: otherProfile.body.id });
+    exported.body.shows.push({
+      ...exported.body.shows[0],
+      tvmazeId: 7403,
+      name: 'Unknown Status',
+      profileStatus: 'archived',
+    });
+    const imported = await agent.post('/api/import', exported.body);
+    expect(imported.status).toBe(200);
+
+    const rows = db
+      .prepare(
+        `SELECT s.name, ps.status
+         FROM profile_shows ps
+         JOIN shows s ON s.id = ps.show_id
+         WHERE ps.profile_id = ?
+         ORDER BY s.name`
+      )
+      .all(otherProfile.body.id);
+    expect(rows.map((row) => [row.name, row.status])).toEqual([
+      ['Favorite Show', 'favorite'],
+      ['Paused Show', 'paused'],
+      ['Unknown Status', null],
+    ]);
+  });
+
+  it('round-trips show and episode ratings', async () => {
+    const showId = createShow({ tvmazeId: 7501, name: 'Rated Show' });
+    linkProfileShow({ profileId, showId });
+    const episodeId = createEpisode({
+      showId,
+      tvmazeId: 7511,
+      season: 1,
+      number: 1,
+      name: 'Rated Ep',
+      airdate: '2024-04-01',
+    });
+    await agent.post(`/api/shows/${showId}/rating`, { rating: 6 });
+    await agent.post(`/api/episodes/${episodeId}/rating`, { rating: 10 });
+
+    const exported = await agent.get('/api/export');
+    const [exportedShow] = exported.body.shows;
+    expect(exportedShow.rating).toBe(6);
+    expect(exportedShow.episodes[0].rating).toBe(10);
+
+    const otherProfile = await createProfile(agent, 'Other');
+    await agent.post('/api/profiles/select', { profileId: otherProfile.body.id });
+    const imported = await agent.post('/api/import', exported.body);
+    expect(imported.status).toBe(200);
+
+    const detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.body.show.rating).toBe(6);
+    expect(detail.body.seasons[0].episodes[0].rating).toBe(10);
+  });
+
+  it('round-trips show and episode notes without duplicating them', async () => {
+    const showId = createShow({ tvmazeId: 7601, name: 'Noted Show' });
+    linkProfileShow({ profileId, showId });
+    const episodeId = createEpisode({
+      showId,
+      tvmazeId: 7611,
+      season: 1,
+      number: 1,
+      name: 'Noted Ep',
+      airdate: '2024-04-01',
+    });
+    await agent.post(`/api/shows/${showId}/notes`, { body: 'Show note' });
+    await agent.post(`/api/episodes/${episodeId}/notes`, { body: 'Episode note' });
+
+    const exported = await agent.get('/api/export');
+    const [exportedShow] = exported.body.shows;
+    expect(exportedShow.notes.map((note) => note.body)).toEqual(['Show note']);
+    expect(exportedShow.episodes[0].notes.map((note) => note.body)).toEqual([
+      'Episode note',
+    ]);
+
+    const otherProfile = await createProfile(agent, 'Other');
+    await agent.post('/api/profiles/select', { profileId: otherProfile.body.id });
+    await agent.post('/api/import', exported.body);
+    await agent.post('/api/import', exported.body);
+
+    const detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.body.notes.map((note) => note.body)).toEqual(['Show note']);
+    expect(
+      detail.body.seasons[0].episodes[0].notes.map((note) => note.body)
+    ).toEqual(['Episode note']);
+  });
+
+  it('round-trips tags and collections', async () => {
+    const showId = createShow({ tvmazeId: 7701, name: 'Tagged Show' });
+    linkProfileShow({ profileId, showId });
+    const tag = await agent.post('/api/tags', {
+      name: 'with partner',
+      isCollection: true,
+    });
+    await agent.post('/api/tags', { name: 'unused' });
+    await agent.put(`/api/shows/${showId}/tags`, { tagIds: [tag.body.tag.id] });
+
+    const exported = await agent.get('/api/export');
+    expect(exported.body.tags).toEqual([
+      { name: 'unused', isCollection: false },
+      { name: 'with partner', isCollection: true },
+    ]);
+    expect(exported.body.shows[0].tags).toEqual(['with partner']);
+
+    const otherProfile = await createProfile(agent, 'Other');
+    await agent.post('/api/profiles/select', { profileId: otherProfile.body.id });
+    const imported = await agent.post('/api/import', exported.body);
+    expect(imported.status).toBe(200);
+
+    const tags = await agent.get('/api/tags');
+    expect(
+      tags.body.tags.map((entry) => [entry.name, entry.isCollection, entry.showCount])
+    ).toEqual([
+      ['unused', false, 0],
+      ['with partner', true, 1],
+    ]);
+  });
+
   it('writes profile export backups that match the importable shape', () => {
     const showId = createShow({ tvmazeId: 7201, name: 'Backup Show' });
     linkProfileShow({ profileId, showId });
@@ -259,6 +440,10 @@ describe('tvmaze, import/export, calendar', () => {
           premiered: '2019-01-01',
           imageMedium: 'm.png',
           imageOriginal: 'o.png',
+          genres: ['Comedy'],
+          webChannel: 'Netflix',
+          scheduleDays: ['Friday'],
+          averageRuntime: 25,
           episodes: [
             {
               tvmazeEpisodeId: 8202,
@@ -275,10 +460,19 @@ describe('tvmaze, import/export, calendar', () => {
     expect(response.status).toBe(200);
 
     const showRow = db
-      .prepare('SELECT name, summary FROM shows WHERE tvmaze_id = ?')
+      .prepare(
+        `SELECT name, summary, genres, web_channel, schedule_days, average_runtime
+         FROM shows WHERE tvmaze_id = ?`
+      )
       .get(8201);
     expect(showRow.name).toBe('Payload Show');
     expect(showRow.summary).toBe('Seeded summary');
+    expect(showRow).toMatchObject({
+      genres: '["Comedy"]',
+      web_channel: 'Netflix',
+      schedule_days: '["Friday"]',
+      average_runtime: 25,
+    });
 
     const episodeRow = db
       .prepare('SELECT id FROM episodes WHERE tvmaze_id = ?')
@@ -387,4 +581,59 @@ describe('tvmaze, import/export, calendar', () => {
       vi.useRealTimers();
     }
   });
+
+  it('places calendar episodes by airstamp when one is stored', async () => {
+    vi.useFakeTimers();
+    try {
+      vi.setSystemTime(new Date('2024-04-10T06:00:00Z'));
+
+      const showId = createShow({ tvmazeId: 8001, name: 'Late Night' });
+      linkProfileShow({ profileId, showId });
+      // 21:00 ET on Apr 9 is already Apr 10 in UTC and most of Europe.
+      createEpisode({
+        showId,
+        tvmazeId: 8002,
+        season: 1,
+        number: 1,
+        name: 'Last Night',
+        airdate: '2024-04-09',
+        airtime: '21:00',
+        airstamp: '2024-04-10T01:00:00.000Z',
+      });
+      createEpisode({
+        showId,
+        tvmazeId: 8003,
+        season: 1,
+        number: 2,
+        name: 'Long Gone',
+        airdate: '2024-04-08',
+        airtime: '21:00',
+        airstamp: '2024-04-09T01:00:00.000Z',
+      });
+      createEpisode({
+        showId,
+        tvmazeId: 8004,
+        season: 1,
+        number: 3,
+        name: 'Tonight',
+        airdate: '2024-04-10',
+        airtime: '21:00',
+        airstamp: '2024-04-11T01:00:00.000Z',
+      });
+
+      const response = await agent.get('/api/calendar?days=10');
+      expect(response.status).toBe(200);
+      expect(response.body.episodes.map((episode) => episode.name)).toEqual([
+        'Last Night',
+        'Tonight',
+      ]);
+      expect(response.body.episodes[1].airstamp).toBe('2024-04-11T01:00:00.000Z');
+
+      // "Tonight" is dated today but has not aired yet.
+      const detail = await agent.get(`/api/shows/${showId}`);
+      expect(detail.body.seasons[0].releasedCount).toBe(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
 });
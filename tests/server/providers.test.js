@@ -0,0 +1,315 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import db from '../../server/db.js';
+import { createFixtureProvider } from '../../server/providers/fixtures.js';
+import { resetProviders } from '../../server/providers/index.js';
+import { createTmdbProvider } from '../../server/providers/tmdb.js';
+import { createAgent, createProfile, registerUser } from '../helpers/api.js';
+import { resetDb } from '../helpers/db.js';
+
+vi.mock('../../server/tvmaze.js', () => ({
+  searchShows: vi.fn(),
+  fetchShow: vi.fn(),
+  fetchEpisodes: vi.fn(),
+  lookupShow: vi.fn(),
+}));
+
+let app;
+
+beforeAll(async () => {
+  ({ app } = await import('../../server/index.js'));
+});
+
+function writeFixtureDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'episodely-fixtures-'));
+  fs.writeFileSync(
+    path.join(dir, '901.json'),
+    JSON.stringify({
+      show: {
+        id: 901,
+        name: 'Fixture Show',
+        summary: '<p>Offline <b>only</b></p>',
+        status: 'Ended',
+        premiered: '2020-01-01',
+        ended: '2021-01-01',
+        network: {
+          name: 'Local TV',
+          country: { timezone: 'America/New_York' },
+        },
+        image: { medium: 'medium.jpg', original: 'original.jpg' },
+        externals: { imdb: 'tt0000901', thetvdb: 9901 },
+        genres: ['Drama', 'Mystery'],
+        language: 'English',
+        officialSite: 'https://example.com/fixture',
+        schedule: { time: '21:00', days: ['Thursday'] },
+        averageRuntime: 30,
+        rating: { average: 7.5 },
+      },
+      episodes: [
+        {
+          id: 90101,
+          season: 1,
+          number: 1,
+          name: 'Pilot',
+          summary: '<p>First</p>',
+          airdate: '2020-01-01',
+          airtime: '20:00',
+          airstamp: '2020-01-02T01:00:00+00:00',
+          runtime: 30,
+        },
+      ],
+      cast: [
+        {
+          person: { id: 7001, name: 'Ada Actor', image: { medium: 'ada.jpg' } },
+          character: { id: 8001, name: 'The Lead', image: { medium: 'lead.jpg' } },
+        },
+      ],
+      crew: [{ type: 'Creator', person: { id: 7002, name: 'Cy Creator' } }],
+    })
+  );
+  fs.writeFileSync(
+    path.join(dir, '903.json'),
+    JSON.stringify({
+      show: { id: 903, name: 'Second Offline', premiered: '2022-05-01' },
+      episodes: [],
+      cast: [
+        {
+          person: { id: 7001, name: 'Ada Actor' },
+          character: { id: 8002, name: 'The Villain' },
+        },
+      ],
+    })
+  );
+  return dir;
+}
+
+describe('metadata providers', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('serves normalized shows from a fixture directory', async () => {
+    const provider = createFixtureProvider(writeFixtureDir());
+
+    const results = await provider.search('fixture');
+    expect(results).toEqual([
+      {
+        id: 901,
+        name: 'Fixture Show',
+        summary: 'Offline only',
+        status: 'Ended',
+        premiered: '2020-01-01',
+        ended: '2021-01-01',
+        company: 'Local TV',
+        imageMedium: 'medium.jpg',
+        imageOriginal: 'original.jpg',
+        imdbId: 'tt0000901',
+        genres: ['Drama', 'Mystery'],
+        language: 'English',
+        network: 'Local TV',
+        webChannel: null,
+        officialSite: 'https://example.com/fixture',
+        scheduleDays: ['Thursday'],
+        scheduleTime: '21:00',
+        averageRuntime: 30,
+        rating: 7.5,
+        timezone: 'America/New_York',
+      },
+    ]);
+    expect(await provider.search('missing')).toEqual([]);
+    expect((await provider.fetchEpisodes(901))[0]).toMatchObject({
+      id: 90101,
+      summary: 'First',
+      airstamp: '2020-01-02T01:00:00.000Z',
+      runtime: 30,
+      imageMedium: null,
+    });
+    expect((await provider.lookupByExternalId({ thetvdb: '9901' })).id).toBe(901);
+    await expect(provider.fetchShow(902)).rejects.toThrow('No fixture for show 902');
+  });
+
+  it('maps TMDB responses into negated ids and TVmaze-style fields', async () => {
+    const responses = {
+      '/3/tv/1399': {
+        id: 1399,
+        name: 'Dragons',
+        overview: 'Winter is coming.',
+        status: 'Ended',
+        first_air_date: '2011-04-17',
+        last_air_date: '2019-05-19',
+        networks: [{ name: 'HBO' }],
+        poster_path: '/poster.jpg',
+        external_ids: { imdb_id: 'tt0944947' },
+        seasons: [{ season_number: 0 }, { season_number: 1 }],
+      },
+      '/3/tv/1399/season/0': {
+        episodes: [{ id: 5, season_number: 0, episode_number: 1, name: 'Special' }],
+      },
+      '/3/tv/1399/season/1': {
+        episodes: [
+          {
+            id: 63056,
+            season_number: 1,
+            episode_number: 1,
+            name: 'Winter Is Coming',
+            air_date: '2011-04-17',
+            runtime: 62,
+            still_path: '/still.jpg',
+          },
+        ],
+      },
+    };
+    const fetchMock = vi.fn(async (url) => {
+      const body = responses[url.pathname];
+      return {
+        ok: Boolean(body),
+        status: body ? 200 : 404,
+        json: async () => body,
+        text: async () => 'not found',
+      };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+    const provider = createTmdbProvider({ apiKey: 'secret' });
+
+    const show = await provider.fetchShow(-1399);
+    expect(show).toMatchObject({
+      id: -1399,
+      status: 'Ended',
+      ended: '2019-05-19',
+      company: 'HBO',
+      imageMedium: 'https://image.tmdb.org/t/p/w342/poster.jpg',
+      imdbId: 'tt0944947',
+    });
+    expect(fetchMock.mock.calls[0][0].searchParams.get('api_key')).toBe('secret');
+
+    const episodes = await provider.fetchEpisodes(-1399);
+    expect(
+      episodes.map((episode) => [episode.id, episode.season, episode.number])
+    ).toEqual([
+      [-5, 0, 1],
+      [-63056, 1, 1],
+    ]);
+    expect(episodes[1].imageOriginal).toBe(
+      'https://image.tmdb.org/t/p/original/still.jpg'
+    );
+
+    await expect(provider.fetchShow(-1)).rejects.toThrow('TMDB error 404');
+  });
+});
+
+describe('provider selection', () => {
+  let agent;
+
+  beforeEach(async () => {
+    resetDb();
+    process.env.METADATA_FIXTURES_DIR = writeFixtureDir();
+    resetProviders();
+    agent = createAgent(app);
+    await registerUser(agent, { username: 'providers', password: 'password123' });
+    await createProfile(agent, 'Main');
+  });
+
+  afterEach(() => {
+    delete process.env.METADATA_FIXTURES_DIR;
+    resetProviders();
+  });
+
+  it('adds and exports shows from a non-default provider', async () => {
+    const providers = await agent.get('/api/providers');
+    expect(providers.body).toEqual({
+      defaultProvider: 'tvmaze',
+      providers: [
+        { id: 'tvmaze', label: 'TVmaze' },
+        { id: 'fixtures', label: 'Local fixtures' },
+      ],
+    });
+
+    const search = await agent.get(
+      '/api/tvmaze/search?q=tt0000901&provider=fixtures'
+    );
+    expect(search.body.results).toMatchObject([
+      { id: 901, provider: 'fixtures', company: 'Local TV', releaseYear: 2020 },
+    ]);
+
+    const added = await agent.post('/api/shows', {
+      tvmazeId: 901,
+      provider: 'fixtures',
+    });
+    expect(added.status).toBe(200);
+    const stored = db
+      .prepare('SELECT provider, summary FROM shows WHERE id = ?')
+      .get(added.body.showId);
+    expect(stored).toEqual({ provider: 'fixtures', summary: 'Offline only' });
+
+    const listed = await agent.get('/api/shows');
+    const listedShow = listed.body.categories
+      .flatMap((category) => category.shows)
+      .find((show) => show.tvmazeId === 901);
+    expect(listedShow).toMatchObject({
+      genres: ['Drama', 'Mystery'],
+      language: 'English',
+      network: 'Local TV',
+      webChannel: null,
+      officialSite: 'https://example.com/fixture',
+      scheduleDays: ['Thursday'],
+      scheduleTime: '21:00',
+      averageRuntime: 30,
+      providerRating: 7.5,
+    });
+
+    const exported = await agent.get('/api/export');
+    expect(exported.body.shows[0]).toMatchObject({
+      tvmazeId: 901,
+      provider: 'fixtures',
+      genres: ['Drama', 'Mystery'],
+      providerRating: 7.5,
+    });
+
+    const unknown = await agent.post('/api/shows', {
+      tvmazeId: 901,
+      provider: 'nope',
+    });
+    expect(unknown.status).toBe(400);
+  });
+
+  it('stores cast and crew and lists other shows featuring a person', async () => {
+    const first = await agent.post('/api/shows', {
+      tvmazeId: 901,
+      provider: 'fixtures',
+    });
+    await agent.post('/api/shows', { tvmazeId: 903, provider: 'fixtures' });
+
+    const detail = await agent.get(`/api/shows/${first.body.showId}`);
+    expect(detail.body.cast).toEqual([
+      {
+        personId: expect.any(Number),
+        name: 'Ada Actor',
+        image: 'ada.jpg',
+        character: 'The Lead',
+        characterImage: 'lead.jpg',
+      },
+    ]);
+    expect(detail.body.crew).toEqual([
+      {
+        personId: expect.any(Number),
+        name: 'Cy Creator',
+        image: null,
+        job: 'Creator',
+      },
+    ]);
+
+    const person = await agent.get(`/api/people/${detail.body.cast[0].personId}`);
+    expect(person.body.person).toMatchObject({ name: 'Ada Actor', image: 'ada.jpg' });
+    expect(
+      person.body.shows.map((show) => [show.name, show.characters])
+    ).toEqual([
+      ['Fixture Show', ['The Lead']],
+      ['Second Offline', ['The Villain']],
+    ]);
+
+    const missing = await agent.get('/api/people/999999');
+    expect(missing.status).toBe(404);
+  });
+});
@@ -16,9 +16,10 @@ vi.mock('../../server/tvmaze.js', () => ({
 }));
 
 let app;
+let purgeExpiredTrash;
 
 beforeAll(async () => {
-  ({ app } = await import('../../server/index.js'));
+  ({ app, purgeExpiredTrash } = await import('../../server/index.js'));
 });
 
 describe('shows and episodes', () => {
@@ -227,7 +228,7 @@ describe('shows and episodes', () => {
     });
 
     const invalidStatus = await agent.post(`/api/shows/${showId}/status`, {
-      status: 'paused',
+      status: 'archived',
     });
     expect(invalidStatus.status).toBe(400);
 
@@ -261,6 +262,538 @@ describe('shows and episodes', () => {
     expect(deletedRow).toBeUndefined();
   });
 
+  it('buckets manually paused, planned and favorite shows', async () => {
+    const statuses = ['paused', 'planned', 'favorite'];
+    const showIds = statuses.map((status, index) => {
+      const showId = createShow({
+        tvmazeId: 310 + index,
+        name: `${status} show`,
+      });
+      linkProfileShow({ profileId, showId });
+      const episodeId = createEpisode({
+        showId,
+        tvmazeId: 3100 + index,
+        season: 1,
+        number: 1,
+        name: 'Pilot',
+        airdate: '2024-04-01',
+      });
+      markEpisodeWatched({ profileId, episodeId });
+      return showId;
+    });
+
+    for (const [index, status] of statuses.entries()) {
+      const response = await agent.post(`/api/shows/${showIds[index]}/status`, {
+        status,
+      });
+      expect(response.status).toBe(200);
+    }
+
+    const response = await agent.get('/api/shows');
+    const buckets = Object.fromEntries(
+      response.body.categories.map((category) => [category.id, category.shows])
+    );
+    statuses.forEach((status) => {
+      expect(buckets[status].map((show) => show.name)).toEqual([`${status} show`]);
+      expect(buckets[status][0]).toMatchObject({
+        state: status,
+        progressState: 'up-to-date',
+        profileStatus: status,
+      });
+    });
+    expect(buckets['up-to-date']).toHaveLength(0);
+
+    await agent.post(`/api/shows/${showIds[0]}/status`, { status: null });
+    const detail = await agent.get(`/api/shows/${showIds[0]}`);
+    expect(detail.body.show.state).toBe('up-to-date');
+  });
+
+  it('rates shows and episodes with per-season averages', async () => {
+    const showId = createShow({ tvmazeId: 320, name: 'Rated Show' });
+    linkProfileShow({ profileId, showId });
+    const episodeIds = [1, 2, 3].map((number) =>
+      createEpisode({
+        showId,
+        tvmazeId: 3200 + number,
+        season: 1,
+        number,
+        name: `Episode ${number}`,
+        airdate: '2024-04-01',
+      })
+    );
+
+    const showRating = await agent.post(`/api/shows/${showId}/rating`, {
+      rating: 9,
+    });
+    expect(showRating.status).toBe(200);
+    await agent.post(`/api/episodes/${episodeIds[0]}/rating`, { rating: 8 });
+    await agent.post(`/api/episodes/${episodeIds[1]}/rating`, { rating: 7 });
+
+    let detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.body.show.rating).toBe(9);
+    expect(detail.body.seasons[0].averageRating).toBe(7.5);
+    expect(
+      detail.body.seasons[0].episodes.map((episode) => episode.rating)
+    ).toEqual([8, 7, null]);
+
+    await agent.post(`/api/episodes/${episodeIds[1]}/rating`, { rating: null });
+    detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.body.seasons[0].averageRating).toBe(8);
+
+    const list = await agent.get('/api/shows');
+    const listed = list.body.categories
+      .flatMap((category) => category.shows)
+      .find((show) => show.id === showId);
+    expect(listed.rating).toBe(9);
+
+    const outOfRange = await agent.post(`/api/shows/${showId}/rating`, {
+      rating: 11,
+    });
+    expect(outOfRange.status).toBe(400);
+    const fractional = await agent.post(`/api/episodes/${episodeIds[2]}/rating`, {
+      rating: 4.5,
+    });
+    expect(fractional.status).toBe(400);
+    const missing = await agent.post('/api/episodes/9999/rating', { rating: 5 });
+    expect(missing.status).toBe(404);
+  });
+
+  it('manages private show and episode notes', async () => {
+    const showId = createShow({ tvmazeId: 330, name: 'Noted Show' });
+    linkProfileShow({ profileId, showId });
+    const episodeId = createEpisode({
+      showId,
+      tvmazeId: 3301,
+      season: 1,
+      number: 1,
+      name: 'Pilot',
+      airdate: '2024-04-01',
+    });
+
+    const showNote = await agent.post(`/api/shows/${showId}/notes`, {
+      body: '  watch with Sam  ',
+    });
+    expect(showNote.status).toBe(200);
+    expect(showNote.body.note).toMatchObject({
+      body: 'watch with Sam',
+      episodeId: null,
+    });
+
+    const episodeNote = await agent.post(`/api/episodes/${episodeId}/notes`, {
+      body: 'stopped mid-episode at 23:10',
+    });
+    expect(episodeNote.status).toBe(200);
+    const noteId = episodeNote.body.note.id;
+
+    const edited = await agent.put(`/api/episodes/${episodeId}/notes/${noteId}`, {
+      body: 'finished it',
+    });
+    expect(edited.status).toBe(200);
+    expect(edited.body.note.body).toBe('finished it');
+
+    const detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.body.notes.map((note) => note.body)).toEqual(['watch with Sam']);
+    expect(detail.body.seasons[0].episodes[0].notes[0]).toMatchObject({
+      id: noteId,
+      episodeId,
+      body: 'finished it',
+    });
+
+    const listed = await agent.get(`/api/episodes/${episodeId}/notes`);
+    expect(listed.body.notes).toHaveLength(1);
+
+    const shows = await agent.get('/api/shows');
+    const listedShow = shows.body.categories
+      .flatMap((category) => category.shows)
+      .find((show) => show.id === showId);
+    expect(listedShow).not.toHaveProperty('noteBodies');
+    const search = await agent.get('/api/notes/search?q=FINISHED');
+    expect(search.body.matches).toEqual([{ showId, body: 'finished it' }]);
+    const noMatch = await agent.get('/api/notes/search?q=nothing');
+    expect(noMatch.body.matches).toEqual([]);
+    const noQuery = await agent.get('/api/notes/search?q=%20');
+    expect(noQuery.status).toBe(400);
+
+    const wrongScope = await agent.delete(`/api/shows/${showId}/notes/${noteId}`);
+    expect(wrongScope.status).toBe(404);
+    const empty = await agent.post(`/api/shows/${showId}/notes`, { body: '   ' });
+    expect(empty.status).toBe(400);
+
+    const removed = await agent.delete(`/api/episodes/${episodeId}/notes/${noteId}`);
+    expect(removed.status).toBe(200);
+    const remaining = await agent.get(`/api/episodes/${episodeId}/notes`);
+    expect(remaining.body.notes).toHaveLength(0);
+  });
+
+  it('undoes watch changes and show removal with original watch dates', async () => {
+    const showId = createShow({ tvmazeId: 360, name: 'Undo Show' });
+    linkProfileShow({ profileId, showId });
+    const episodeIds = [1, 2].map((number) =>
+      createEpisode({
+        showId,
+        tvmazeId: 3600 + number,
+        season: 1,
+        number,
+        name: `Episode ${number}`,
+        airdate: '2024-03-01',
+      })
+    );
+    markEpisodeWatched({
+      profileId,
+      episodeId: episodeIds[0],
+      watchedAt: '2024-03-02T20:00:00.000Z',
+    });
+    await agent.post(`/api/episodes/${episodeIds[0]}/rating`, { rating: 8 });
+    await agent.post(`/api/shows/${showId}/notes`, { body: 'Keep this' });
+
+    await agent.post(`/api/shows/${showId}/seasons/1/watch`, { watched: false });
+    await agent.post(`/api/shows/${showId}/status`, { status: 'paused' });
+    await agent.delete(`/api/shows/${showId}`);
+
+    const log = await agent.get('/api/undo');
+    expect(log.body.actions.map((action) => action.label)).toEqual([
+      'Removed Undo Show',
+      'Changed status of Undo Show',
+      'Marked Undo Show season 1 unwatched',
+    ]);
+
+    const restored = await agent.post('/api/undo', {});
+    expect(restored.status).toBe(200);
+    expect(restored.body.undone.map((action) => action.type)).toEqual([
+      'remove-show',
+    ]);
+    const detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.status).toBe(200);
+    expect(detail.body.show.state).toBe('paused');
+    expect(detail.body.notes.map((note) => note.body)).toEqual(['Keep this']);
+    expect(detail.body.seasons[0].episodes[0].rating).toBe(8);
+    expect(detail.body.seasons[0].episodes[0].watched).toBe(false);
+
+    const undone = await agent.post('/api/undo', { count: 2 });
+    expect(undone.body.undone).toHaveLength(2);
+    const reverted = await agent.get(`/api/shows/${showId}`);
+    expect(reverted.body.show.state).not.toBe('paused');
+    expect(reverted.body.seasons[0].episodes[0]).toMatchObject({
+      watched: true,
+      watchedAt: '2024-03-02T20:00:00.000Z',
+    });
+    expect(reverted.body.seasons[0].episodes[1].watched).toBe(false);
+
+    const empty = await agent.post('/api/undo', {});
+    expect(empty.status).toBe(404);
+    const invalid = await agent.post('/api/undo', { count: 0 });
+    expect(invalid.status).toBe(400);
+  });
+
+  it('skips episodes that no longer exist when undoing watch changes', async () => {
+    const showId = createShow({ tvmazeId: 365, name: 'Shrinking Show' });
+    linkProfileShow({ profileId, showId });
+    const [kept, deleted] = [1, 2].map((number) =>
+      createEpisode({
+        showId,
+        tvmazeId: 3650 + number,
+        season: 1,
+        number,
+        name: `Episode ${number}`,
+        airdate: '2024-03-01',
+      })
+    );
+    [kept, deleted].forEach((episodeId) =>
+      markEpisodeWatched({
+        profileId,
+        episodeId,
+        watchedAt: '2024-03-02T20:00:00.000Z',
+      })
+    );
+
+    await agent.post(`/api/shows/${showId}/seasons/1/watch`, { watched: false });
+    db.prepare('DELETE FROM episodes WHERE id = ?').run(deleted);
+
+    const undo = await agent.post('/api/undo', {});
+    expect(undo.status).toBe(200);
+    const detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.body.seasons[0].episodes).toHaveLength(1);
+    expect(detail.body.seasons[0].episodes[0]).toMatchObject({
+      id: kept,
+      watched: true,
+    });
+  });
+
+  it('moves removed shows to a trash that can be restored or purged', async () => {
+    const showId = createShow({ tvmazeId: 370, name: 'Trashed Show' });
+    linkProfileShow({ profileId, showId });
+    const episodeId = createEpisode({
+      showId,
+      tvmazeId: 3701,
+      season: 1,
+      number: 1,
+      name: 'Pilot',
+      airdate: '2024-03-01',
+    });
+    markEpisodeWatched({
+      profileId,
+      episodeId,
+      watchedAt: '2024-03-02T20:00:00.000Z',
+    });
+    const otherId = createShow({ tvmazeId: 371, name: 'Purged Show' });
+    linkProfileShow({ profileId, showId: otherId });
+
+    await agent.delete(`/api/shows/${showId}`);
+    await agent.delete(`/api/shows/${otherId}`);
+
+    const trash = await agent.get('/api/trash');
+    expect(trash.body.retentionDays).toBe(30);
+    expect(trash.body.shows.map((entry) => [entry.name, entry.watchedCount])).toEqual([
+      ['Purged Show', 0],
+      ['Trashed Show', 1],
+    ]);
+    expect(trash.body.shows[0].expiresAt).toBe('2024-05-10T12:00:00.000Z');
+
+    const [purged, trashed] = trash.body.shows;
+    const restored = await agent.post(`/api/trash/${trashed.id}/restore`, {});
+    expect(restored.status).toBe(200);
+    const detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.body.seasons[0].episodes[0]).toMatchObject({
+      watched: true,
+      watchedAt: '2024-03-02T20:00:00.000Z',
+    });
+    const actions = await agent.get('/api/undo');
+    expect(actions.body.actions.map((action) => action.label)).toEqual([
+      'Removed Purged Show',
+    ]);
+
+    const purge = await agent.delete(`/api/trash/${purged.id}`);
+    expect(purge.status).toBe(200);
+    const empty = await agent.get('/api/trash');
+    expect(empty.body.shows).toEqual([]);
+    const missing = await agent.post(`/api/trash/${purged.id}/restore`, {});
+    expect(missing.status).toBe(404);
+    const undo = await agent.post('/api/undo', {});
+    expect(undo.status).toBe(404);
+    const gone = await agent.get(`/api/shows/${otherId}`);
+    expect(gone.status).toBe(404);
+  });
+
+  it('drops every undo entry for a show purged from the trash', async () => {
+    const showId = createShow({ tvmazeId: 375, name: 'Forgotten Show' });
+    linkProfileShow({ profileId, showId });
+    const episodeId = createEpisode({
+      showId,
+      tvmazeId: 3751,
+      season: 1,
+      number: 1,
+      name: 'Pilot',
+      airdate: '2024-03-01',
+      runtime: 60,
+    });
+    const keptId = createShow({ tvmazeId: 376, name: 'Kept Show' });
+    linkProfileShow({ profileId, showId: keptId });
+
+    await agent.post(`/api/episodes/${episodeId}/watch`, { watched: true });
+    await agent.post(`/api/shows/${keptId}/status`, { status: 'paused' });
+    await agent.post(`/api/shows/${showId}/status`, { status: 'planned' });
+    await agent.delete(`/api/shows/${showId}`);
+    const trash = await agent.get('/api/trash');
+    await agent.delete(`/api/trash/${trash.body.shows[0].id}`);
+
+    const log = await agent.get('/api/undo');
+    expect(log.body.actions.map((action) => action.label)).toEqual([
+      'Changed status of Kept Show',
+    ]);
+    const undo = await agent.post('/api/undo', { count: 2 });
+    expect(undo.body.undone).toHaveLength(1);
+    const watched = db
+      .prepare('SELECT COUNT(*) AS count FROM profile_episodes WHERE profile_id = ?')
+      .get(profileId);
+    expect(watched.count).toBe(0);
+    const stats = await agent.get('/api/stats');
+    expect(stats.body.totals).toMatchObject({ episodes: 0, minutes: 0 });
+  });
+
+  it('purges trash entries once they expire', async () => {
+    const showId = createShow({ tvmazeId: 380, name: 'Expiring Show' });
+    linkProfileShow({ profileId, showId });
+    await agent.delete(`/api/shows/${showId}`);
+
+    expect(purgeExpiredTrash(new Date('2024-05-01T00:00:00Z'))).toBe(0);
+    expect(purgeExpiredTrash(new Date('2024-05-11T00:00:00Z'))).toBe(1);
+    const trash = await agent.get('/api/trash');
+    expect(trash.body.shows).toEqual([]);
+    const undo = await agent.post('/api/undo', {});
+    expect(undo.status).toBe(404);
+  });
+
+  it('pages watch history with date and show filters', async () => {
+    const showId = createShow({ tvmazeId: 350, name: 'History Show' });
+    linkProfileShow({ profileId, showId });
+    const otherId = createShow({ tvmazeId: 351, name: 'Other History' });
+    linkProfileShow({ profileId, showId: otherId });
+    const episodeIds = [1, 2, 3].map((number) =>
+      createEpisode({
+        showId,
+        tvmazeId: 3500 + number,
+        season: 1,
+        number,
+        name: `Episode ${number}`,
+        airdate: '2024-03-01',
+      })
+    );
+    const otherEpisode = createEpisode({
+      showId: otherId,
+      tvmazeId: 3510,
+      season: 1,
+      number: 1,
+      name: 'Other Ep',
+      airdate: '2024-03-01',
+    });
+    markEpisodeWatched({
+      profileId,
+      episodeId: episodeIds[0],
+      watchedAt: '2024-04-01T20:00:00.000Z',
+    });
+    markEpisodeWatched({
+      profileId,
+      episodeId: episodeIds[1],
+      watchedAt: '2024-04-05T20:00:00.000Z',
+    });
+    markEpisodeWatched({
+      profileId,
+      episodeId: episodeIds[2],
+      watchedAt: '2024-04-09T20:00:00.000Z',
+    });
+    markEpisodeWatched({
+      profileId,
+      episodeId: otherEpisode,
+      watchedAt: '2024-04-05T21:00:00.000Z',
+    });
+
+    const firstPage = await agent.get('/api/history?limit=2');
+    expect(firstPage.status).toBe(200);
+    expect(firstPage.body.total).toBe(4);
+    expect(firstPage.body.entries.map((entry) => entry.name)).toEqual([
+      'Episode 3',
+      'Other Ep',
+    ]);
+    const secondPage = await agent.get('/api/history?limit=2&offset=2');
+    expect(secondPage.body.entries.map((entry) => entry.name)).toEqual([
+      'Episode 2',
+      'Episode 1',
+    ]);
+
+    const filtered = await agent.get(
+      `/api/history?from=2024-04-05&to=2024-04-05&showId=${showId}`
+    );
+    expect(filtered.body.total).toBe(1);
+    expect(filtered.body.entries[0]).toMatchObject({
+      episodeId: episodeIds[1],
+      showName: 'History Show',
+      season: 1,
+      number: 2,
+      pass: 0,
+    });
+
+    const invalid = await agent.get('/api/history?from=2024-13-01');
+    expect(invalid.status).toBe(400);
+
+    const removed = await agent.delete(
+      `/api/history/${filtered.body.entries[0].id}`
+    );
+    expect(removed.status).toBe(200);
+    const watched = db
+      .prepare('SELECT COUNT(*) AS count FROM profile_episodes WHERE episode_id = ?')
+      .get(episodeIds[1]);
+    expect(watched.count).toBe(0);
+    const remaining = await agent.get('/api/history');
+    expect(remaining.body.total).toBe(3);
+
+    const missing = await agent.delete(
+      `/api/history/${filtered.body.entries[0].id}`
+    );
+    expect(missing.status).toBe(404);
+  });
+
+  it('filters watch history by day in the profile timezone', async () => {
+    const showId = createShow({ tvmazeId: 352, name: 'Late Show' });
+    linkProfileShow({ profileId, showId });
+    const episodeId = createEpisode({
+      showId,
+      tvmazeId: 3520,
+      season: 1,
+      number: 1,
+      name: 'Late Episode',
+      airdate: '2024-03-01',
+    });
+    // 01:30 on Apr 5 in Brisbane (UTC+10), still Apr 4 in UTC.
+    markEpisodeWatched({
+      profileId,
+      episodeId,
+      watchedAt: '2024-04-04T15:30:00.000Z',
+    });
+
+    let history = await agent.get('/api/history?from=2024-04-05&to=2024-04-05');
+    expect(history.body.total).toBe(0);
+
+    await agent.post('/api/profiles/settings', { timezone: 'Australia/Brisbane' });
+    history = await agent.get('/api/history?from=2024-04-05&to=2024-04-05');
+    expect(history.body.total).toBe(1);
+    history = await agent.get('/api/history?to=2024-04-04');
+    expect(history.body.total).toBe(0);
+  });
+
+  it('assigns tags and lists collections as extra categories', async () => {
+    const showId = createShow({ tvmazeId: 340, name: 'Tagged Show' });
+    linkProfileShow({ profileId, showId });
+    const otherId = createShow({ tvmazeId: 341, name: 'Other Show' });
+    linkProfileShow({ profileId, showId: otherId });
+
+    const comfort = await agent.post('/api/tags', { name: '  comfort ' });
+    expect(comfort.status).toBe(200);
+    expect(comfort.body.tag).toMatchObject({ name: 'comfort', isCollection: false });
+    const anime = await agent.post('/api/tags', {
+      name: 'Anime',
+      isCollection: true,
+    });
+    const duplicate = await agent.post('/api/tags', { name: 'COMFORT' });
+    expect(duplicate.status).toBe(409);
+
+    const assigned = await agent.put(`/api/shows/${showId}/tags`, {
+      tagIds: [comfort.body.tag.id, anime.body.tag.id],
+    });
+    expect(assigned.status).toBe(200);
+    expect(assigned.body.tags.map((tag) => tag.name)).toEqual(['Anime', 'comfort']);
+
+    const renamed = await agent.put(`/api/tags/${comfort.body.tag.id}`, {
+      name: 'cozy',
+    });
+    expect(renamed.body.tag.name).toBe('cozy');
+
+    const shows = await agent.get('/api/shows');
+    const collection = shows.body.categories.find(
+      (category) => category.id === `collection-${anime.body.tag.id}`
+    );
+    expect(collection).toMatchObject({ label: 'Anime', collection: true });
+    expect(collection.shows.map((show) => show.name)).toEqual(['Tagged Show']);
+    const tagged = shows.body.categories
+      .flatMap((category) => category.shows)
+      .find((show) => show.id === showId);
+    expect(tagged.tags.map((tag) => tag.name)).toEqual(['Anime', 'cozy']);
+
+    const tags = await agent.get('/api/tags');
+    expect(tags.body.tags.map((tag) => [tag.name, tag.showCount])).toEqual([
+      ['Anime', 1],
+      ['cozy', 1],
+    ]);
+
+    const unknownTag = await agent.put(`/api/shows/${otherId}/tags`, {
+      tagIds: [9999],
+    });
+    expect(unknownTag.status).toBe(404);
+
+    await agent.delete(`/api/tags/${anime.body.tag.id}`);
+    const detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.body.show.tags.map((tag) => tag.name)).toEqual(['cozy']);
+  });
+
   it('toggles an entire season at once', async () => {
     const releasedDate = '2024-04-01';
     const showId = createShow({ tvmazeId: 401, name: 'Season Show' });
@@ -296,4 +829,427 @@ describe('shows and episodes', () => {
       .all(profileId, episodeOne, episodeTwo);
     expect(rows).toHaveLength(2);
   });
+
+  it('skips unreleased episodes unless explicitly included', async () => {
+    const showId = createShow({ tvmazeId: 402, name: 'Airing Show' });
+    linkProfileShow({ profileId, showId });
+    const aired = createEpisode({
+      showId,
+      tvmazeId: 4021,
+      season: 1,
+      number: 1,
+      name: 'Aired',
+      airdate: '2024-04-01',
+    });
+    const upcoming = createEpisode({
+      showId,
+      tvmazeId: 4022,
+      season: 1,
+      number: 2,
+      name: 'Upcoming',
+      airdate: '2024-04-20',
+    });
+    const nextSeason = createEpisode({
+      showId,
+      tvmazeId: 4023,
+      season: 2,
+      number: 1,
+      name: 'Next Season',
+      airdate: '2024-05-01',
+    });
+    const watchedIds = () =>
+      db
+        .prepare(
+          'SELECT episode_id FROM profile_episodes WHERE profile_id = ? ORDER BY episode_id'
+        )
+        .all(profileId)
+        .map((row) => row.episode_id);
+
+    const season = await agent.post(`/api/shows/${showId}/seasons/1/watch`, {
+      watched: true,
+    });
+    expect(season.status).toBe(200);
+    expect(season.body.episodeIds).toEqual([aired]);
+    expect(watchedIds()).toEqual([aired]);
+
+    const detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.body.show.state).toBe('up-to-date');
+    expect(detail.body.seasons[0]).toMatchObject({
+      watched: true,
+      watchedCount: 1,
+      totalCount: 2,
+      releasedCount: 1,
+    });
+    expect(detail.body.seasons[1]).toMatchObject({
+      watched: false,
+      releasedCount: 0,
+    });
+
+    const show = await agent.post(`/api/shows/${showId}/watch`, {
+      watched: true,
+      includeUnreleased: true,
+    });
+    expect(show.status).toBe(200);
+    expect(watchedIds()).toEqual([aired, upcoming, nextSeason]);
+
+    const cleared = await agent.post(`/api/shows/${showId}/watch`, {
+      watched: false,
+    });
+    expect(cleared.status).toBe(200);
+    expect(watchedIds()).toEqual([]);
+
+    const missing = await agent.post('/api/shows/9999/watch', { watched: true });
+    expect(missing.status).toBe(404);
+  });
+
+  it('leaves specials out of progress unless the profile or show opts in', async () => {
+    const showId = createShow({ tvmazeId: 403, name: 'Special Show' });
+    linkProfileShow({ profileId, showId });
+    const pilot = createEpisode({
+      showId,
+      tvmazeId: 4031,
+      season: 1,
+      number: 1,
+      name: 'Pilot',
+      airdate: '2024-04-01',
+    });
+    createEpisode({
+      showId,
+      tvmazeId: 4032,
+      season: 0,
+      number: 1,
+      name: 'Behind the Scenes',
+      airdate: '2024-04-02',
+    });
+    createEpisode({
+      showId,
+      tvmazeId: 4033,
+      season: 1,
+      number: null,
+      name: 'Recap Special',
+      airdate: '2024-04-03',
+    });
+    markEpisodeWatched({ profileId, episodeId: pilot });
+
+    const findShow = async () => {
+      const response = await agent.get('/api/shows');
+      return response.body.categories
+        .flatMap((category) => category.shows)
+        .find((show) => show.id === showId);
+    };
+
+    let listed = await findShow();
+    expect(listed.state).toBe('up-to-date');
+    expect(listed.stats.releasedUnwatched).toBe(0);
+    expect(listed.nextEpisode).toBeNull();
+
+    const detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.body.show).toMatchObject({
+      includeSpecials: false,
+      specialsOverride: null,
+    });
+    expect(detail.body.seasons.map((season) => season.season)).toEqual([0, 1]);
+    expect(detail.body.seasons[0]).toMatchObject({ special: true, totalCount: 2 });
+    expect(detail.body.seasons[1]).toMatchObject({ special: false, totalCount: 1 });
+
+    const override = await agent.post(`/api/shows/${showId}/specials`, {
+      includeSpecials: true,
+    });
+    expect(override.status).toBe(200);
+    listed = await findShow();
+    expect(listed.state).toBe('watching');
+    expect(listed.nextEpisode.name).toBe('Behind the Scenes');
+
+    await agent.post(`/api/shows/${showId}/specials`, { includeSpecials: null });
+    const settings = await agent.post('/api/profiles/settings', {
+      includeSpecials: true,
+    });
+    expect(settings.status).toBe(200);
+    listed = await findShow();
+    expect(listed.state).toBe('watching');
+
+    const profiles = await agent.get('/api/profiles');
+    expect(profiles.body.profiles[0].includeSpecials).toBe(true);
+
+    const specials = await agent.post(`/api/shows/${showId}/seasons/0/watch`, {
+      watched: true,
+    });
+    expect(specials.body.episodeIds).toHaveLength(2);
+    listed = await findShow();
+    expect(listed.state).toBe('up-to-date');
+
+    const invalid = await agent.post(`/api/shows/${showId}/specials`, {
+      includeSpecials: 'yes',
+    });
+    expect(invalid.status).toBe(400);
+  });
+
+  it('applies the profile timezone and release delay to progress and the calendar', async () => {
+    const showId = createShow({ tvmazeId: 601, name: 'Far East Show' });
+    linkProfileShow({ profileId, showId });
+    createEpisode({
+      showId,
+      tvmazeId: 6011,
+      season: 1,
+      number: 1,
+      name: 'Yesterday There',
+      airdate: '2024-04-10',
+      airstamp: '2024-04-09T20:00:00.000Z',
+    });
+    createEpisode({
+      showId,
+      tvmazeId: 6012,
+      season: 1,
+      number: 2,
+      name: 'Tomorrow Here',
+      airdate: '2024-04-11',
+    });
+    const findShow = async () => {
+      const response = await agent.get('/api/shows');
+      return response.body.categories
+        .flatMap((category) => category.shows)
+        .find((show) => show.id === showId);
+    };
+
+    expect((await findShow()).stats.releasedEpisodes).toBe(1);
+
+    // 12:00 UTC is 02:00 on Apr 11 in UTC+14.
+    const settings = await agent.post('/api/profiles/settings', {
+      timezone: 'Pacific/Kiritimati',
+    });
+    expect(settings.body).toMatchObject({
+      timezone: 'Pacific/Kiritimati',
+      releaseDelayHours: 0,
+      includeSpecials: false,
+    });
+    expect((await findShow()).stats.releasedEpisodes).toBe(2);
+
+    let calendar = await agent.get('/api/calendar?days=5');
+    expect(calendar.body.episodes.map((episode) => episode.name)).toEqual([
+      'Tomorrow Here',
+    ]);
+
+    await agent.post('/api/profiles/settings', { releaseDelayHours: 3 });
+    expect((await findShow()).stats.releasedEpisodes).toBe(1);
+    const detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.body.seasons[0].episodes.map((episode) => episode.released)).toEqual([
+      true,
+      false,
+    ]);
+    calendar = await agent.get('/api/calendar?days=5');
+    expect(calendar.body.episodes.map((episode) => episode.released)).toEqual([false]);
+
+    const profiles = await agent.get('/api/profiles');
+    expect(profiles.body.profiles[0]).toMatchObject({
+      timezone: 'Pacific/Kiritimati',
+      releaseDelayHours: 3,
+    });
+
+    const invalidZone = await agent.post('/api/profiles/settings', {
+      timezone: 'Mars/Olympus',
+    });
+    expect(invalidZone.status).toBe(400);
+    const invalidDelay = await agent.post('/api/profiles/settings', {
+      releaseDelayHours: -1,
+    });
+    expect(invalidDelay.status).toBe(400);
+    const empty = await agent.post('/api/profiles/settings', {});
+    expect(empty.status).toBe(400);
+  });
+
+  it('tracks rewatch passes without erasing the first viewing', async () => {
+    const releasedDate = '2024-04-01';
+    const firstWatchedAt = '2024-04-02T10:00:00.000Z';
+    const showId = createShow({ tvmazeId: 501, name: 'Rewatch Show' });
+    linkProfileShow({ profileId, showId });
+    const episodeOne = createEpisode({
+      showId,
+      tvmazeId: 5001,
+      season: 1,
+      number: 1,
+      name: 'S1E1',
+      airdate: releasedDate,
+    });
+    const episodeTwo = createEpisode({
+      showId,
+      tvmazeId: 5002,
+      season: 1,
+      number: 2,
+      name: 'S1E2',
+      airdate: releasedDate,
+    });
+    markEpisodeWatched({ profileId, episodeId: episodeOne, watchedAt: firstWatchedAt });
+    markEpisodeWatched({ profileId, episodeId: episodeTwo, watchedAt: firstWatchedAt });
+
+    const start = await agent.post(`/api/shows/${showId}/rewatch`, {
+      rewatching: true,
+    });
+    expect(start.status).toBe(200);
+    expect(start.body.rewatchCount).toBe(1);
+
+    const watch = await agent.post(`/api/episodes/${episodeOne}/watch`, {
+      watched: true,
+    });
+    expect(watch.status).toBe(200);
+
+    const detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.body.show.rewatching).toBe(true);
+    expect(detail.body.show.rewatchCount).toBe(1);
+    expect(detail.body.show.state).toBe('watching');
+    const [seasonOne] = detail.body.seasons;
+    expect(seasonOne.watchedCount).toBe(1);
+    expect(seasonOne.episodes[0]).toMatchObject({ watched: true, watchCount: 2 });
+    expect(seasonOne.episodes[1]).toMatchObject({ watched: false, watchCount: 1 });
+
+    const original = db
+      .prepare(
+        'SELECT watched_at FROM profile_episodes WHERE profile_id = ? AND episode_id = ?'
+      )
+      .get(profileId, episodeOne);
+    expect(original.watched_at).toBe(firstWatchedAt);
+
+    const unwatch = await agent.post(`/api/episodes/${episodeTwo}/watch`, {
+      watched: false,
+    });
+    expect(unwatch.status).toBe(200);
+    const stillWatched = db
+      .prepare(
+        'SELECT watched_at FROM profile_episodes WHERE profile_id = ? AND episode_id = ?'
+      )
+      .get(profileId, episodeTwo);
+    expect(stillWatched.watched_at).toBe(firstWatchedAt);
+
+    const end = await agent.post(`/api/shows/${showId}/rewatch`, {
+      rewatching: false,
+    });
+    expect(end.body.rewatchCount).toBe(1);
+
+    const abandoned = await agent.post(`/api/shows/${showId}/rewatch`, {
+      rewatching: true,
+    });
+    expect(abandoned.body.rewatchCount).toBe(2);
+    const cancelled = await agent.post(`/api/shows/${showId}/rewatch`, {
+      rewatching: false,
+    });
+    expect(cancelled.body.rewatchCount).toBe(1);
+  });
+
+  it('accepts backdated watch dates on episode and season toggles', async () => {
+    const showId = createShow({ tvmazeId: 601, name: 'Backdated Show' });
+    linkProfileShow({ profileId, showId });
+    const pilot = createEpisode({
+      showId,
+      tvmazeId: 6001,
+      season: 1,
+      number: 1,
+      name: 'Pilot',
+      airdate: '2024-03-01',
+    });
+    const second = createEpisode({
+      showId,
+      tvmazeId: 6002,
+      season: 2,
+      number: 1,
+      name: 'Second Season',
+      airdate: '2024-03-08',
+    });
+    const readWatchedAt = (episodeId) =>
+      db
+        .prepare(
+          'SELECT watched_at FROM profile_episodes WHERE profile_id = ? AND episode_id = ?'
+        )
+        .get(profileId, episodeId)?.watched_at;
+
+    const picked = await agent.post(`/api/episodes/${pilot}/watch`, {
+      watched: true,
+      watchedAt: '2024-04-06T20:30:00Z',
+    });
+    expect(picked.status).toBe(200);
+    expect(readWatchedAt(pilot)).toBe('2024-04-06T20:30:00.000Z');
+
+    const edited = await agent.post(`/api/episodes/${pilot}/watch`, {
+      watched: true,
+      watchedAt: 'airdate',
+    });
+    expect(edited.status).toBe(200);
+    expect(readWatchedAt(pilot)).toBe('2024-03-01T00:00:00.000Z');
+
+    const season = await agent.post(`/api/shows/${showId}/seasons/2/watch`, {
+      watched: true,
+      watchedAt: '2024-04-07',
+    });
+    expect(season.status).toBe(200);
+    expect(readWatchedAt(second)).toBe('2024-04-07T00:00:00.000Z');
+
+    const future = await agent.post(`/api/episodes/${pilot}/watch`, {
+      watched: true,
+      watchedAt: '2030-01-01T00:00:00Z',
+    });
+    expect(future.status).toBe(400);
+
+    const invalid = await agent.post(`/api/shows/${showId}/seasons/1/watch`, {
+      watched: true,
+      watchedAt: 'yesterday-ish',
+    });
+    expect(invalid.status).toBe(400);
+
+    const detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.body.seasons[0].episodes[0].watchedAt).toBe(
+      '2024-03-01T00:00:00.000Z'
+    );
+  });
+
+  it('marks every released episode up to the chosen one across seasons', async () => {
+    const showId = createShow({ tvmazeId: 701, name: 'Catch Up Show' });
+    linkProfileShow({ profileId, showId });
+    const episode = (tvmazeId, season, number, airdate = '2024-04-01') =>
+      createEpisode({
+        showId,
+        tvmazeId,
+        season,
+        number,
+        name: `S${season}E${number}`,
+        airdate,
+      });
+    const special = episode(7000, 0, 1);
+    const s1e1 = episode(7001, 1, 1);
+    const s1e2 = episode(7002, 1, 2);
+    const s2e1 = episode(7003, 2, 1);
+    const s2e2 = episode(7004, 2, 2);
+    const s2e3 = episode(7005, 2, 3);
+    markEpisodeWatched({
+      profileId,
+      episodeId: s1e1,
+      watchedAt: '2024-04-02T08:00:00.000Z',
+    });
+
+    const response = await agent.post(`/api/episodes/${s2e2}/watch-up-to`, {});
+    expect(response.status).toBe(200);
+    expect(response.body.episodeIds.sort()).toEqual([s1e2, s2e1, s2e2].sort());
+
+    const watched = db
+      .prepare(
+        'SELECT episode_id, watched_at FROM profile_episodes WHERE profile_id = ?'
+      )
+      .all(profileId);
+    const watchedIds = watched.map((row) => row.episode_id);
+    expect(watchedIds).toEqual(expect.arrayContaining([s1e1, s1e2, s2e1, s2e2]));
+    expect(watchedIds).not.toContain(s2e3);
+    expect(watchedIds).not.toContain(special);
+    expect(watched.find((row) => row.episode_id === s1e1).watched_at).toBe(
+      '2024-04-02T08:00:00.000Z'
+    );
+
+    const upcoming = episode(7006, 2, 4, '2024-05-01');
+    const skipped = await agent.post(`/api/episodes/${upcoming}/watch-up-to`, {});
+    expect(skipped.status).toBe(200);
+    expect(skipped.body.episodeIds).toEqual([s2e3]);
+    const included = await agent.post(`/api/episodes/${upcoming}/watch-up-to`, {
+      includeUnreleased: true,
+    });
+    expect(included.body.episodeIds).toEqual([upcoming]);
+
+    const missing = await agent.post('/api/episodes/999999/watch-up-to', {});
+    expect(missing.status).toBe(404);
+  });
 });
@@ -0,0 +1,271 @@
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createAgent, createProfile, registerUser } from '../helpers/api.js';
+import {
+  createEpisode,
+  createShow,
+  linkProfileShow,
+  markEpisodeWatched,
+  resetDb,
+} from '../helpers/db.js';
+
+vi.mock('../../server/tvmaze.js', () => ({
+  searchShows: vi.fn(),
+  fetchShow: vi.fn(),
+  fetchEpisodes: vi.fn(),
+}));
+
+let app;
+
+beforeAll(async () => {
+  ({ app } = await import('../../server/index.js'));
+});
+
+function seedShow({
+  profileId,
+  tvmazeId,
+  name,
+  company,
+  runtime,
+  watchedDays,
+  unwatched = 0,
+}) {
+  const showId = createShow({ tvmazeId, name, company });
+  linkProfileShow({ profileId, showId });
+  const episodeCount = watchedDays.length + unwatched;
+  for (let index = 0; index < episodeCount; index += 1) {
+    const episodeId = createEpisode({
+      showId,
+      tvmazeId: tvmazeId * 100 + index,
+      season: 1,
+      number: index + 1,
+      name: `${name} ${index + 1}`,
+      airdate: '2024-03-01',
+      runtime,
+    });
+    if (watchedDays[index]) {
+      markEpisodeWatched({
+        profileId,
+        episodeId,
+        watchedAt: `${watchedDays[index]}T20:00:00.000Z`,
+      });
+    }
+  }
+  return showId;
+}
+
+describe('viewing stats', () => {
+  let agent;
+  let profileId;
+
+  beforeEach(async () => {
+    resetDb();
+    agent = createAgent(app);
+    await registerUser(agent, { username: 'stats', password: 'password123' });
+    const profile = await createProfile(agent, 'Main');
+    profileId = profile.body.id;
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-04-10T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('summarizes watch time, activity, rankings and streaks', async () => {
+    const recentId = seedShow({
+      profileId,
+      tvmazeId: 40,
+      name: 'Recent',
+      company: 'HBO',
+      runtime: 60,
+      watchedDays: ['2024-04-09', '2024-04-10'],
+    });
+    seedShow({
+      profileId,
+      tvmazeId: 41,
+      name: 'Binge',
+      company: 'BBC',
+      runtime: 30,
+      watchedDays: ['2024-03-13', '2024-03-14', '2024-03-15'],
+      unwatched: 1,
+    });
+
+    const response = await agent.get('/api/stats');
+    expect(response.status).toBe(200);
+    const stats = response.body;
+
+    expect(stats.totals).toEqual({ episodes: 5, shows: 2, minutes: 210, hours: 3.5 });
+    expect(stats.weekly).toHaveLength(12);
+    expect(stats.weekly.at(-1)).toEqual({ start: '2024-04-08', episodes: 2, hours: 2 });
+    expect(stats.weekly.find((week) => week.start === '2024-03-11')).toEqual({
+      start: '2024-03-11',
+      episodes: 3,
+      hours: 1.5,
+    });
+    expect(stats.monthly).toHaveLength(12);
+    expect(stats.monthly[0].start).toBe('2023-05');
+    expect(stats.monthly.slice(-2)).toEqual([
+      { start: '2024-03', episodes: 3, hours: 1.5 },
+      { start: '2024-04', episodes: 2, hours: 2 },
+    ]);
+    expect(stats.topShows.map((show) => [show.id, show.hours])).toEqual([
+      [recentId, 2],
+      [expect.any(Number), 1.5],
+    ]);
+    expect(stats.networks.map((network) => network.name)).toEqual(['HBO', 'BBC']);
+    expect(stats.completion).toEqual({
+      shows: 2,
+      started: 2,
+      caughtUp: 1,
+      showRate: 0.5,
+      episodeRate: 0.833,
+    });
+    expect(stats.streaks).toEqual({ current: 2, longest: 3 });
+  });
+
+  it('counts rewatch passes as extra viewings', async () => {
+    const showId = seedShow({
+      profileId,
+      tvmazeId: 42,
+      name: 'Rewatched',
+      company: 'HBO',
+      runtime: 60,
+      watchedDays: ['2024-04-08'],
+    });
+    const before = await agent.get('/api/stats');
+    expect(before.body.totals).toMatchObject({ episodes: 1, hours: 1 });
+
+    await agent.post(`/api/shows/${showId}/rewatch`, { rewatching: true });
+    const [episodeId] = (await agent.get(`/api/shows/${showId}`)).body.seasons[0]
+      .episodes.map((episode) => episode.id);
+    const watch = await agent.post(`/api/episodes/${episodeId}/watch`, {
+      watched: true,
+    });
+    expect(watch.status).toBe(200);
+
+    const after = await agent.get('/api/stats');
+    expect(after.body.totals).toEqual({ episodes: 2, shows: 1, minutes: 120, hours: 2 });
+    expect(after.body.weekly.at(-1)).toEqual({ start: '2024-04-08', episodes: 2, hours: 2 });
+    expect(after.body.topShows[0]).toMatchObject({ id: showId, episodes: 2, hours: 2 });
+    expect(after.body.completion.episodeRate).toBe(1);
+    expect(after.body.streaks).toEqual({ current: 1, longest: 1 });
+
+    const report = await agent.get('/api/reports/year/2024');
+    expect(report.body).toMatchObject({ hours: 2, episodes: 2 });
+    expect(report.body.topShows).toMatchObject([{ id: showId, episodes: 2 }]);
+  });
+
+  it('applies the profile timezone and release delay to completion', async () => {
+    const showId = createShow({ tvmazeId: 43, name: 'Delayed', status: 'Ended' });
+    linkProfileShow({ profileId, showId });
+    const pilot = createEpisode({
+      showId,
+      tvmazeId: 4301,
+      season: 1,
+      number: 1,
+      name: 'Pilot',
+      airdate: '2024-04-01',
+      runtime: 30,
+    });
+    createEpisode({
+      showId,
+      tvmazeId: 4302,
+      season: 1,
+      number: 2,
+      name: 'Late Night',
+      airdate: '2024-04-10',
+      airstamp: '2024-04-10T10:00:00.000Z',
+      runtime: 30,
+    });
+    createEpisode({
+      showId,
+      tvmazeId: 4303,
+      season: 1,
+      number: 3,
+      name: 'Tomorrow Here',
+      airdate: '2024-04-11',
+      runtime: 30,
+    });
+    markEpisodeWatched({ profileId, episodeId: pilot, watchedAt: '2024-04-02T20:00:00.000Z' });
+
+    const released = async () => {
+      const [stats, report] = await Promise.all([
+        agent.get('/api/stats'),
+        agent.get('/api/reports/year/2024'),
+      ]);
+      return [stats.body.completion.episodeRate, report.body.showsFinished.length];
+    };
+    expect(await released()).toEqual([0.5, 0]);
+
+    await agent.post('/api/profiles/settings', { releaseDelayHours: 3 });
+    expect(await released()).toEqual([1, 1]);
+
+    await agent.post('/api/profiles/settings', {
+      releaseDelayHours: 0,
+      timezone: 'Pacific/Kiritimati',
+    });
+    expect(await released()).toEqual([0.333, 0]);
+  });
+
+  it('returns empty stats for a fresh profile', async () => {
+    const response = await agent.get('/api/stats');
+    expect(response.body.totals.episodes).toBe(0);
+    expect(response.body.topShows).toEqual([]);
+    expect(response.body.completion.episodeRate).toBeNull();
+    expect(response.body.streaks).toEqual({ current: 0, longest: 0 });
+  });
+
+  it('builds a year-in-review report', async () => {
+    const finishedId = createShow({
+      tvmazeId: 50,
+      name: 'Finished Show',
+      status: 'Ended',
+      imageMedium: 'finished.jpg',
+    });
+    linkProfileShow({ profileId, showId: finishedId });
+    const returningId = createShow({ tvmazeId: 51, name: 'Returning Show' });
+    linkProfileShow({ profileId, showId: returningId });
+    const watch = (showId, tvmazeId, number, watchedAt) => {
+      const episodeId = createEpisode({
+        showId,
+        tvmazeId,
+        season: 1,
+        number,
+        name: `Ep ${number}`,
+        airdate: '2022-06-01',
+        runtime: 45,
+      });
+      if (watchedAt) {
+        markEpisodeWatched({ profileId, episodeId, watchedAt });
+      }
+    };
+    watch(finishedId, 5001, 1, '2023-03-01T20:00:00.000Z');
+    watch(finishedId, 5002, 2, '2023-03-02T20:00:00.000Z');
+    watch(finishedId, 5003, 3, '2023-03-02T21:00:00.000Z');
+    watch(returningId, 5101, 1, '2022-12-30T20:00:00.000Z');
+    watch(returningId, 5102, 2, '2023-07-04T20:00:00.000Z');
+    watch(returningId, 5103, 3, null);
+
+    const response = await agent.get('/api/reports/year/2023');
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      year: 2023,
+      hours: 3,
+      episodes: 4,
+      longestStreak: 2,
+      newShows: 1,
+      returningShows: 1,
+      mostBinged: { id: finishedId, day: '2023-03-02', episodes: 2 },
+      posters: [{ id: finishedId, image: 'finished.jpg' }],
+    });
+    expect(response.body.showsStarted.map((show) => show.id)).toEqual([finishedId]);
+    expect(response.body.showsFinished.map((show) => show.id)).toEqual([finishedId]);
+    expect(response.body.topShows.map((show) => [show.id, show.episodes])).toEqual([
+      [finishedId, 3],
+      [returningId, 1],
+    ]);
+
+    const invalid = await agent.get('/api/reports/year/2099');
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,377 @@
+import http from 'http';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import db from '../../server/db.js';
+import { createAgent, createProfile, registerUser } from '../helpers/api.js';
+import {
+  createEpisode,
+  createShow,
+  linkProfileShow,
+  markEpisodeWatched,
+  resetDb,
+} from '../helpers/db.js';
+
+let app;
+let runTvmazeSyncOnce;
+let server;
+let requests;
+let updates;
+let updatesStatus;
+let upstreamEpisodes;
+let failingShows;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * HOUR_MS).toISOString();
+}
+
+function unixHoursAgo(hours) {
+  return Math.floor((Date.now() - hours * HOUR_MS) / 1000);
+}
+
+// Minimal stand-in for the TVmaze endpoints the sync touches.
+function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://127.0.0.1');
+  requests.push(`${url.pathname}${url.search}`);
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  if (url.pathname === '/updates/shows') {
+    return updatesStatus === 200 ? send(200, updates) : send(updatesStatus, {});
+  }
+  if (/^\/shows\/\d+\/(cast|crew)$/.test(url.pathname)) {
+    return send(200, []);
+  }
+  const episodesMatch = url.pathname.match(/^\/shows\/(\d+)\/episodes$/);
+  if (episodesMatch) {
+    const id = Number(episodesMatch[1]);
+    return send(
+      200,
+      upstreamEpisodes[id] || [
+        { id: id * 100 + 1, season: 1, number: 1, name: 'Pilot', airdate: '2024-01-01' },
+      ]
+    );
+  }
+  const showMatch = url.pathname.match(/^\/shows\/(\d+)$/);
+  if (showMatch) {
+    const id = Number(showMatch[1]);
+    if (failingShows.has(id)) {
+      return send(400, { message: 'Bad show' });
+    }
+    return send(200, { id, name: `Refreshed ${id}`, status: 'Running' });
+  }
+  return send(404, {});
+}
+
+beforeAll(async () => {
+  server = http.createServer(handleRequest);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.TVMAZE_API_BASE = `http://127.0.0.1:${server.address().port}`;
+  ({ app, runTvmazeSyncOnce } = await import('../../server/index.js'));
+});
+
+afterAll(async () => {
+  delete process.env.TVMAZE_API_BASE;
+  await new Promise((resolve) => server.close(resolve));
+});
+
+function getShowName(tvmazeId) {
+  return db.prepare('SELECT name FROM shows WHERE tvmaze_id = ?').get(tvmazeId).name;
+}
+
+describe('incremental TVmaze sync', () => {
+  beforeEach(() => {
+    resetDb();
+    requests = [];
+    updates = {};
+    updatesStatus = 200;
+    upstreamEpisodes = {};
+    failingShows = new Set();
+  });
+
+  it('only refetches shows updated upstream since the last fetch', async () => {
+    createShow({ tvmazeId: 1, name: 'Changed', updatedAt: hoursAgo(3) });
+    createShow({ tvmazeId: 2, name: 'Unchanged', updatedAt: hoursAgo(3) });
+    createShow({ tvmazeId: 3, name: 'Not in feed', updatedAt: hoursAgo(3) });
+    updates = { 1: unixHoursAgo(1), 2: unixHoursAgo(5) };
+
+    const result = await runTvmazeSyncOnce({ delayMs: 0 });
+
+    expect(result).toEqual({ checked: 3, refreshed: 1, failed: 0 });
+    expect(requests).toEqual([
+      '/updates/shows?since=day',
+      '/shows/1',
+      '/shows/1/episodes',
+      '/shows/1/cast',
+      '/shows/1/crew',
+    ]);
+    expect(getShowName(1)).toBe('Refreshed 1');
+    expect(getShowName(2)).toBe('Unchanged');
+    const episodes = db
+      .prepare(
+        'SELECT COUNT(*) AS count FROM episodes e JOIN shows s ON s.id = e.show_id WHERE s.tvmaze_id = 1'
+      )
+      .get();
+    expect(episodes.count).toBe(1);
+  });
+
+  it('widens the updates window to cover the oldest fetch', async () => {
+    createShow({ tvmazeId: 1, name: 'Older', updatedAt: hoursAgo(72) });
+
+    await runTvmazeSyncOnce({ delayMs: 0 });
+
+    expect(requests).toEqual(['/updates/shows?since=week']);
+  });
+
+  it('always refreshes shows older than the full-sync max age', async () => {
+    createShow({ tvmazeId: 1, name: 'Stale', updatedAt: hoursAgo(24 * 8) });
+    createShow({ tvmazeId: 2, name: 'Fresh', updatedAt: hoursAgo(2) });
+
+    const result = await runTvmazeSyncOnce({ delayMs: 0 });
+
+    expect(result.refreshed).toBe(1);
+    expect(requests[0]).toBe('/updates/shows?since=day');
+    expect(getShowName(1)).toBe('Refreshed 1');
+    expect(getShowName(2)).toBe('Fresh');
+  });
+
+  it('falls back to a full resync when the updates feed fails', async () => {
+    createShow({ tvmazeId: 1, name: 'One', updatedAt: hoursAgo(3) });
+    createShow({ tvmazeId: 2, name: 'Two', updatedAt: hoursAgo(3) });
+    updatesStatus = 400;
+
+    const result = await runTvmazeSyncOnce({ delayMs: 0 });
+
+    expect(result).toEqual({ checked: 2, refreshed: 2, failed: 0 });
+    expect(getShowName(1)).toBe('Refreshed 1');
+    expect(getShowName(2)).toBe('Refreshed 2');
+  });
+
+  it('refetches everything when a full sync is requested', async () => {
+    createShow({ tvmazeId: 1, name: 'One', updatedAt: hoursAgo(1) });
+
+    const result = await runTvmazeSyncOnce({ full: true, delayMs: 0 });
+
+    expect(result.refreshed).toBe(1);
+    expect(requests).toEqual([
+      '/shows/1',
+      '/shows/1/episodes',
+      '/shows/1/cast',
+      '/shows/1/crew',
+    ]);
+  });
+});
+
+function upstreamEpisode(id, season, number) {
+  return { id, season, number, name: `Episode ${id}`, airdate: '2024-01-01' };
+}
+
+function listEpisodes(showId) {
+  return db
+    .prepare(
+      `SELECT tvmaze_id, season, number, orphaned_at FROM episodes
+       WHERE show_id = ? ORDER BY tvmaze_id`
+    )
+    .all(showId);
+}
+
+describe('episode reconciliation during sync', () => {
+  let agent;
+  let profileId;
+  let showId;
+
+  beforeEach(async () => {
+    resetDb();
+    requests = [];
+    updates = {};
+    updatesStatus = 200;
+    upstreamEpisodes = {};
+    failingShows = new Set();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    agent = createAgent(app);
+    await registerUser(agent);
+    const profile = await createProfile(agent);
+    profileId = profile.body.id;
+    showId = createShow({ tvmazeId: 1, name: 'Renumbered' });
+    linkProfileShow({ profileId, showId });
+  });
+
+  it('moves watch history to the episode that replaced a deleted one', async () => {
+    const staleId = createEpisode({ showId, tvmazeId: 11, season: 1, number: 1, name: 'Old' });
+    markEpisodeWatched({ profileId, episodeId: staleId, watchedAt: '2024-02-01T00:00:00.000Z' });
+    db.prepare(
+      `INSERT INTO profile_episode_ratings (profile_id, episode_id, rating, rated_at)
+       VALUES (?, ?, 8, ?)`
+    ).run(profileId, staleId, '2024-02-01T00:00:00.000Z');
+    upstreamEpisodes[1] = [upstreamEpisode(12, 1, 1)];
+
+    await runTvmazeSyncOnce({ full: true, delayMs: 0 });
+
+    expect(listEpisodes(showId)).toEqual([
+      { tvmaze_id: 12, season: 1, number: 1, orphaned_at: null },
+    ]);
+    const replacement = db.prepare('SELECT id FROM episodes WHERE tvmaze_id = 12').get();
+    const watched = db
+      .prepare('SELECT watched_at FROM profile_episodes WHERE episode_id = ?')
+      .get(replacement.id);
+    expect(watched.watched_at).toBe('2024-02-01T00:00:00.000Z');
+    const events = db
+      .prepare('SELECT COUNT(*) AS count FROM watch_events WHERE episode_id = ?')
+      .get(replacement.id);
+    expect(events.count).toBe(1);
+    const rating = db
+      .prepare('SELECT rating FROM profile_episode_ratings WHERE episode_id = ?')
+      .get(replacement.id);
+    expect(rating.rating).toBe(8);
+    expect(console.log).toHaveBeenCalledWith(
+      expect.stringContaining('replaced Refreshed 1 S01E01 (11) with 12')
+    );
+  });
+
+  it('removes stale episodes nobody has watched', async () => {
+    createEpisode({ showId, tvmazeId: 11, season: 1, number: 1, name: 'Kept' });
+    createEpisode({ showId, tvmazeId: 12, season: 1, number: 2, name: 'Merged' });
+    upstreamEpisodes[1] = [upstreamEpisode(11, 1, 1)];
+
+    await runTvmazeSyncOnce({ full: true, delayMs: 0 });
+
+    expect(listEpisodes(showId).map((episode) => episode.tvmaze_id)).toEqual([11]);
+  });
+
+  it('orphans watched episodes without a replacement and drops them from progress', async () => {
+    const keptId = createEpisode({ showId, tvmazeId: 11, season: 1, number: 1, name: 'Kept' });
+    const goneId = createEpisode({ showId, tvmazeId: 12, season: 1, number: 2, name: 'Gone' });
+    markEpisodeWatched({ profileId, episodeId: keptId });
+    markEpisodeWatched({ profileId, episodeId: goneId });
+    upstreamEpisodes[1] = [upstreamEpisode(11, 1, 1), upstreamEpisode(13, 2, 1)];
+
+    await runTvmazeSyncOnce({ full: true, delayMs: 0 });
+
+    const episodes = listEpisodes(showId);
+    expect(episodes.map((episode) => episode.tvmaze_id)).toEqual([11, 12, 13]);
+    expect(episodes[1].orphaned_at).not.toBeNull();
+
+    const response = await agent.get('/api/shows');
+    const show = response.body.categories
+      .flatMap((category) => category.shows)
+      .find((item) => item.id === showId);
+    expect(show.stats.totalEpisodes).toBe(2);
+    expect(show.stats.watchedEpisodes).toBe(1);
+
+    // The episode comes back upstream: it is no longer orphaned.
+    upstreamEpisodes[1].push(upstreamEpisode(12, 1, 2));
+    await runTvmazeSyncOnce({ full: true, delayMs: 0 });
+    expect(listEpisodes(showId)[1].orphaned_at).toBeNull();
+  });
+
+  it('keeps episodes a trashed show was watching so it can be restored', async () => {
+    const keptId = createEpisode({ showId, tvmazeId: 11, season: 1, number: 1, name: 'Kept' });
+    const goneId = createEpisode({ showId, tvmazeId: 12, season: 1, number: 2, name: 'Gone' });
+    markEpisodeWatched({ profileId, episodeId: keptId });
+    markEpisodeWatched({ profileId, episodeId: goneId });
+    await agent.delete(`/api/shows/${showId}`);
+    upstreamEpisodes[1] = [upstreamEpisode(11, 1, 1)];
+
+    await runTvmazeSyncOnce({ full: true, delayMs: 0 });
+
+    const episodes = listEpisodes(showId);
+    expect(episodes.map((episode) => episode.tvmaze_id)).toEqual([11, 12]);
+    expect(episodes[1].orphaned_at).not.toBeNull();
+
+    const trash = await agent.get('/api/trash');
+    const restored = await agent.post(`/api/trash/${trash.body.shows[0].id}/restore`, {});
+    expect(restored.status).toBe(200);
+    const watched = db
+      .prepare('SELECT episode_id FROM profile_episodes WHERE profile_id = ? ORDER BY episode_id')
+      .all(profileId)
+      .map((row) => row.episode_id);
+    expect(watched).toEqual([keptId, goneId]);
+  });
+
+  it('points trash snapshots at the episode that replaced a deleted one', async () => {
+    const staleId = createEpisode({ showId, tvmazeId: 11, season: 1, number: 1, name: 'Old' });
+    markEpisodeWatched({ profileId, episodeId: staleId, watchedAt: '2024-02-01T00:00:00.000Z' });
+    await agent.delete(`/api/shows/${showId}`);
+    upstreamEpisodes[1] = [upstreamEpisode(12, 1, 1)];
+
+    await runTvmazeSyncOnce({ full: true, delayMs: 0 });
+
+    expect(listEpisodes(showId).map((episode) => episode.tvmaze_id)).toEqual([12]);
+    const replacement = db.prepare('SELECT id FROM episodes WHERE tvmaze_id = 12').get();
+    const trash = await agent.get('/api/trash');
+    const restored = await agent.post(`/api/trash/${trash.body.shows[0].id}/restore`, {});
+    expect(restored.status).toBe(200);
+    const watched = db
+      .prepare('SELECT episode_id, watched_at FROM profile_episodes WHERE profile_id = ?')
+      .all(profileId);
+    expect(watched).toEqual([
+      { episode_id: replacement.id, watched_at: '2024-02-01T00:00:00.000Z' },
+    ]);
+  });
+});
+
+describe('manual refresh and sync status', () => {
+  let agent;
+  let showId;
+
+  beforeEach(async () => {
+    resetDb();
+    requests = [];
+    updates = {};
+    updatesStatus = 200;
+    upstreamEpisodes = {};
+    failingShows = new Set();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    agent = createAgent(app);
+    await registerUser(agent);
+    const profile = await createProfile(agent);
+    showId = createShow({ tvmazeId: 1, name: 'Stale title' });
+    linkProfileShow({ profileId: profile.body.id, showId });
+  });
+
+  it('refreshes a single show and records the success', async () => {
+    const response = await agent.post(`/api/shows/${showId}/refresh`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.sync.lastSuccessAt).toBeTruthy();
+    expect(response.body.sync.failing).toBe(false);
+    expect(getShowName(1)).toBe('Refreshed 1');
+
+    const detail = await agent.get(`/api/shows/${showId}`);
+    expect(detail.body.show.sync.lastSuccessAt).toBe(response.body.sync.lastSuccessAt);
+  });
+
+  it('reports refresh failures and keeps the last success', async () => {
+    await agent.post(`/api/shows/${showId}/refresh`);
+    failingShows.add(1);
+
+    const response = await agent.post(`/api/shows/${showId}/refresh`);
+
+    expect(response.status).toBe(502);
+    expect(response.body.error).toContain('TVmaze error 400');
+    expect(response.body.sync).toMatchObject({ failing: true });
+    expect(response.body.sync.lastSuccessAt).toBeTruthy();
+    expect(response.body.sync.lastError).toContain('TVmaze error 400');
+  });
+
+  it('records failures from the scheduled sync', async () => {
+    failingShows.add(1);
+
+    const result = await runTvmazeSyncOnce({ full: true, delayMs: 0 });
+
+    expect(result.failed).toBe(1);
+    const status = await agent.get(`/api/shows/${showId}/sync`);
+    expect(status.body.sync).toMatchObject({ failing: true, lastSuccessAt: null });
+  });
+
+  it('only refreshes shows in the active profile library', async () => {
+    const otherId = createShow({ tvmazeId: 2, name: 'Not followed' });
+
+    const response = await agent.post(`/api/shows/${otherId}/refresh`);
+
+    expect(response.status).toBe(404);
+    expect(requests).toEqual([]);
+  });
+});
@@ -0,0 +1,172 @@
+import http from 'http';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { createTvmazeClient } from '../../server/tvmaze-client.js';
+
+let server;
+let baseUrl;
+let responses;
+let requests;
+
+// Each request to the stand-in pops the next scripted response.
+function handleRequest(req, res) {
+  requests.push(req.url);
+  const next = responses.shift() || { status: 200, body: { ok: true } };
+  const respond = () => {
+    res.writeHead(next.status, {
+      'Content-Type': 'application/json',
+      ...next.headers,
+    });
+    res.end(next.raw ?? JSON.stringify(next.body ?? {}));
+  };
+  if (next.delayMs) {
+    setTimeout(respond, next.delayMs);
+  } else {
+    respond();
+  }
+}
+
+function createClient(options = {}) {
+  const sleeps = [];
+  const client = createTvmazeClient({
+    baseUrl,
+    requestsPerSecond: 0,
+    sleep: async (ms) => {
+      sleeps.push(ms);
+    },
+    ...options,
+  });
+  return { client, sleeps };
+}
+
+beforeAll(async () => {
+  server = http.createServer(handleRequest);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+describe('TVmaze client', () => {
+  beforeEach(() => {
+    responses = [];
+    requests = [];
+  });
+
+  it('retries 5xx responses with exponential backoff', async () => {
+    responses = [
+      { status: 502 },
+      { status: 503 },
+      { status: 200, body: { id: 1 } },
+    ];
+    const { client, sleeps } = createClient({ retryBaseMs: 100 });
+
+    await expect(client.get('/shows/1')).resolves.toEqual({ id: 1 });
+    expect(requests).toHaveLength(3);
+    expect(sleeps).toEqual([100, 200]);
+  });
+
+  it('respects Retry-After on 429 responses', async () => {
+    responses = [
+      { status: 429, headers: { 'Retry-After': '3' } },
+      { status: 200, body: { id: 2 } },
+    ];
+    const { client, sleeps } = createClient();
+
+    await expect(client.get('/shows/2')).resolves.toEqual({ id: 2 });
+    expect(sleeps).toEqual([3000]);
+  });
+
+  it('gives up instead of retrying early when Retry-After exceeds the limit', async () => {
+    responses = [{ status: 429, headers: { 'Retry-After': '120' } }];
+    const { client, sleeps } = createClient({ maxRetryDelayMs: 30 * 1000 });
+
+    await expect(client.get('/shows/5')).rejects.toMatchObject({
+      status: 429,
+      retryAfterMs: 120 * 1000,
+    });
+    expect(requests).toHaveLength(1);
+    expect(sleeps).toEqual([]);
+  });
+
+  it('gives up after the retry limit and keeps the status', async () => {
+    responses = [{ status: 500 }, { status: 500 }, { status: 500 }];
+    const { client } = createClient({ maxRetries: 2 });
+
+    await expect(client.get('/shows/3')).rejects.toMatchObject({ status: 500 });
+    expect(requests).toHaveLength(3);
+  });
+
+  it('does not retry client errors', async () => {
+    responses = [{ status: 404 }];
+    const { client, sleeps } = createClient();
+
+    await expect(client.get('/shows/4')).rejects.toMatchObject({ status: 404 });
+    expect(requests).toHaveLength(1);
+    expect(sleeps).toEqual([]);
+  });
+
+  it('times out slow requests and retries them', async () => {
+    responses = [
+      { status: 200, body: { slow: true }, delayMs: 500 },
+      { status: 200, body: { id: 5 } },
+    ];
+    const { client } = createClient({ timeoutMs: 50 });
+
+    await expect(client.get('/shows/5')).resolves.toEqual({ id: 5 });
+    expect(requests).toHaveLength(2);
+  });
+
+  it('retries responses whose body cannot be read', async () => {
+    responses = [
+      { status: 200, raw: '{"id":' },
+      { status: 200, body: { id: 7 } },
+    ];
+    const { client, sleeps } = createClient({ retryBaseMs: 100 });
+
+    await expect(client.get('/shows/7')).resolves.toEqual({ id: 7 });
+    expect(requests).toHaveLength(2);
+    expect(sleeps).toEqual([100]);
+  });
+
+  it('shares in-flight requests for the same path', async () => {
+    responses = [{ status: 200, body: { id: 6 }, delayMs: 20 }];
+    const { client } = createClient();
+
+    const [first, second] = await Promise.all([
+      client.get('/shows/6'),
+      client.get('/shows/6'),
+    ]);
+    expect(first).toEqual({ id: 6 });
+    expect(second).toBe(first);
+    expect(requests).toHaveLength(1);
+
+    await client.get('/shows/6');
+    expect(requests).toHaveLength(2);
+  });
+
+  it('waits for tokens once the burst is spent', async () => {
+    const sleeps = [];
+    const client = createTvmazeClient({
+      baseUrl,
+      requestsPerSecond: 10,
+      burst: 2,
+      sleep: (ms) => {
+        sleeps.push(ms);
+        return new Promise((resolve) => setTimeout(resolve, ms));
+      },
+    });
+
+    await client.get('/a');
+    await client.get('/b');
+    expect(sleeps).toEqual([]);
+
+    await client.get('/c');
+    expect(sleeps.length).toBeGreaterThan(0);
+    expect(sleeps[0]).toBeGreaterThan(0);
+    expect(sleeps[0]).toBeLessThanOrEqual(100);
+    expect(requests).toEqual(['/a', '/b', '/c']);
+  });
+});
@@ -1,5 +1,12 @@
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
-import { getTodayDate, isReleased, stripHtml } from '../../server/utils.js';
+import {
+  getDayStart,
+  getTodayDate,
+  isReleased,
+  isSpecial,
+  isValidTimeZone,
+  stripHtml,
+} from '../../server/utils.js';
 
 describe('server utils', () => {
   beforeEach(() => {
@@ -27,4 +34,50 @@ describe('server utils', () => {
     expect(isReleased('2024-04-11')).toBe(false);
     expect(isReleased(null)).toBe(false);
   });
+
+  it('prefers the UTC airstamp over the local airdate', () => {
+    expect(isReleased('2024-04-10', '2024-04-10T11:00:00.000Z')).toBe(true);
+    expect(isReleased('2024-04-10', '2024-04-11T01:00:00.000Z')).toBe(false);
+    expect(isReleased('2024-04-11', '2024-04-10T11:00:00.000Z')).toBe(true);
+  });
+
+  it('applies a profile timezone and release delay', () => {
+    // 12:00 UTC is already 02:00 on Apr 11 in UTC+14.
+    expect(getTodayDate('Pacific/Kiritimati')).toBe('2024-04-11');
+    expect(isReleased('2024-04-11', null, { timeZone: 'Pacific/Kiritimati' })).toBe(true);
+    expect(
+      isReleased('2024-04-11', null, { timeZone: 'Pacific/Kiritimati', delayHours: 3 })
+    ).toBe(false);
+    expect(isReleased(null, '2024-04-10T10:00:00Z', { delayHours: 1 })).toBe(true);
+    expect(isReleased(null, '2024-04-10T10:00:00Z', { delayHours: 3 })).toBe(false);
+  });
+
+  it('finds the instant a day starts in a timezone', () => {
+    expect(getDayStart('2024-04-05')).toBe('2024-04-05T00:00:00.000Z');
+    expect(getDayStart('2024-04-05', 'Australia/Brisbane')).toBe(
+      '2024-04-04T14:00:00.000Z'
+    );
+    expect(getDayStart('2024-04-05', 'America/Los_Angeles')).toBe(
+      '2024-04-05T07:00:00.000Z'
+    );
+    // New York moved to daylight time on 2024-03-10.
+    expect(getDayStart('2024-03-10', 'America/New_York')).toBe(
+      '2024-03-10T05:00:00.000Z'
+    );
+    expect(getDayStart('2024-03-11', 'America/New_York')).toBe(
+      '2024-03-11T04:00:00.000Z'
+    );
+  });
+
+  it('validates IANA timezone names', () => {
+    expect(isValidTimeZone('Australia/Brisbane')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+
+  it('treats season 0 and unnumbered episodes as specials', () => {
+    expect(isSpecial({ season: 0, number: 1 })).toBe(true);
+    expect(isSpecial({ season: 2, number: null })).toBe(true);
+    expect(isSpecial({ season: 2, number: 3 })).toBe(false);
+  });
 });
@@ -10,6 +10,12 @@ process.env.TVMAZE_SYNC_ENABLED = 'false';
 process.env.NODE_ENV = 'test';
 process.env.TZ = 'UTC';
 
-globalThis.fetch = () => {
+// Only loopback requests (local HTTP stand-ins) may reach the network.
+const realFetch = globalThis.fetch;
+globalThis.fetch = (input, init) => {
+  const { hostname } = new URL(String(input));
+  if (hostname === '127.0.0.1' || hostname === 'localhost') {
+    return realFetch(input, init);
+  }
   throw new Error('Unexpected fetch in tests. Mock the call instead.');
 };
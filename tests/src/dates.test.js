@@ -0,0 +1,27 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { toDateInputValue, toPickedWatchedAt } from '../../src/dates.js';
+
+describe('toPickedWatchedAt', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('logs past dates at local noon', () => {
+    vi.setSystemTime(new Date(2024, 3, 10, 18, 0, 0));
+    const watchedAt = toPickedWatchedAt('2024-04-07');
+    expect(watchedAt).toBe(new Date(2024, 3, 7, 12, 0, 0).toISOString());
+    expect(toDateInputValue(watchedAt)).toBe('2024-04-07');
+  });
+
+  it('clamps today to the current time before local noon', () => {
+    const now = new Date(2024, 3, 10, 8, 30, 0);
+    vi.setSystemTime(now);
+    const watchedAt = toPickedWatchedAt(toDateInputValue());
+    expect(watchedAt).toBe(now.toISOString());
+    expect(new Date(watchedAt).getTime()).toBeLessThanOrEqual(Date.now());
+  });
+});